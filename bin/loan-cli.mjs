@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * Home Loan Analyzer from the command line: same engine as the web app.
+ *
+ *   npm run loan -- <inputs.json|inputs.yaml|-> [options]
+ *
+ * The input file holds one set of loan inputs, a list of them, or
+ * { scenarios: [...] }; files exported from the web app work too. Each entry may carry a `name`; every other field is a
+ * form field (see src/engine/inputs.js), and missing fields take the app defaults.
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { extname } from "node:path";
+import yaml from "js-yaml";
+import {
+  INPUTS_FILE_APP,
+  InputsFileError,
+  SCENARIOS,
+  SCHEDULE_CSV_HEADER,
+  analyzeLoan,
+  scenarioList,
+  parseInputsFile,
+  scheduleCSVRow,
+  toCSV,
+  validateInputs,
+} from "../src/engine/index.js";
+
+const USAGE = `Usage: npm run loan -- <file|-> [options]
+
+Options:
+  --format json|csv     output format (default: json)
+  --table summary|schedule
+                        summary: totals per scenario (default)
+                        schedule: month-by-month amortization rows
+  --scenario <keys>     comma-separated subset of ${SCENARIOS.map((s) => s.key).join(", ")}, custom1, custom2, …
+                        (user-defined scenarios in order; default: all)
+  --input json|yaml     input format when it can't be told from the file extension
+  --out <path>          write to a file instead of stdout
+  -h, --help            show this help`;
+
+class CliError extends Error {}
+
+function parseArgs(argv) {
+  const opts = { format: "json", table: "summary", scenarios: null, input: null, out: null, file: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new CliError(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (arg === "--format") opts.format = value();
+    else if (arg === "--table") opts.table = value();
+    else if (arg === "--scenario") opts.scenarios = value().split(",").map((s) => s.trim()).filter(Boolean);
+    else if (arg === "--input") opts.input = value();
+    else if (arg === "--out") opts.out = value();
+    else if (arg.startsWith("-") && arg !== "-") throw new CliError(`unknown option ${arg}`);
+    else if (opts.file) throw new CliError(`only one input file is supported (got ${opts.file} and ${arg})`);
+    else opts.file = arg;
+  }
+  if (!["json", "csv"].includes(opts.format)) throw new CliError(`--format must be json or csv, got "${opts.format}"`);
+  if (!["summary", "schedule"].includes(opts.table)) throw new CliError(`--table must be summary or schedule, got "${opts.table}"`);
+  if (opts.input && !["json", "yaml"].includes(opts.input)) throw new CliError(`--input must be json or yaml, got "${opts.input}"`);
+  const known = SCENARIOS.map((s) => s.key);
+  const unknown = (opts.scenarios || []).filter((k) => !known.includes(k) && !/^custom\d+$/.test(k));
+  if (unknown.length) {
+    throw new CliError(`unknown scenario ${unknown.join(", ")} (expected ${known.join(", ")} or custom1, custom2, …)`);
+  }
+  return opts;
+}
+
+// file contents → list of { name, inputs }
+function readInputs(file, format) {
+  const text = readFileSync(file === "-" ? 0 : file, "utf8");
+  const ext = extname(file).toLowerCase();
+  const kind = format || (ext === ".json" ? "json" : "yaml");
+  let data;
+  try {
+    // JSON is valid YAML, so YAML also covers stdin / unknown extensions.
+    // CORE_SCHEMA keeps bare dates (2025-04-05) as strings rather than Date objects.
+    data = kind === "json" ? JSON.parse(text) : yaml.load(text, { schema: yaml.CORE_SCHEMA });
+  } catch (err) {
+    throw new CliError(`could not parse ${file === "-" ? "stdin" : file} as ${kind.toUpperCase()}: ${err.message}`);
+  }
+  const list = Array.isArray(data) ? data : data && Array.isArray(data.scenarios) ? data.scenarios : [data];
+  return list.map((entry, i) => {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new CliError(`entry ${i + 1} must be an object of loan inputs`);
+    }
+    const fallbackName = list.length > 1 ? `Loan ${i + 1}` : "Loan";
+    // a file exported from the web app
+    if (entry.app === INPUTS_FILE_APP) {
+      const saved = parseInputsFile(entry);
+      return { name: saved.name || fallbackName, inputs: saved.inputs };
+    }
+    const { name, ...inputs } = entry;
+    for (const problem of validateInputs(inputs)) console.error(`loan-cli: warning: ${name ?? fallbackName}: ${problem}`);
+    return { name: String(name ?? fallbackName), inputs };
+  });
+}
+
+function summarize(scen, tax) {
+  const last = scen.schedule[scen.schedule.length - 1];
+  return {
+    emi: scen.emi,
+    finalEmi: scen.finalEmi,
+    months: scen.schedule.length,
+    payoffDate: last ? last.date : null,
+    ...scen.totals,
+    postTaxInterest: tax.postTaxInterest,
+    effectivePostTaxRate: tax.effectiveRate,
+  };
+}
+
+// scenarios to print for one analysis: the --scenario keys, or all of them
+function scenariosOf(analysis, opts) {
+  const list = scenarioList(analysis.inputs, { all: true });
+  if (!opts.scenarios) return list;
+  return opts.scenarios.map((key) => {
+    const found = list.find((s) => s.key === key);
+    if (!found) {
+      throw new CliError(`no scenario ${key} in these inputs (they have ${list.map((s) => s.key).join(", ")})`);
+    }
+    return found;
+  });
+}
+
+const round2 = (n) => (Number.isFinite(n) ? Number(n.toFixed(2)) : n);
+
+function toJSON(results, opts) {
+  const out = results.map(({ name, analysis }) => {
+    const { inputs, scenarios, taxResults, refinance, recommendations, prepayVsInvest, sensitivity } = analysis;
+    const pick = {};
+    for (const { key } of scenariosOf(analysis, opts)) {
+      const summary = summarize(scenarios[key], taxResults[key][inputs.taxRegime]);
+      pick[key] =
+        opts.table === "schedule" ? { ...summary, schedule: scenarios[key].schedule } : { ...summary, tax: taxResults[key] };
+    }
+    return {
+      name,
+      inputs,
+      scenarios: pick,
+      ...(opts.table === "summary" && {
+        recommendations,
+        prepayVsInvest: { final: prepayVsInvest.final, crossover: prepayVsInvest.crossover, afterTaxReturn: prepayVsInvest.afterTaxReturn },
+        refinance,
+        sensitivity: {
+          scenario: sensitivity.scenario,
+          metric: sensitivity.metric,
+          tenures: sensitivity.tenures,
+          skippedTenures: sensitivity.skippedTenures,
+          rates: sensitivity.rates,
+          values: sensitivity.cells.map((row) => row.map((cell) => round2(cell.value))),
+        },
+      }),
+    };
+  });
+  return JSON.stringify(out.length === 1 ? out[0] : out, null, 2);
+}
+
+function toCSVText(results, opts) {
+  if (opts.table === "schedule") {
+    const rows = [["Loan", "Scenario", ...SCHEDULE_CSV_HEADER]];
+    for (const { name, analysis } of results) {
+      for (const { key, name: scenario } of scenariosOf(analysis, opts)) {
+        for (const r of analysis.scenarios[key].schedule) rows.push([name, scenario, ...scheduleCSVRow(r)]);
+      }
+    }
+    return toCSV(rows);
+  }
+  const rows = [
+    [
+      "Loan",
+      "Scenario",
+      "EMI",
+      "FinalEMI",
+      "Months",
+      "PayoffDate",
+      "TotalInterest",
+      "TotalPaid",
+      "TotalPrepaid",
+      "PreEmiInterest",
+      "PostTaxInterest",
+      "EffPostTaxRate",
+    ],
+  ];
+  for (const { name, analysis } of results) {
+    for (const { key, name: scenario } of scenariosOf(analysis, opts)) {
+      const s = summarize(analysis.scenarios[key], analysis.taxResults[key][analysis.inputs.taxRegime]);
+      rows.push([
+        name,
+        scenario,
+        s.emi,
+        s.finalEmi,
+        s.months,
+        s.payoffDate,
+        round2(s.totalInterest),
+        round2(s.totalPaid),
+        round2(s.totalPrepaid),
+        round2(s.preEmiInterest),
+        round2(s.postTaxInterest),
+        round2(s.effectivePostTaxRate),
+      ]);
+    }
+  }
+  return toCSV(rows);
+}
+
+function main(argv) {
+  const opts = parseArgs(argv);
+  if (opts.help || !opts.file) {
+    console.log(USAGE);
+    return opts.help ? 0 : 1;
+  }
+  const results = readInputs(opts.file, opts.input).map(({ name, inputs }) => ({ name, analysis: analyzeLoan(inputs) }));
+  const text = (opts.format === "csv" ? toCSVText(results, opts) : toJSON(results, opts)) + "\n";
+  if (opts.out) writeFileSync(opts.out, text);
+  else process.stdout.write(text);
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(`loan-cli: ${err instanceof CliError || err instanceof InputsFileError || err.code === "ENOENT" ? err.message : err.stack}`);
+  process.exitCode = 1;
+}
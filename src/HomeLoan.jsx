@@ -1,4 +1,4 @@
-import { useMemo, useState } from "react";
+import { Fragment, useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   LineChart,
   Line,
@@ -8,22 +8,94 @@ import {
   CartesianGrid,
   Legend,
   ResponsiveContainer,
-  BarChart,
-  Bar,
 } from "recharts";
+import {
+  normalizeInputs,
+  totalMonths,
+  simulateRatePaths,
+  MAX_PATHS,
+  stepPlanName,
+  SCENARIOS,
+  scenarioList,
+  scenarioInputs,
+  buildView,
+  SCHEDULE_GROUPINGS,
+  DIFF_FIELDS,
+  periodOf,
+  groupRows,
+  scheduleSubtotals,
+  diffSchedules,
+  CUSTOM_COLORS,
+  SENSITIVITY_METRICS,
+  SENSITIVITY_MAX_STEPS,
+  scheduleToCSV,
+  parseCSV,
+  STATEMENT_FIELDS,
+  guessStatementMapping,
+  parseStatement,
+  reconcileStatement,
+  restartFromActual,
+  solveGoal,
+  computeEligibility,
+  buildReport,
+  serializeInputs,
+  parseInputsFile,
+  inputsToParams,
+  paramsToInputs,
+  moneyFormat,
+  CURRENCIES,
+  toNum,
+  MAX_TENURE_MONTHS,
+} from "./engine/index.js";
+
+// pause in typing before changed inputs are recalculated
+const ENGINE_DEBOUNCE_MS = 200;
+
+// amortization table rows have a fixed height so only the visible ones need rendering
+const AMORT_ROW_HEIGHT = 35;
+const AMORT_VIEW_HEIGHT = 420; // .table-wrapper max-height
+const AMORT_OVERSCAN = 8; // rows rendered beyond each edge
+
+/** ---------- Saved Scenarios (browser storage) ---------- **/
+
+const SAVED_SCENARIOS_KEY = "homeLoanAnalyzer.savedScenarios";
+
+// named input sets kept in localStorage; entries that no longer parse are skipped
+function readSavedScenarios() {
+  try {
+    const list = JSON.parse(window.localStorage.getItem(SAVED_SCENARIOS_KEY) || "[]");
+    return (Array.isArray(list) ? list : []).flatMap((entry) => {
+      try {
+        return [parseInputsFile(entry)];
+      } catch {
+        return [];
+      }
+    });
+  } catch {
+    return [];
+  }
+}
 
-/** ---------- Utilities ---------- **/
-
-// robust INR formatter
-function formatINR(num) {
-  const n = Number.isFinite(num) ? num : 0;
-  return n.toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+// false when storage is unavailable or full
+function writeSavedScenarios(list) {
+  try {
+    const entries = list.map((s) => serializeInputs(s.inputs, s.name, s.savedAt));
+    window.localStorage.setItem(SAVED_SCENARIOS_KEY, JSON.stringify(entries));
+    return true;
+  } catch {
+    return false;
+  }
 }
 
-// safe number parser
-function toNum(v, fallback = 0) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : fallback;
+// trigger a browser download of `content`
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
 /** ---------- Core Component ---------- **/
@@ -36,434 +108,1054 @@ export default function HomeLoanAnalyzer() {
   const [annualRate, setAnnualRate] = useState(7.7);
   const [emiStartDate, setEmiStartDate] = useState(() => new Date().toISOString().slice(0, 10));
 
+  // Under-construction property: tranches [{ date, amount, label }] until possession
+  const [underConstruction, setUnderConstruction] = useState(false);
+  const [constructionMode, setConstructionMode] = useState("preEmi"); // preEmi|fullEmi
+  const [possessionDate, setPossessionDate] = useState(() => {
+    const d = new Date();
+    d.setFullYear(d.getFullYear() + 2);
+    return d.toISOString().slice(0, 10);
+  });
+  const [disbursements, setDisbursements] = useState([]);
+
+  // Floating-rate resets: [{ date, rate, mode: "keepEmi" | "keepTenure" }]
+  const [rateResets, setRateResets] = useState([]);
+
   // Prepayment
-  const [oneTimePrepayAmt, setOneTimePrepayAmt] = useState("");
-  const [oneTimePrepayDate, setOneTimePrepayDate] = useState(() => new Date().toISOString().slice(0, 10));
+  // Lump-sum prepayments: [{ amount, date, label, mode: "reduceTenure" | "reduceEmi" }]
+  const [lumpSums, setLumpSums] = useState([]);
   const [recurringPrepayAmt, setRecurringPrepayAmt] = useState("100000");
   const [recurringPrepayFreq, setRecurringPrepayFreq] = useState("yearly"); // monthly|quarterly|yearly
+  // After a part-payment the bank either keeps the EMI (reduceTenure) or keeps the tenure (reduceEmi)
+  const [recurringPrepayMode, setRecurringPrepayMode] = useState("reduceTenure");
 
   // Savings offset
   const [linkSavings, setLinkSavings] = useState(true);
   const [savingsBalance, setSavingsBalance] = useState(100000);
   const [savingsGrowthMonthly, setSavingsGrowthMonthly] = useState(10000);
-
-  // Quick “what-if”
-  const [whatIfSavings, setWhatIfSavings] = useState(100000);
-  const [whatIfOneTime, setWhatIfOneTime] = useState("");
+  // Daily-balance offset (MaxGain/SmartSaver): salary in on a day, spending spread over the month
+  const [offsetModel, setOffsetModel] = useState("monthEnd"); // monthEnd|daily
+  const [salaryCredit, setSalaryCredit] = useState(150000);
+  const [salaryDay, setSalaryDay] = useState(1);
+  const [monthlySpend, setMonthlySpend] = useState(140000);
+  const [minBalance, setMinBalance] = useState(10000);
+
+  // Tax benefits (Sec 24(b), 80C, 80EEA)
+  const [taxRegime, setTaxRegime] = useState("old"); // old|new — regime used for post-tax figures
+  const [propertyType, setPropertyType] = useState("selfOccupied"); // selfOccupied|letOut
+  const [annualRent, setAnnualRent] = useState(0);
+  const [slabRate, setSlabRate] = useState(30);
+  const [other80C, setOther80C] = useState(0);
+  const [eligible80EEA, setEligible80EEA] = useState(false);
+
+  // Prepay vs invest: where the prepayment money could go instead
+  const [investInstrument, setInvestInstrument] = useState("sip"); // sip|equity|fd
+  const [investReturn, setInvestReturn] = useState(12);
+  const [investVolatility, setInvestVolatility] = useState(15);
+  const [investTaxRule, setInvestTaxRule] = useState("equity"); // equity (LTCG/STCG) | slab (FD interest)
+
+  // Balance transfer offer
+  const [refiPlan, setRefiPlan] = useState("prepaySavings"); // scenario the switch is tested on
+  const [refiDate, setRefiDate] = useState(() => {
+    const d = new Date();
+    d.setFullYear(d.getFullYear() + 1);
+    return d.toISOString().slice(0, 10);
+  });
+  const [refiRate, setRefiRate] = useState(7.2);
+  const [refiMonths, setRefiMonths] = useState(0); // 0 = keep remaining tenure
+  const [refiFeePct, setRefiFeePct] = useState(0.5);
+  const [refiLegal, setRefiLegal] = useState(10000);
+  const [refiOther, setRefiOther] = useState(5000);
+  const [refiForeclosurePct, setRefiForeclosurePct] = useState(0);
+  const [refiDiscountRate, setRefiDiscountRate] = useState(7);
+
+  // Eligibility & affordability
+  const [netMonthlyIncome, setNetMonthlyIncome] = useState(150000);
+  const [coApplicantIncome, setCoApplicantIncome] = useState(0);
+  const [existingEmis, setExistingEmis] = useState(0);
+  const [foirPct, setFoirPct] = useState(50); // lender's cap on all EMIs / income
+  const [propertyValue, setPropertyValue] = useState(10000000);
+  const [ltvPct, setLtvPct] = useState(0); // 0 = RBI slabs (90/80/75%)
+  const [safeEmiPct, setSafeEmiPct] = useState(40); // warn above this share of income
+
+  // Step-up / step-down EMI
+  const [emiStepMode, setEmiStepMode] = useState("none"); // none|percent|amount|custom
+  const [emiStepDirection, setEmiStepDirection] = useState("up");
+  const [emiStepValue, setEmiStepValue] = useState(5); // % or ₹ per year
+  const [emiStepTable, setEmiStepTable] = useState([]); // [{ year, emi }]
+  const [emiStepPlan, setEmiStepPlan] = useState("base");
+
+  // Today's money (present value)
+  const [realValues, setRealValues] = useState(false);
+  const [inflationRate, setInflationRate] = useState(6); // % p.a., also the discount rate
+
+  // Currency & conventions
+  const [currency, setCurrency] = useState("INR");
+  const [numberNotation, setNumberNotation] = useState("auto"); // auto|lakh|million
+  const [interestRest, setInterestRest] = useState("monthly"); // monthly|annual
+
+  // Fees, insurance & charges
+  const [processingFeePct, setProcessingFeePct] = useState(0.5);
+  const [upfrontCharges, setUpfrontCharges] = useState(0);
+  const [insurancePremium, setInsurancePremium] = useState(0);
+  const [insuranceFinanced, setInsuranceFinanced] = useState(true); // premium rolled into the loan
+  const [prepaymentChargePct, setPrepaymentChargePct] = useState(0); // fixed-rate loans only
+  const [annualFee, setAnnualFee] = useState(0);
+
+  // Joint loan: co-borrowers and their shares
+  const [coBorrowers, setCoBorrowers] = useState([]); // [{ name, ownershipPct, emiPct, prepayPct, savingsPct, slabRate, other80C }]
+  const [coBorrowerPlan, setCoBorrowerPlan] = useState("base");
+
+  // Monte Carlo: floating-rate paths
+  const [mcPaths, setMcPaths] = useState(1000);
+  const [mcLongRunRate, setMcLongRunRate] = useState(8);
+  const [mcVolatility, setMcVolatility] = useState(1); // % points per √year
+  const [mcReversion, setMcReversion] = useState(0.3);
+  const [mcResetMonths, setMcResetMonths] = useState(3);
+  const [mcSeed, setMcSeed] = useState(12345);
+  const [mcTargetDate, setMcTargetDate] = useState(() => {
+    const d = new Date();
+    d.setFullYear(d.getFullYear() + 20);
+    return d.toISOString().slice(0, 10);
+  });
+  const [mcPlan, setMcPlan] = useState("base");
+
+  // Tenure × rate sensitivity grid
+  const [sensTenureFrom, setSensTenureFrom] = useState(15);
+  const [sensTenureTo, setSensTenureTo] = useState(30);
+  const [sensTenureStep, setSensTenureStep] = useState(5);
+  const [sensRateFrom, setSensRateFrom] = useState(7);
+  const [sensRateTo, setSensRateTo] = useState(9);
+  const [sensRateStep, setSensRateStep] = useState(0.5);
+  const [sensScenario, setSensScenario] = useState("base");
+  const [sensMetric, setSensMetric] = useState("totalInterest"); // totalInterest|emi|payoffMonth|effectiveRate
+
+  // User-defined scenarios (compared next to the standard plans)
+  const [customScenarios, setCustomScenarios] = useState([]); // see customScenarios in src/engine/inputs.js
+  const [showStandardScenarios, setShowStandardScenarios] = useState(true);
+  const fmt = useMemo(() => moneyFormat(currency, numberNotation), [currency, numberNotation]);
+  const { money, symbol: cur } = fmt;
 
   const [selectedScenario, setSelectedScenario] = useState("base");
 
-  const totalMonths = useMemo(
-    () => toNum(tenureYears) * 12 + toNum(tenureMonths),
-    [tenureYears, tenureMonths]
-  );
+  // Amortization table: year grouping, collapsed years, scenario compared against ("" = none)
+  const [amortGrouping, setAmortGrouping] = useState("none");
+  const [collapsedYears, setCollapsedYears] = useState(() => new Set());
+  const [compareScenario, setCompareScenario] = useState("");
+  const [jumpMonth, setJumpMonth] = useState(""); // YYYY-MM
+  const [amortJump, setAmortJump] = useState(null); // { index } of the month to scroll to
+  const [amortScrollTop, setAmortScrollTop] = useState(0);
+  const amortTableRef = useRef(null);
+
+  // Saved scenarios
+  const [savedScenarios, setSavedScenarios] = useState(readSavedScenarios);
+  const [saveName, setSaveName] = useState("");
+  const [pickedSaved, setPickedSaved] = useState("");
+  const [fileMessage, setFileMessage] = useState(null); // { error: boolean, text }
+  const [reportBusy, setReportBusy] = useState(false);
+
+  // Bank statement reconciliation
+  const [statementName, setStatementName] = useState("");
+  const [statementRows, setStatementRows] = useState([]); // raw CSV rows, header first
+  const [statementMapping, setStatementMapping] = useState({});
+  const [reconcilePlan, setReconcilePlan] = useState("base");
+  const [restartNote, setRestartNote] = useState("");
+
+  // Goal seek
+  const [goalType, setGoalType] = useState("payoff"); // payoff|emi|interest
+  const [goalPayoffMonth, setGoalPayoffMonth] = useState(() => {
+    const d = new Date();
+    d.setFullYear(d.getFullYear() + 10);
+    return d.toISOString().slice(0, 7);
+  });
+  const [goalFreq, setGoalFreq] = useState("yearly");
+  const [goalPlan, setGoalPlan] = useState("prepay");
+  const [goalMaxEmi, setGoalMaxEmi] = useState(60000);
+  const [goalMaxInterest, setGoalMaxInterest] = useState(4000000);
+  const [goalLumpDate, setGoalLumpDate] = useState(() => new Date().toISOString().slice(0, 10));
+
+  function addRateReset() {
+    setRateResets((prev) => [
+      ...prev,
+      { date: new Date().toISOString().slice(0, 10), rate: annualRate, mode: "keepEmi" },
+    ]);
+  }
 
-  /** ---------- Financial Math ---------- **/
-
-  function monthlyEMI(P, rAnnual, nMonths) {
-    const principal = Math.max(0, toNum(P));
-    const n = Math.max(1, toNum(nMonths, 1));
-    const r = toNum(rAnnual) / 12 / 100;
-    if (r === 0) return principal / n;
-    const pow = Math.pow(1 + r, n);
-    return (principal * r * pow) / (pow - 1);
-  }
-
-  /**
-   * Build amortization schedule with:
-   * - one-time prepay (on matching year-month)
-   * - recurring prepay (monthly/quarterly/yearly)
-   * - savings “offset” (reduce interest-bearing principal by savings)
-   * Notes:
-   * - Savings change is applied at end of month for next month’s interest calc
-   */
-  function buildSchedule({
-    principal,
-    months,
-    annualRate,
-    emiStartISO,
-    oneTimePrepay = 0,
-    oneTimePrepayDateISO = null,
-    recurringPrepay = 0,
-    recurringFreq = "yearly",
-    recurringStart = 2, // start after month 1 by default
-    savingsLink = false,
-    savingsInit = 0,
-    savingsMonthlyDrift = 0,
-  }) {
-    const schedule = [];
-    let outstanding = Math.max(0, toNum(principal));
-    const monthlyRate = toNum(annualRate) / 12 / 100;
-    const emi = monthlyEMI(outstanding, annualRate, months);
-    const startDate = new Date(emiStartISO);
-    const interval = recurringFreq === "monthly" ? 1 : recurringFreq === "quarterly" ? 3 : 12;
-    let currSavings = Math.max(0, toNum(savingsInit));
-
-    for (let m = 1; m <= months && outstanding > 0.0001; m++) {
-      const date = new Date(startDate);
-      date.setMonth(startDate.getMonth() + (m - 1));
-
-      // One-time prepayment in matching month
-      if (oneTimePrepayDateISO) {
-        const otp = new Date(oneTimePrepayDateISO);
-        if (otp.getFullYear() === date.getFullYear() && otp.getMonth() === date.getMonth()) {
-          outstanding = Math.max(0, outstanding - Math.max(0, toNum(oneTimePrepay)));
-        }
-      }
+  function updateRateReset(index, patch) {
+    setRateResets((prev) => prev.map((r, i) => (i === index ? { ...r, ...patch } : r)));
+  }
 
-      // Recurring prepayment
-      if (toNum(recurringPrepay) > 0 && m >= recurringStart && (m - recurringStart) % interval === 0) {
-        outstanding = Math.max(0, outstanding - Math.max(0, toNum(recurringPrepay)));
-      }
+  function removeRateReset(index) {
+    setRateResets((prev) => prev.filter((_, i) => i !== index));
+  }
 
-      // Effective principal for interest calculation (offset)
-      const effectivePrincipal = savingsLink ? Math.max(0, outstanding - currSavings) : outstanding;
+  function addDisbursement() {
+    setDisbursements((prev) => [...prev, { date: new Date().toISOString().slice(0, 10), amount: "", label: "" }]);
+  }
 
-      // Interest for this month
-      const interestPayment = effectivePrincipal * monthlyRate;
+  function updateDisbursement(index, patch) {
+    setDisbursements((prev) => prev.map((d, i) => (i === index ? { ...d, ...patch } : d)));
+  }
 
-      // Principal portion of EMI
-      let principalPayment = emi - interestPayment;
-      if (principalPayment > outstanding) principalPayment = outstanding;
-      if (principalPayment < 0) principalPayment = 0;
+  function removeDisbursement(index) {
+    setDisbursements((prev) => prev.filter((_, i) => i !== index));
+  }
 
-      const payment = principalPayment + interestPayment;
-      outstanding = Math.max(0, outstanding - principalPayment);
+  function addLumpSum() {
+    setLumpSums((prev) => [
+      ...prev,
+      { amount: "", date: new Date().toISOString().slice(0, 10), label: "", mode: "reduceTenure" },
+    ]);
+  }
 
-      schedule.push({
-        month: m,
-        date: date.toISOString().slice(0, 10),
-        payment: Number(payment.toFixed(2)),
-        principalPaid: Number(principalPayment.toFixed(2)),
-        interestPaid: Number(interestPayment.toFixed(2)),
-        balance: Number(outstanding.toFixed(2)),
-        savingsLinked: Number(currSavings.toFixed(2)),
-      });
+  function updateLumpSum(index, patch) {
+    setLumpSums((prev) => prev.map((l, i) => (i === index ? { ...l, ...patch } : l)));
+  }
 
-      // Savings drift for next month
-      currSavings = Math.max(0, currSavings + Math.max(-1e12, toNum(savingsMonthlyDrift))); // guard huge negatives
-    }
+  function removeLumpSum(index) {
+    setLumpSums((prev) => prev.filter((_, i) => i !== index));
+  }
 
-    const totals = schedule.reduce(
-      (acc, s) => {
-        acc.totalInterest += s.interestPaid;
-        acc.totalPaid += s.payment;
-        return acc;
-      },
-      { totalInterest: 0, totalPaid: 0 }
-    );
+  // next custom step row: the year after the last one, same EMI to start from
+  function addStepRow() {
+    setEmiStepTable((prev) => {
+      const last = prev[prev.length - 1];
+      return [...prev, { year: last ? toNum(last.year) + 1 : 1, emi: last ? last.emi : Math.round(baseScenario.emi) }];
+    });
+  }
 
-    return { schedule, totals, emi: Number(emi.toFixed(2)) };
+  function updateStepRow(index, patch) {
+    setEmiStepTable((prev) => prev.map((r, i) => (i === index ? { ...r, ...patch } : r)));
   }
 
-  /** ---------- Scenarios (for chosen tenure) ---------- **/
+  function removeStepRow(index) {
+    setEmiStepTable((prev) => prev.filter((_, i) => i !== index));
+  }
 
-  const baseScenario = useMemo(
-    () =>
-      buildSchedule({
-        principal: loanAmount,
-        months: totalMonths,
-        annualRate,
-        emiStartISO: emiStartDate,
-      }),
-    [loanAmount, totalMonths, annualRate, emiStartDate]
-  );
+  // the first co-borrower added brings a second one, split 50/50
+  function addBorrower() {
+    const row = (n, pct) => ({
+      name: `Borrower ${n}`,
+      ownershipPct: pct,
+      emiPct: pct,
+      prepayPct: pct,
+      savingsPct: pct,
+      slabRate,
+      other80C: 0,
+    });
+    setCoBorrowers((prev) => (prev.length ? [...prev, row(prev.length + 1, 0)] : [row(1, 50), row(2, 50)]));
+  }
 
-  const prepayScenario = useMemo(
-    () =>
-      buildSchedule({
-        principal: loanAmount,
-        months: totalMonths,
-        annualRate,
-        emiStartISO: emiStartDate,
-        oneTimePrepay: toNum(oneTimePrepayAmt || whatIfOneTime),
-        oneTimePrepayDateISO: oneTimePrepayDate || null,
-        recurringPrepay: toNum(recurringPrepayAmt),
-        recurringFreq: recurringPrepayFreq,
-      }),
-    [
-      loanAmount,
-      totalMonths,
-      annualRate,
-      emiStartDate,
-      oneTimePrepayAmt,
-      oneTimePrepayDate,
-      recurringPrepayAmt,
-      recurringPrepayFreq,
-      whatIfOneTime,
-    ]
-  );
+  function updateBorrower(index, patch) {
+    setCoBorrowers((prev) => prev.map((b, i) => (i === index ? { ...b, ...patch } : b)));
+  }
+
+  function removeBorrower(index) {
+    setCoBorrowers((prev) => prev.filter((_, i) => i !== index));
+  }
+
+  // a new scenario starts from the main inputs, in the next unused colour
+  function addCustomScenario() {
+    setCustomScenarios((prev) => {
+      // first "Scenario N" not already in use, so names stay distinct after a removal
+      const names = new Set(prev.map((c) => c.name));
+      let n = 1;
+      while (names.has(`Scenario ${n}`)) n++;
+      return [
+        ...prev,
+        {
+          name: `Scenario ${n}`,
+          color: CUSTOM_COLORS[prev.length % CUSTOM_COLORS.length],
+          annualRate: inputs.annualRate,
+          tenureYears: inputs.tenureYears,
+          tenureMonths: inputs.tenureMonths,
+          recurringPrepayAmt: inputs.recurringPrepayAmt,
+          recurringPrepayFreq: inputs.recurringPrepayFreq,
+          useLumpSums: false,
+          linkSavings: inputs.linkSavings,
+          savingsBalance: inputs.savingsBalance,
+          savingsGrowthMonthly: inputs.savingsGrowthMonthly,
+        },
+      ];
+    });
+  }
+
+  function updateCustomScenario(index, patch) {
+    setCustomScenarios((prev) => prev.map((c, i) => (i === index ? { ...c, ...patch } : c)));
+  }
+
+  // index of the custom scenario behind `key` (custom1 → 0), -1 for a standard plan
+  function customIndex(key) {
+    const m = /^custom(\d+)$/.exec(key);
+    return m ? Number(m[1]) - 1 : -1;
+  }
+
+  // a scenario key once custom scenario `index` is gone: its own key becomes
+  // `fallback` and later ones move down one (custom3 → custom2)
+  function keyAfterRemoval(key, index, fallback) {
+    const i = customIndex(key);
+    if (i < 0) return key;
+    if (i === index) return fallback;
+    return i > index ? `custom${i}` : key;
+  }
+
+  function removeCustomScenario(index) {
+    setCustomScenarios((prev) => prev.filter((_, i) => i !== index));
+    setSelectedScenario((prev) => keyAfterRemoval(prev, index, "base"));
+    setCompareScenario((prev) => keyAfterRemoval(prev, index, ""));
+    setReconcilePlan((prev) => keyAfterRemoval(prev, index, "base"));
+    setMcPlan((prev) => keyAfterRemoval(prev, index, "base"));
+    setRefiPlan((prev) => keyAfterRemoval(prev, index, "prepaySavings"));
+    setSensScenario((prev) => keyAfterRemoval(prev, index, "base"));
+  }
+
+  // typical return / volatility / tax rule per instrument; the fields stay editable
+  const INVEST_PRESETS = {
+    sip: { ret: 12, vol: 15, tax: "equity" },
+    equity: { ret: 13, vol: 18, tax: "equity" },
+    fd: { ret: 7, vol: 0, tax: "slab" },
+  };
+
+  function pickInstrument(key) {
+    const p = INVEST_PRESETS[key];
+    setInvestInstrument(key);
+    setInvestReturn(p.ret);
+    setInvestVolatility(p.vol);
+    setInvestTaxRule(p.tax);
+  }
 
-  const savingsScenario = useMemo(
+  /** ---------- Engine inputs ---------- **/
+
+  // every form field in the shape the headless engine (./engine) expects
+  const inputs = useMemo(
     () =>
-      buildSchedule({
-        principal: loanAmount,
-        months: totalMonths,
-        annualRate,
-        emiStartISO: emiStartDate,
-        savingsLink: linkSavings,
-        savingsInit: toNum(whatIfSavings || savingsBalance),
-        savingsMonthlyDrift: toNum(savingsGrowthMonthly),
-      }),
-    [
+      normalizeInputs({
         loanAmount,
-        totalMonths,
+        tenureYears,
+        tenureMonths,
         annualRate,
         emiStartDate,
+        rateResets,
+        underConstruction,
+        constructionMode,
+        possessionDate,
+        disbursements,
+        lumpSums,
+        recurringPrepayAmt,
+        recurringPrepayFreq,
+        recurringPrepayMode,
         linkSavings,
         savingsBalance,
-        whatIfSavings,
         savingsGrowthMonthly,
-      ]
-  );
-
-  const prepaySavingsScenario = useMemo(
-    () =>
-      buildSchedule({
-        principal: loanAmount,
-        months: totalMonths,
-        annualRate,
-        emiStartISO: emiStartDate,
-        oneTimePrepay: toNum(oneTimePrepayAmt || whatIfOneTime),
-        oneTimePrepayDateISO: oneTimePrepayDate || null,
-        recurringPrepay: toNum(recurringPrepayAmt),
-        recurringFreq: recurringPrepayFreq,
-        savingsLink: linkSavings,
-        savingsInit: toNum(whatIfSavings || savingsBalance),
-        savingsMonthlyDrift: toNum(savingsGrowthMonthly),
+        offsetModel,
+        salaryCredit,
+        salaryDay,
+        monthlySpend,
+        minBalance,
+        taxRegime,
+        propertyType,
+        annualRent,
+        slabRate,
+        other80C,
+        eligible80EEA,
+        investInstrument,
+        investReturn,
+        investVolatility,
+        investTaxRule,
+        refiPlan,
+        refiDate,
+        refiRate,
+        refiMonths,
+        refiFeePct,
+        refiLegal,
+        refiOther,
+        refiForeclosurePct,
+        refiDiscountRate,
+        netMonthlyIncome,
+        coApplicantIncome,
+        existingEmis,
+        foirPct,
+        propertyValue,
+        ltvPct,
+        safeEmiPct,
+        emiStepMode,
+        emiStepDirection,
+        emiStepValue,
+        emiStepTable,
+        emiStepPlan,
+        realValues,
+        inflationRate,
+        currency,
+        numberNotation,
+        interestRest,
+        processingFeePct,
+        upfrontCharges,
+        insurancePremium,
+        insuranceFinanced,
+        prepaymentChargePct,
+        annualFee,
+        coBorrowers,
+        coBorrowerPlan,
+        mcPaths,
+        mcLongRunRate,
+        mcVolatility,
+        mcReversion,
+        mcResetMonths,
+        mcSeed,
+        mcTargetDate,
+        mcPlan,
+        sensTenureFrom,
+        sensTenureTo,
+        sensTenureStep,
+        sensRateFrom,
+        sensRateTo,
+        sensRateStep,
+        sensScenario,
+        sensMetric,
+        customScenarios,
+        showStandardScenarios,
       }),
     [
       loanAmount,
-      totalMonths,
+      tenureYears,
+      tenureMonths,
       annualRate,
       emiStartDate,
-      oneTimePrepayAmt,
-      whatIfOneTime,
-      oneTimePrepayDate,
+      rateResets,
+      underConstruction,
+      constructionMode,
+      possessionDate,
+      disbursements,
+      lumpSums,
       recurringPrepayAmt,
       recurringPrepayFreq,
+      recurringPrepayMode,
       linkSavings,
       savingsBalance,
-      whatIfSavings,
       savingsGrowthMonthly,
+      offsetModel,
+      salaryCredit,
+      salaryDay,
+      monthlySpend,
+      minBalance,
+      taxRegime,
+      propertyType,
+      annualRent,
+      slabRate,
+      other80C,
+      eligible80EEA,
+      investInstrument,
+      investReturn,
+      investVolatility,
+      investTaxRule,
+      refiPlan,
+      refiDate,
+      refiRate,
+      refiMonths,
+      refiFeePct,
+      refiLegal,
+      refiOther,
+      refiForeclosurePct,
+      refiDiscountRate,
+      netMonthlyIncome,
+      coApplicantIncome,
+      existingEmis,
+      foirPct,
+      propertyValue,
+      ltvPct,
+      safeEmiPct,
+      emiStepMode,
+      emiStepDirection,
+      emiStepValue,
+      emiStepTable,
+      emiStepPlan,
+      realValues,
+      inflationRate,
+      currency,
+      numberNotation,
+      interestRest,
+      processingFeePct,
+      upfrontCharges,
+      insurancePremium,
+      insuranceFinanced,
+      prepaymentChargePct,
+      annualFee,
+      coBorrowers,
+      coBorrowerPlan,
+      mcPaths,
+      mcLongRunRate,
+      mcVolatility,
+      mcReversion,
+      mcResetMonths,
+      mcSeed,
+      mcTargetDate,
+      mcPlan,
+      sensTenureFrom,
+      sensTenureTo,
+      sensTenureStep,
+      sensRateFrom,
+      sensRateTo,
+      sensRateStep,
+      sensScenario,
+      sensMetric,
+      customScenarios,
+      showStandardScenarios,
     ]
   );
 
-  /** ---------- Charts (for chosen tenure) ---------- **/
+  /** ---------- Saved Scenarios ---------- **/
+
+  // put a full input set back into the form (only setters, so the same function every render)
+  const applyInputs = useCallback((raw) => {
+    const v = normalizeInputs(raw);
+    setLoanAmount(v.loanAmount);
+    setTenureYears(v.tenureYears);
+    setTenureMonths(v.tenureMonths);
+    setAnnualRate(v.annualRate);
+    setEmiStartDate(v.emiStartDate);
+    setRateResets(v.rateResets);
+    setUnderConstruction(v.underConstruction);
+    setConstructionMode(v.constructionMode);
+    setPossessionDate(v.possessionDate);
+    setDisbursements(v.disbursements);
+    setLumpSums(v.lumpSums);
+    setRecurringPrepayAmt(v.recurringPrepayAmt);
+    setRecurringPrepayFreq(v.recurringPrepayFreq);
+    setRecurringPrepayMode(v.recurringPrepayMode);
+    setLinkSavings(v.linkSavings);
+    setSavingsBalance(v.savingsBalance);
+    setSavingsGrowthMonthly(v.savingsGrowthMonthly);
+    setOffsetModel(v.offsetModel);
+    setSalaryCredit(v.salaryCredit);
+    setSalaryDay(v.salaryDay);
+    setMonthlySpend(v.monthlySpend);
+    setMinBalance(v.minBalance);
+    setTaxRegime(v.taxRegime);
+    setPropertyType(v.propertyType);
+    setAnnualRent(v.annualRent);
+    setSlabRate(v.slabRate);
+    setOther80C(v.other80C);
+    setEligible80EEA(v.eligible80EEA);
+    setInvestInstrument(v.investInstrument);
+    setInvestReturn(v.investReturn);
+    setInvestVolatility(v.investVolatility);
+    setInvestTaxRule(v.investTaxRule);
+    setRefiPlan(v.refiPlan);
+    setRefiDate(v.refiDate);
+    setRefiRate(v.refiRate);
+    setRefiMonths(v.refiMonths);
+    setRefiFeePct(v.refiFeePct);
+    setRefiLegal(v.refiLegal);
+    setRefiOther(v.refiOther);
+    setRefiForeclosurePct(v.refiForeclosurePct);
+    setRefiDiscountRate(v.refiDiscountRate);
+    setNetMonthlyIncome(v.netMonthlyIncome);
+    setCoApplicantIncome(v.coApplicantIncome);
+    setExistingEmis(v.existingEmis);
+    setFoirPct(v.foirPct);
+    setPropertyValue(v.propertyValue);
+    setLtvPct(v.ltvPct);
+    setSafeEmiPct(v.safeEmiPct);
+    setEmiStepMode(v.emiStepMode);
+    setEmiStepDirection(v.emiStepDirection);
+    setEmiStepValue(v.emiStepValue);
+    setEmiStepTable(v.emiStepTable);
+    setEmiStepPlan(v.emiStepPlan);
+    setRealValues(v.realValues);
+    setInflationRate(v.inflationRate);
+    setCurrency(v.currency);
+    setNumberNotation(v.numberNotation);
+    setInterestRest(v.interestRest);
+    setProcessingFeePct(v.processingFeePct);
+    setUpfrontCharges(v.upfrontCharges);
+    setInsurancePremium(v.insurancePremium);
+    setInsuranceFinanced(v.insuranceFinanced);
+    setPrepaymentChargePct(v.prepaymentChargePct);
+    setAnnualFee(v.annualFee);
+    setCoBorrowers(v.coBorrowers);
+    setCoBorrowerPlan(v.coBorrowerPlan);
+    setMcPaths(v.mcPaths);
+    setMcLongRunRate(v.mcLongRunRate);
+    setMcVolatility(v.mcVolatility);
+    setMcReversion(v.mcReversion);
+    setMcResetMonths(v.mcResetMonths);
+    setMcSeed(v.mcSeed);
+    setMcTargetDate(v.mcTargetDate);
+    setMcPlan(v.mcPlan);
+    setSensTenureFrom(v.sensTenureFrom);
+    setSensTenureTo(v.sensTenureTo);
+    setSensTenureStep(v.sensTenureStep);
+    setSensRateFrom(v.sensRateFrom);
+    setSensRateTo(v.sensRateTo);
+    setSensRateStep(v.sensRateStep);
+    setSensScenario(v.sensScenario);
+    setSensMetric(v.sensMetric);
+    setCustomScenarios(v.customScenarios);
+    setShowStandardScenarios(v.showStandardScenarios);
+  }, []);
+
+  function storeSaved(list, okText) {
+    setSavedScenarios(list);
+    setFileMessage(
+      writeSavedScenarios(list)
+        ? { error: false, text: okText }
+        : { error: true, text: "Browser storage is unavailable or full; the change will be lost on reload." }
+    );
+  }
 
-  const chartData = useMemo(() => {
-    const maxLen = Math.max(
-      baseScenario.schedule.length,
-      prepayScenario.schedule.length,
-      savingsScenario.schedule.length,
-      prepaySavingsScenario.schedule.length
+  function saveCurrent() {
+    const name = saveName.trim();
+    if (!name) {
+      setFileMessage({ error: true, text: "Enter a name to save the current inputs under." });
+      return;
+    }
+    const entry = { name, savedAt: new Date().toISOString(), inputs };
+    const exists = savedScenarios.some((s) => s.name === name);
+    storeSaved(
+      exists ? savedScenarios.map((s) => (s.name === name ? entry : s)) : [...savedScenarios, entry],
+      exists ? `Updated “${name}”.` : `Saved “${name}”.`
     );
-    const arr = [];
-    for (let i = 0; i < maxLen; i++) {
-      arr.push({
-        month: i + 1,
-        baseBalance: baseScenario.schedule[i]?.balance ?? 0,
-        prepayBalance: prepayScenario.schedule[i]?.balance ?? 0,
-        savingsBalance: savingsScenario.schedule[i]?.balance ?? 0,
-        prepaySavingsBalance: prepaySavingsScenario.schedule[i]?.balance ?? 0,
-        baseInterestCumu: baseScenario.schedule.slice(0, i + 1).reduce((s, x) => s + x.interestPaid, 0),
-        prepayInterestCumu: prepayScenario.schedule.slice(0, i + 1).reduce((s, x) => s + x.interestPaid, 0),
-        savingsInterestCumu: savingsScenario.schedule.slice(0, i + 1).reduce((s, x) => s + x.interestPaid, 0),
-        prepaySavingsInterestCumu: prepaySavingsScenario.schedule.slice(0, i + 1).reduce((s, x) => s + x.interestPaid, 0),
-      });
+    setPickedSaved(name);
+  }
+
+  function loadSaved(name) {
+    const entry = savedScenarios.find((s) => s.name === name);
+    if (!entry) return;
+    applyInputs(entry.inputs);
+    setSaveName(name);
+    setFileMessage({ error: false, text: `Loaded “${name}”.` });
+  }
+
+  function duplicateSaved(name) {
+    const entry = savedScenarios.find((s) => s.name === name);
+    if (!entry) return;
+    const taken = new Set(savedScenarios.map((s) => s.name));
+    let copyName = `${name} (copy)`;
+    for (let n = 2; taken.has(copyName); n++) copyName = `${name} (copy ${n})`;
+    storeSaved([...savedScenarios, { ...entry, name: copyName, savedAt: new Date().toISOString() }], `Duplicated as “${copyName}”.`);
+    setPickedSaved(copyName);
+  }
+
+  function deleteSaved(name) {
+    if (!savedScenarios.some((s) => s.name === name)) return;
+    if (!window.confirm(`Delete saved scenario “${name}”?`)) return;
+    storeSaved(
+      savedScenarios.filter((s) => s.name !== name),
+      `Deleted “${name}”.`
+    );
+    setPickedSaved("");
+  }
+
+  function exportInputsFile() {
+    const name = saveName.trim();
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "home-loan";
+    downloadFile(JSON.stringify(serializeInputs(inputs, name), null, 2), `${slug}.json`, "application/json");
+  }
+
+  /** ---------- Permalink ---------- **/
+
+  // a link opened with inputs in the hash (#v=1&loanAmount=…) restores that exact view
+  useEffect(() => {
+    const linked = paramsToInputs(window.location.hash, ["scenario"]);
+    if (!linked) return;
+    applyInputs(linked.inputs);
+    const view = linked.view.scenario || "";
+    if (/^(base|prepay|savings|prepaySavings|step|custom\d+)$/.test(view)) setSelectedScenario(view);
+    // applyInputs never changes, so this runs once on load; later edits don't re-read the URL
+  }, [applyInputs]);
+
+  async function copyLink() {
+    const hash = inputsToParams(inputs, { scenario: selectedScenario });
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${hash}`;
+    window.history.replaceState(null, "", `#${hash}`);
+    try {
+      await navigator.clipboard.writeText(url);
+      setFileMessage({ error: false, text: "Link copied. Anyone opening it sees these exact inputs." });
+    } catch {
+      window.prompt("Copy this link:", url);
     }
-    return arr;
-  }, [baseScenario, prepayScenario, savingsScenario, prepaySavingsScenario]);
-
-  /** ---------- Recommendations (for chosen tenure) ---------- **/
-
-  const recommendations = useMemo(() => {
-    const baseInterest = baseScenario.totals.totalInterest;
-    const baseMonths = baseScenario.schedule.length;
-
-    const scenarios = [
-      { name: "Prepay", interest: prepayScenario.totals.totalInterest, months: prepayScenario.schedule.length },
-      { name: "Savings Linked", interest: savingsScenario.totals.totalInterest, months: savingsScenario.schedule.length },
-      { name: "Prepay + Savings", interest: prepaySavingsScenario.totals.totalInterest, months: prepaySavingsScenario.schedule.length },
-    ];
-
-    const tableData = scenarios.map((s) => {
-      const interestSaved = baseInterest - s.interest;
-      const monthsSaved = baseMonths - s.months;
-      const percentSaved = baseInterest > 0 ? ((interestSaved / baseInterest) * 100).toFixed(1) : "0.0";
-      return { name: s.name, interestSaved, monthsSaved, percentSaved };
-    });
+  }
 
-    const insights = tableData
-      .map((r) => {
-        if (r.interestSaved <= 0) return null;
-        let text = `${r.name}: Save ₹${formatINR(r.interestSaved)} (${r.percentSaved}% interest)`;
-        if (r.monthsSaved > 0) text += `, cut tenure by ${r.monthsSaved} month${r.monthsSaved > 1 ? "s" : ""}.`;
-        if (r.name.includes("Savings")) {
-          const effReductionPct = ((r.interestSaved / Math.max(1, loanAmount)) * annualRate).toFixed(2);
-          text += ` Effective rate reduction ~ ${effReductionPct}%.`;
-        }
-        if (toNum(oneTimePrepayAmt || whatIfOneTime) > 0) {
-          text += ` One-time prepay of ₹${formatINR(toNum(oneTimePrepayAmt || whatIfOneTime))} helps early.`;
-        }
-        if (toNum(recurringPrepayAmt) > 0) {
-          text += ` Recurring prepay ₹${formatINR(toNum(recurringPrepayAmt))} ${recurringPrepayFreq} trims tenure.`;
-        }
-        return text;
-      })
-      .filter(Boolean);
-
-    const best = tableData.reduce((prev, curr) => (curr.interestSaved > (prev.interestSaved || 0) ? curr : prev), {});
-    if (best.name) insights.push(`🏆 Best option: ${best.name} for maximum savings.`);
-    return { tableData, insights };
-  }, [
-    baseScenario,
-    prepayScenario,
-    savingsScenario,
-    prepaySavingsScenario,
-    loanAmount,
-    annualRate,
-    oneTimePrepayAmt,
-    whatIfOneTime,
-    recurringPrepayAmt,
-    recurringPrepayFreq,
-  ]);
+  async function importInputsFile(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ""; // allow re-importing the same file
+    if (!file) return;
+    try {
+      const parsed = parseInputsFile(await file.text());
+      applyInputs(parsed.inputs);
+      setSaveName(parsed.name || file.name.replace(/\.json$/i, ""));
+      setFileMessage({ error: false, text: `Imported ${file.name}. Save it to keep it in this browser.` });
+    } catch (err) {
+      setFileMessage({ error: true, text: `Couldn't import ${file.name}: ${err.message}` });
+    }
+  }
 
+  /** ---------- Calculation engine (Web Worker) ---------- **/
+
+  // The first view is built here; after that every change is worked out in a
+  // worker once typing pauses, so the page stays responsive. So are the goal
+  // seek and Monte Carlo runs. A newer job supersedes one of its kind still
+  // running, whose reply is then ignored.
+  const [view, setView] = useState(() => buildView(inputs));
+  const [calculating, setCalculating] = useState(false);
+  const [engineError, setEngineError] = useState("");
+  const workerRef = useRef(null);
+  const jobRef = useRef({ view: 0, goal: 0, simulate: 0 }); // id of the newest job of each kind
+  const firstInputsRef = useRef(inputs); // already in the first view
+
+  useEffect(() => {
+    if (typeof Worker === "undefined") return undefined;
+    const worker = new Worker(new URL("./engine/worker.js", import.meta.url));
+    worker.onmessage = (e) => {
+      const { id, kind, result, error } = e.data;
+      if (id !== jobRef.current[kind]) return;
+      if (kind === "goal") {
+        setGoalPending(false);
+        setGoal(error ? { reachable: false, explanation: `Couldn't solve this goal: ${error}` } : result);
+      } else if (kind === "simulate") {
+        setSimulating(false);
+        setSimulationError(error || "");
+        if (result) setSimulation({ inputs: simulationInputsRef.current, result });
+      } else {
+        setCalculating(false);
+        setEngineError(error || "");
+        if (result) setView(result);
+      }
+    };
+    workerRef.current = worker;
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (inputs === firstInputsRef.current) return undefined;
+    const id = ++jobRef.current.view;
+    setCalculating(true);
+    const timer = setTimeout(() => {
+      if (workerRef.current) {
+        workerRef.current.postMessage({ id, kind: "view", inputs });
+        return;
+      }
+      setView(buildView(inputs));
+      setCalculating(false);
+    }, ENGINE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [inputs]);
+
+  const {
+    scenarios,
+    scenarioItems,
+    prepayModeComparison,
+    stepPlan,
+    stepTax,
+    prepayVsInvest,
+    chartData,
+    presentValues,
+    stepPresentValue,
+    effectiveRates,
+    stepEffectiveRate,
+    coBorrowerSplit,
+    taxResults,
+    refinance,
+    recommendations,
+    sensitivity,
+  } = view;
+  const { base: baseScenario } = scenarios;
+  const stepName = stepPlanName(view.inputs);
   const { tableData, insights } = recommendations;
 
-  /** ---------- Tenure Comparison (NEW) ---------- **/
-
-  // Years to compare side-by-side (kept small & explicit for clarity)
-  const TENURE_SET = [18, 20, 22, 25, 30];
-
-  /**
-   * For each tenure, compute the same four scenarios using the SAME inputs
-   * (rate, prepay settings, savings offset options), but with months derived
-   * from the tenure in the set above. This answers: “what if I picked a different tenure?”
-   */
-  const tenureComparison = useMemo(() => {
-    return TENURE_SET.map((years) => {
-      const months = years * 12;
-      const base = buildSchedule({
-        principal: loanAmount,
-        months,
-        annualRate,
-        emiStartISO: emiStartDate,
-      });
-      const prepay = buildSchedule({
-        principal: loanAmount,
-        months,
-        annualRate,
-        emiStartISO: emiStartDate,
-        oneTimePrepay: toNum(oneTimePrepayAmt || whatIfOneTime),
-        oneTimePrepayDateISO: oneTimePrepayDate || null,
-        recurringPrepay: toNum(recurringPrepayAmt),
-        recurringFreq: recurringPrepayFreq,
-      });
-      const savings = buildSchedule({
-        principal: loanAmount,
-        months,
-        annualRate,
-        emiStartISO: emiStartDate,
-        savingsLink: linkSavings,
-        savingsInit: toNum(whatIfSavings || savingsBalance),
-        savingsMonthlyDrift: toNum(savingsGrowthMonthly),
-      });
-      const prepaySavings = buildSchedule({
-        principal: loanAmount,
-        months,
-        annualRate,
-        emiStartISO: emiStartDate,
-        oneTimePrepay: toNum(oneTimePrepayAmt || whatIfOneTime),
-        oneTimePrepayDateISO: oneTimePrepayDate || null,
-        recurringPrepay: toNum(recurringPrepayAmt),
-        recurringFreq: recurringPrepayFreq,
-        savingsLink: linkSavings,
-        savingsInit: toNum(whatIfSavings || savingsBalance),
-        savingsMonthlyDrift: toNum(savingsGrowthMonthly),
-      });
+  // what the plan pickers offer: the standard plans, then the user-defined scenarios
+  const planChoices = scenarioList(inputs, { all: true });
 
-      return {
-        tenure: `${years}y`,
-        scenarios: {
-          Base: base,
-          Prepay: prepay,
-          "Savings Linked": savings,
-          "Prepay + Savings": prepaySavings,
-        },
-      };
-    });
-  }, [
-    loanAmount,
-    annualRate,
-    emiStartDate,
-    oneTimePrepayAmt,
-    whatIfOneTime,
-    oneTimePrepayDate,
-    recurringPrepayAmt,
-    recurringPrepayFreq,
-    linkSavings,
-    savingsBalance,
-    whatIfSavings,
-    savingsGrowthMonthly,
-  ]);
-
-  // Build a simple chart dataset per tenure using Base total interest (you can switch to any scenario)
-  const tenureChartData = useMemo(() => {
-    return tenureComparison.map((row) => {
-      return {
-        tenure: row.tenure,
-        totalInterestBase: row.scenarios.Base.totals.totalInterest,
-        details: row.scenarios,
-      };
-    });
-  }, [tenureComparison]);
-
-  const CustomTooltip = ({ active, payload, label }) => {
-    if (active && payload && payload.length) {
-      const details = payload[0].payload.details;
-      return (
-        <div style={{ background: "#fff", border: "1px solid #ccc", padding: 10, fontSize: 12 }}>
-          <div><b>Tenure: {label}</b></div>
-          {Object.entries(details).map(([name, scen]) => (
-            <div key={name} style={{ marginTop: 4 }}>
-              <b>{name}</b>: Interest ₹{formatINR(scen.totals.totalInterest)}, EMI ₹{formatINR(scen.emi)}, Payoff {scen.schedule.length}m
-            </div>
-          ))}
-        </div>
-      );
+  const [borrowerView, setBorrowerView] = useState(0); // borrower whose yearly totals are shown
+  const viewedBorrower = coBorrowerSplit && coBorrowerSplit.borrowers[Math.min(borrowerView, coBorrowerSplit.borrowers.length - 1)];
+
+  /** ---------- Eligibility & Affordability ---------- **/
+
+  const eligibility = useMemo(() => computeEligibility(inputs), [inputs]);
+
+  /** ---------- Monte Carlo ---------- **/
+
+  // run on demand (thousands of schedules) in the worker; kept with the inputs it was run on
+  const [simulation, setSimulation] = useState(null);
+  const [simulating, setSimulating] = useState(false);
+  const [simulationError, setSimulationError] = useState("");
+  const simulationInputsRef = useRef(null); // inputs of the running simulation
+  const simulationStale = simulation && simulation.inputs !== inputs;
+
+  function runSimulation() {
+    const id = ++jobRef.current.simulate;
+    if (!workerRef.current) {
+      setSimulation({ inputs, result: simulateRatePaths(inputs) });
+      return;
     }
-    return null;
-  };
+    simulationInputsRef.current = inputs;
+    setSimulating(true);
+    setSimulationError("");
+    workerRef.current.postMessage({ id, kind: "simulate", inputs });
+  }
+
+  function cancelSimulation() {
+    workerRef.current.postMessage({ id: ++jobRef.current.simulate, kind: "simulate", cancel: true });
+    setSimulating(false);
+  }
+
+  /** ---------- Goal Seek ---------- **/
+
+  // solved in the worker like the view (the first answer here), once typing pauses
+  const goalRequest = useMemo(
+    () => ({
+      type: goalType,
+      targetDate: goalPayoffMonth,
+      freq: goalFreq,
+      plan: goalPlan,
+      maxEmi: goalMaxEmi,
+      maxInterest: goalMaxInterest,
+      date: goalLumpDate,
+    }),
+    [goalType, goalPayoffMonth, goalFreq, goalPlan, goalMaxEmi, goalMaxInterest, goalLumpDate]
+  );
+  const [goal, setGoal] = useState(() => solveGoal(inputs, goalRequest));
+  const [goalPending, setGoalPending] = useState(false);
+  const firstGoalRef = useRef(goalRequest); // already in the first answer
+
+  useEffect(() => {
+    if (inputs === firstInputsRef.current && goalRequest === firstGoalRef.current) return undefined;
+    const id = ++jobRef.current.goal;
+    setGoalPending(true);
+    const timer = setTimeout(() => {
+      if (workerRef.current) {
+        workerRef.current.postMessage({ id, kind: "goal", inputs, goal: goalRequest });
+        return;
+      }
+      setGoal(solveGoal(inputs, goalRequest));
+      setGoalPending(false);
+    }, ENGINE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [inputs, goalRequest]);
+
+  // copy the solver's answer into the loan inputs
+  function applyGoal() {
+    if (goalPending || !goal.reachable) return;
+    if (goalType === "emi") {
+      setTenureYears(Math.floor(goal.months / 12));
+      setTenureMonths(goal.months % 12);
+    } else if (goalType === "interest") {
+      if (goal.amount > 0) {
+        setLumpSums((prev) => [...prev, { amount: goal.amount, date: goalLumpDate, label: "Goal seek", mode: "reduceTenure" }]);
+      }
+    } else {
+      setRecurringPrepayAmt(goal.amount);
+      setRecurringPrepayFreq(goalFreq);
+      setRecurringPrepayMode("reduceTenure");
+    }
+  }
+
+  /** ---------- Bank Statement Reconciliation ---------- **/
+
+  async function importStatement(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const rows = parseCSV(await file.text());
+    setStatementName(file.name);
+    setStatementRows(rows);
+    setStatementMapping(rows.length ? guessStatementMapping(rows[0]) : {});
+    setRestartNote("");
+  }
+
+  const statement = useMemo(
+    () => (statementRows.length ? parseStatement(statementRows, statementMapping) : null),
+    [statementRows, statementMapping]
+  );
+
+  const reconciliation = useMemo(
+    () =>
+      statement && statement.months.length
+        ? reconcileStatement((scenarios[reconcilePlan] || baseScenario).schedule, statement.months, {
+            hasInterest: statementMapping.interest >= 0,
+          })
+        : null,
+    [statement, scenarios, baseScenario, reconcilePlan, statementMapping]
+  );
+
+  // replace the loan inputs with a projection from the last actual balance
+  function restartFromStatement() {
+    const { lastActual } = reconciliation;
+    applyInputs(restartFromActual(inputs, lastActual));
+    setRestartNote(`Projection restarted from the ${lastActual.date} statement balance of ${money(lastActual.balance)}.`);
+  }
+
+  /** ---------- Tenure × rate sensitivity ---------- **/
+
+  // loan the grid varies, for outlining its current cell
+  const sensitivityLoan = scenarioInputs(inputs, sensitivity.scenario);
+
+  // cell value as shown in the grid
+  function sensitivityText(cell) {
+    if (sensitivity.metric === "payoffMonth") return cell.payoffDate ? cell.payoffDate.slice(0, 7) : "-";
+    if (sensitivity.metric === "effectiveRate") return cell.apr === null ? "-" : `${cell.apr.toFixed(2)}%`;
+    return fmt.compact(cell.value);
+  }
+
+  // green (lowest) → red (highest) across the grid
+  function sensitivityColor(value) {
+    if (value === null) return "transparent";
+    const span = sensitivity.max - sensitivity.min;
+    const t = span > 0 ? (value - sensitivity.min) / span : 0;
+    return `hsl(${Math.round(120 * (1 - t))}, 70%, 85%)`;
+  }
+
+  // load a cell's tenure and rate into the loan inputs
+  // into Loan Inputs, or into the user-defined scenario the grid is for
+  function loadSensitivityCell(cell) {
+    const months = Math.round(cell.years * 12);
+    const i = customIndex(sensitivity.scenario);
+    if (i >= 0) {
+      updateCustomScenario(i, {
+        tenureYears: Math.floor(months / 12),
+        tenureMonths: months % 12,
+        annualRate: cell.rate,
+      });
+      return;
+    }
+    setTenureYears(Math.floor(months / 12));
+    setTenureMonths(months % 12);
+    setAnnualRate(cell.rate);
+  }
+
+  // EMI as shown in tables: "start → after last reset" when resets changed it
+  function emiLabel(scen) {
+    if (Math.abs(scen.finalEmi - scen.emi) < 0.01) return money(scen.emi);
+    return `${money(scen.emi)} → ${money(scen.finalEmi)}`;
+  }
+
+  // present-value columns of the Scenario Comparison table
+  function pvCells(pv) {
+    return (
+      <>
+        <td>{money(pv.emis)}</td>
+        <td>{pv.prepayments > 0 ? money(pv.prepayments) : "-"}</td>
+        <td>{money(pv.cost)}</td>
+      </>
+    );
+  }
 
+  // rate, fees and APR cells of scenario `key` in the Scenario Comparison table (a custom scenario has its own rate)
+  function rateCells(eff, key) {
+    return (
+      <>
+        <td>{scenarioInputs(view.inputs, key).annualRate}%</td>
+        <td>{money(eff.fees.total)}</td>
+        <td>{eff.apr === null ? "-" : `${eff.apr.toFixed(2)}%`}</td>
+      </>
+    );
+  }
 
   /** ---------- CSV Export ---------- **/
   function exportCSV(schedule, filename = "amortization.csv") {
-    const header = ["Month", "Date", "Payment", "PrincipalPaid", "InterestPaid", "Balance", "SavingsLinked"];
-    const rows = schedule.map((r) => [r.month, r.date, r.payment, r.principalPaid, r.interestPaid, r.balance, r.savingsLinked]);
-    const csvContent = [header, ...rows].map((r) => r.join(",")).join("\n");
-    const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    a.click();
-    URL.revokeObjectURL(url);
-  }
-
-  const currentSchedule = useMemo(() => {
-    switch (selectedScenario) {
-      case "prepay":
-        return prepayScenario.schedule;
-      case "savings":
-        return savingsScenario.schedule;
-      case "prepaySavings":
-        return prepaySavingsScenario.schedule;
-      case "base":
-      default:
-        return baseScenario.schedule;
+    downloadFile(scheduleToCSV(schedule, currency), filename, "text/csv;charset=utf-8;");
+  }
+
+  /** ---------- Report Export (XLSX / PDF) ---------- **/
+
+  // the export libraries are loaded on first use so they don't weigh down the page
+  async function exportReport(kind) {
+    setReportBusy(true);
+    try {
+      const report = buildReport(view);
+      const stem = `home-loan-report-${report.generatedAt}`;
+      if (kind === "xlsx") {
+        const { downloadWorkbook } = await import("./report/xlsx.js");
+        await downloadWorkbook(report, `${stem}.xlsx`);
+      } else {
+        const { downloadPdf } = await import("./report/pdf.js");
+        await downloadPdf(report, { filename: `${stem}.pdf` });
+      }
+    } catch (err) {
+      window.alert(`Couldn't create the report: ${err.message}`);
+    } finally {
+      setReportBusy(false);
+    }
+  }
+
+  // a deleted or hidden scenario falls back to Base
+  let viewedScenario = scenarioItems.some((s) => s.key === selectedScenario) ? selectedScenario : "base";
+  if (selectedScenario === "step" && stepPlan) viewedScenario = "step";
+  const currentSchedule = viewedScenario === "step" ? stepPlan.schedule : scenarios[viewedScenario].schedule;
+
+  /** ---------- Amortization table ---------- **/
+
+  const scenarioName = (key) => (key === "step" ? stepName : scenarioItems.find((s) => s.key === key).name);
+  const compareOptions = [...scenarioItems.map((s) => s.key), ...(stepPlan ? ["step"] : [])].filter(
+    (k) => k !== viewedScenario
+  );
+  const compareKey = compareOptions.includes(compareScenario) ? compareScenario : "";
+  const compareSchedule = compareKey === "step" ? stepPlan.schedule : compareKey ? scenarios[compareKey].schedule : null;
+
+  // the months listed: schedule rows, or both scenarios' rows with their difference
+  const amortItems = useMemo(
+    () => (compareSchedule ? diffSchedules(currentSchedule, compareSchedule) : currentSchedule),
+    [currentSchedule, compareSchedule]
+  );
+
+  // display order: a header with subtotals per year, then that year's months unless it's collapsed
+  const amortRows = useMemo(() => {
+    if (amortGrouping === "none") return amortItems.map((item, index) => ({ item, index }));
+    const out = [];
+    for (const group of groupRows(amortItems, amortGrouping)) {
+      const items = amortItems.slice(group.start, group.end);
+      const totals = compareSchedule
+        ? {
+            a: scheduleSubtotals(items.filter((r) => r.a).map((r) => r.a)),
+            b: scheduleSubtotals(items.filter((r) => r.b).map((r) => r.b)),
+          }
+        : scheduleSubtotals(items);
+      out.push({ group, totals });
+      if (!collapsedYears.has(group.label)) items.forEach((item, i) => out.push({ item, index: group.start + i }));
     }
-  }, [selectedScenario, baseScenario, prepayScenario, savingsScenario, prepaySavingsScenario]);
+    return out;
+  }, [amortItems, amortGrouping, collapsedYears, compareSchedule]);
+
+  // rows in (or near) view; the rest are empty space of the same height
+  const amortFirst = Math.max(0, Math.floor(amortScrollTop / AMORT_ROW_HEIGHT) - AMORT_OVERSCAN);
+  const amortWindow = Math.ceil(AMORT_VIEW_HEIGHT / AMORT_ROW_HEIGHT) + 2 * AMORT_OVERSCAN;
+  const amortLast = Math.min(amortRows.length, amortFirst + amortWindow);
+  const amortColumns = compareSchedule ? 2 + 3 * DIFF_FIELDS.length : 9;
+
+  function toggleYear(label) {
+    setCollapsedYears((prev) => {
+      const next = new Set(prev);
+      if (next.has(label)) next.delete(label);
+      else next.add(label);
+      return next;
+    });
+  }
+
+  // first month on or after jumpMonth (else the last one), opening its year if collapsed
+  function jumpToMonth() {
+    if (!jumpMonth || !amortItems.length) return;
+    let index = amortItems.findIndex((r) => r.date.slice(0, 7) >= jumpMonth);
+    if (index < 0) index = amortItems.length - 1;
+    if (amortGrouping !== "none") {
+      const label = periodOf(amortItems[index].date, amortGrouping);
+      setCollapsedYears((prev) => new Set([...prev].filter((l) => l !== label)));
+    }
+    setAmortJump({ index });
+  }
+
+  // scroll once the rows the jump may have expanded are in place
+  useEffect(() => {
+    if (!amortJump) return;
+    const at = amortRows.findIndex((r) => r.item && r.index === amortJump.index);
+    if (at >= 0 && amortTableRef.current) amortTableRef.current.scrollTop = at * AMORT_ROW_HEIGHT;
+    setAmortJump(null);
+  }, [amortJump, amortRows]);
+
+  // a difference column: "+₹1,000.00", "-₹1,000.00" or "-" when equal
+  const signedMoney = (n) => (Math.abs(n) < 0.005 ? "-" : `${n > 0 ? "+" : ""}${money(n)}`);
 
   /** ---------- Styles ---------- **/
   const styles = `
@@ -483,14 +1175,19 @@ export default function HomeLoanAnalyzer() {
   @media(max-width:1000px){.hla-grid{grid-template-columns:1fr}}
   .hla-card{background:var(--card);padding:18px;border-radius:var(--radius);box-shadow:var(--shadow);}
   .hla-title{font-size:22px;font-weight:700;margin-bottom:12px}
+  .hla-busy{font-size:12px;font-weight:400;color:var(--muted);margin-left:10px}
   label{display:block;font-size:13px;color:var(--muted);margin-top:8px}
-  input[type="number"],input[type="date"],select{width:100%;padding:10px;border-radius:8px;border:1px solid #e6eef6;background:#fff;font-size:14px}
+  input[type="number"],input[type="date"],input[type="text"],select{width:100%;padding:10px;border-radius:8px;border:1px solid #e6eef6;background:#fff;font-size:14px}
   .small{font-size:13px;color:var(--muted)}
   .summary-grid{display:grid;grid-template-columns:repeat(2,1fr);gap:10px;margin-top:10px}
   .summary-card{background:#f8fafc;padding:12px;border-radius:10px}
   .big-num{font-size:18px;font-weight:700}
   .btn{display:inline-block;padding:8px 12px;border-radius:10px;background:var(--accent);color:white;border:none;cursor:pointer}
   .btn.green{background:var(--accent-2)}
+  .btn.danger{background:var(--danger)}
+  .btn:disabled{opacity:.5;cursor:default}
+  label.file-btn{margin-top:0;color:white;font-size:inherit}
+  label.file-btn input{display:none}
   .charts-grid{display:grid;grid-template-columns:1fr 1fr;gap:16px;margin-top:18px}
   @media(max-width:1100px){.charts-grid{grid-template-columns:1fr}}
   .table-wrapper{overflow:auto;max-height:420px}
@@ -499,7 +1196,17 @@ export default function HomeLoanAnalyzer() {
   th{position:sticky;top:0;background:#fff}
   ul.recs{margin:0;padding-left:18px}
   .note{font-size:12px;color:var(--muted);margin-top:10px}
-
+  .note.error{color:var(--danger);white-space:pre-line}
+  .lump-row{margin-top:6px;padding:8px;border:1px solid #eef4fb;border-radius:10px}
+  tr.lump-sum td{background:#ecfdf5}
+  tr.pre-emi td{background:#fffbeb}
+  tr.neg-am td{background:#fef2f2}
+  tr.drift td{background:#fef2f2}
+  table.virtual td{height:${AMORT_ROW_HEIGHT}px;white-space:nowrap;box-sizing:border-box}
+  tr.year-row td{background:#f1f5f9;font-weight:600;cursor:pointer}
+
+  .form-grid{display:grid;grid-template-columns:repeat(3,1fr);gap:0 12px}
+  @media(max-width:1000px){.form-grid{grid-template-columns:1fr}}
   .tenure-grid{display:grid;grid-template-columns:repeat(1,1fr);gap:10px}
   @media(max-width:1100px){.tenure-grid{grid-template-columns:repeat(2,1fr)}}
   .tenure-card{background:#f8fafc;border:1px solid #eef4fb;border-radius:12px;padding:12px}
@@ -510,7 +1217,10 @@ export default function HomeLoanAnalyzer() {
   return (
     <div className="hla-container">
       <style dangerouslySetInnerHTML={{ __html: styles }} />
-      <h1 className="hla-title">Home Loan Analyzer</h1>
+      <h1 className="hla-title">
+        Home Loan Analyzer{calculating && <span className="hla-busy">Updating…</span>}
+      </h1>
+      {engineError && <div className="note error">Couldn't update the analysis: {engineError}</div>}
 
       {/* Inputs */}
       <div className="hla-grid">
@@ -518,7 +1228,35 @@ export default function HomeLoanAnalyzer() {
         <div className="hla-card">
           <h2 className="small">Loan Inputs</h2>
 
-          <label>Loan Amount (₹)</label>
+          <div style={{ display: "flex", gap: 8 }}>
+            <div style={{ flex: 1 }}>
+              <label>Currency</label>
+              <select value={currency} onChange={(e) => setCurrency(e.target.value)}>
+                {Object.entries(CURRENCIES).map(([code, c]) => (
+                  <option key={code} value={code}>
+                    {code} ({c.symbol})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div style={{ flex: 1 }}>
+              <label>Grouping</label>
+              <select value={numberNotation} onChange={(e) => setNumberNotation(e.target.value)}>
+                <option value="auto">Usual for {currency}</option>
+                <option value="lakh">Lakh / crore</option>
+                <option value="million">Million / billion</option>
+              </select>
+            </div>
+            <div style={{ flex: 1 }}>
+              <label>Interest rest</label>
+              <select value={interestRest} onChange={(e) => setInterestRest(e.target.value)}>
+                <option value="monthly">Monthly</option>
+                <option value="annual">Annual</option>
+              </select>
+            </div>
+          </div>
+
+          <label>Loan Amount ({cur})</label>
           <input
             type="number"
             inputMode="numeric"
@@ -556,23 +1294,71 @@ export default function HomeLoanAnalyzer() {
             onChange={(e) => setAnnualRate(Math.max(0, toNum(e.target.value)))}
           />
 
+          <label>Rate resets (floating rate)</label>
+          {rateResets.map((r, i) => (
+            <div key={i} style={{ display: "flex", gap: 6, marginTop: 6 }}>
+              <input type="date" value={r.date} onChange={(e) => updateRateReset(i, { date: e.target.value })} />
+              <input
+                type="number"
+                step="0.01"
+                inputMode="decimal"
+                value={r.rate}
+                onChange={(e) => updateRateReset(i, { rate: Math.max(0, toNum(e.target.value)) })}
+              />
+              <select value={r.mode} onChange={(e) => updateRateReset(i, { mode: e.target.value })}>
+                <option value="keepEmi">Keep EMI, change tenure</option>
+                <option value="keepTenure">Keep tenure, change EMI</option>
+              </select>
+              <button className="btn" onClick={() => removeRateReset(i)}>
+                ✕
+              </button>
+            </div>
+          ))}
+          <button className="btn" style={{ marginTop: 6 }} onClick={addRateReset}>
+            + Add rate reset
+          </button>
+
           <label>EMI Start Date</label>
           <input type="date" value={emiStartDate} onChange={(e) => setEmiStartDate(e.target.value)} />
 
           <hr style={{ margin: "14px 0" }} />
 
           <h3 className="small">Prepayment Options</h3>
-          <label>One-time Prepayment (₹)</label>
-          <input
-            type="number"
-            inputMode="numeric"
-            value={oneTimePrepayAmt}
-            onChange={(e) => setOneTimePrepayAmt(Math.max(0, toNum(e.target.value)))}
-          />
-          <label>Date for one-time prepayment</label>
-          <input type="date" value={oneTimePrepayDate} onChange={(e) => setOneTimePrepayDate(e.target.value)} />
+          <label>Lump-sum prepayments ({cur})</label>
+          {lumpSums.map((l, i) => (
+            <div key={i} className="lump-row">
+              <div style={{ display: "flex", gap: 6 }}>
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  placeholder="Amount"
+                  value={l.amount}
+                  onChange={(e) => updateLumpSum(i, { amount: Math.max(0, toNum(e.target.value)) })}
+                />
+                <input type="date" value={l.date} onChange={(e) => updateLumpSum(i, { date: e.target.value })} />
+                <button className="btn" onClick={() => removeLumpSum(i)}>
+                  ✕
+                </button>
+              </div>
+              <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+                <input
+                  type="text"
+                  placeholder="Label (bonus, FD, ESOP…)"
+                  value={l.label}
+                  onChange={(e) => updateLumpSum(i, { label: e.target.value })}
+                />
+                <select value={l.mode} onChange={(e) => updateLumpSum(i, { mode: e.target.value })}>
+                  <option value="reduceTenure">Reduce tenure (keep EMI)</option>
+                  <option value="reduceEmi">Reduce EMI (keep tenure)</option>
+                </select>
+              </div>
+            </div>
+          ))}
+          <button className="btn" style={{ marginTop: 6 }} onClick={addLumpSum}>
+            + Add lump sum
+          </button>
 
-          <label>Recurring prepayment (₹)</label>
+          <label>Recurring prepayment ({cur})</label>
           <div style={{ display: "flex", gap: 8 }}>
             <input
               type="number"
@@ -586,6 +1372,11 @@ export default function HomeLoanAnalyzer() {
               <option value="yearly">Yearly</option>
             </select>
           </div>
+          <label>After each recurring prepayment</label>
+          <select value={recurringPrepayMode} onChange={(e) => setRecurringPrepayMode(e.target.value)}>
+            <option value="reduceTenure">Reduce tenure (keep EMI)</option>
+            <option value="reduceEmi">Reduce EMI (keep tenure)</option>
+          </select>
         </div>
 
         {/* Savings card */}
@@ -595,7 +1386,7 @@ export default function HomeLoanAnalyzer() {
             <input type="checkbox" checked={linkSavings} onChange={(e) => setLinkSavings(e.target.checked)} /> Opt In
           </label>
 
-          <label>Current savings balance (₹)</label>
+          <label>Current savings balance ({cur})</label>
           <input
             type="number"
             inputMode="numeric"
@@ -603,13 +1394,64 @@ export default function HomeLoanAnalyzer() {
             onChange={(e) => setSavingsBalance(Math.max(0, toNum(e.target.value)))}
           />
 
-          <label>Monthly growth/decline in savings (₹)</label>
-          <input
-            type="number"
-            inputMode="numeric"
-            value={savingsGrowthMonthly}
-            onChange={(e) => setSavingsGrowthMonthly(toNum(e.target.value))}
-          />
+          <label>Offset calculation</label>
+          <select value={offsetModel} onChange={(e) => setOffsetModel(e.target.value)}>
+            <option value="monthEnd">Month-end balance (simple)</option>
+            <option value="daily">Daily balance (MaxGain / SmartSaver)</option>
+          </select>
+
+          {offsetModel === "daily" ? (
+            <>
+              <div style={{ display: "flex", gap: 12 }}>
+                <div style={{ flex: 1 }}>
+                  <label>Salary credited ({cur}/month)</label>
+                  <input
+                    type="number"
+                    inputMode="numeric"
+                    value={salaryCredit}
+                    onChange={(e) => setSalaryCredit(Math.max(0, toNum(e.target.value)))}
+                  />
+                </div>
+                <div style={{ width: 120 }}>
+                  <label>on day</label>
+                  <input
+                    type="number"
+                    inputMode="numeric"
+                    min="1"
+                    max="31"
+                    value={salaryDay}
+                    onChange={(e) => setSalaryDay(Math.min(31, Math.max(1, toNum(e.target.value, 1))))}
+                  />
+                </div>
+              </div>
+
+              <label>Spending through the month ({cur})</label>
+              <input
+                type="number"
+                inputMode="numeric"
+                value={monthlySpend}
+                onChange={(e) => setMonthlySpend(Math.max(0, toNum(e.target.value)))}
+              />
+
+              <label>Minimum balance, not counted as offset ({cur})</label>
+              <input
+                type="number"
+                inputMode="numeric"
+                value={minBalance}
+                onChange={(e) => setMinBalance(Math.max(0, toNum(e.target.value)))}
+              />
+            </>
+          ) : (
+            <>
+              <label>Monthly growth/decline in savings ({cur})</label>
+              <input
+                type="number"
+                inputMode="numeric"
+                value={savingsGrowthMonthly}
+                onChange={(e) => setSavingsGrowthMonthly(toNum(e.target.value))}
+              />
+            </>
+          )}
         </div>
 
         {/* Summary cards */}
@@ -618,22 +1460,69 @@ export default function HomeLoanAnalyzer() {
           <div className="summary-grid">
             <div className="summary-card">
               <div className="small">EMI (Base)</div>
-              <div className="big-num">₹{formatINR(baseScenario.emi)}</div>
+              <div className="big-num">{money(baseScenario.emi)}</div>
             </div>
             <div className="summary-card">
               <div className="small">Total Interest (Base)</div>
-              <div className="big-num">₹{formatINR(baseScenario.totals.totalInterest)}</div>
+              <div className="big-num">{money(baseScenario.totals.totalInterest)}</div>
             </div>
             <div className="summary-card">
               <div className="small">Payoff after (months)</div>
               <div className="big-num">{baseScenario.schedule.length}</div>
             </div>
-            <div className="summary-card">
-              <div className="small">Total Cost (P + I)</div>
-              <div className="big-num">₹{formatINR(loanAmount + baseScenario.totals.totalInterest)}</div>
-            </div>
+            {realValues ? (
+              <div className="summary-card">
+                <div className="small">Total Cost (today's {cur})</div>
+                <div className="big-num">{money(presentValues.base.total)}</div>
+              </div>
+            ) : (
+              <div className="summary-card">
+                <div className="small">Total Cost (P + I)</div>
+                <div className="big-num">{money(view.inputs.loanAmount + baseScenario.totals.totalInterest)}</div>
+              </div>
+            )}
+            {realValues && (
+              <div className="summary-card">
+                <div className="small">Real interest cost (today's {cur})</div>
+                <div className="big-num">{money(presentValues.base.cost)}</div>
+              </div>
+            )}
+            {baseScenario.totals.preEmiInterest > 0 && (
+              <div className="summary-card">
+                <div className="small">Pre-EMI interest (in total interest)</div>
+                <div className="big-num">{money(baseScenario.totals.preEmiInterest)}</div>
+              </div>
+            )}
           </div>
 
+          <div style={{ display: "flex", alignItems: "flex-end", gap: 12, marginTop: 10 }}>
+            <label style={{ display: "flex", alignItems: "center", gap: 8, flex: 1 }}>
+              <input type="checkbox" checked={realValues} onChange={(e) => setRealValues(e.target.checked)} /> Show in
+              today's {cur}
+            </label>
+            <div style={{ width: 150 }}>
+              <label>Inflation / discount (%)</label>
+              <input
+                type="number"
+                step="0.1"
+                inputMode="decimal"
+                value={inflationRate}
+                onChange={(e) => setInflationRate(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+          </div>
+          {realValues && (
+            <div className="note">
+              Every EMI and prepayment discounted to the first EMI at {inflationRate}% a year: money paid in year 20
+              counts for far less than the same amount paid in year 2.
+            </div>
+          )}
+          {eligibility.overSafeShare && (
+            <div className="note error">
+              EMI {money(eligibility.currentEmi)} is {eligibility.emiSharePct.toFixed(1)}% of monthly income, above your{" "}
+              {safeEmiPct}% comfort limit.
+            </div>
+          )}
           <div style={{ marginTop: 12 }}>
             <button className="btn" onClick={() => exportCSV(baseScenario.schedule, "base_amortization.csv")}>
               Export Base CSV
@@ -641,125 +1530,1067 @@ export default function HomeLoanAnalyzer() {
             <button
               className="btn green"
               style={{ marginLeft: 8 }}
-              onClick={() => exportCSV(prepayScenario.schedule, "prepay_amortization.csv")}
+              onClick={() => exportCSV(scenarios.prepay.schedule, "prepay_amortization.csv")}
             >
               Export Prepay CSV
             </button>
           </div>
-        </div>
-      </div>
-
-      {/* Charts for selected tenure */}
-      <div className="charts-grid">
-        <div className="hla-card">
-          <h3 className="small">Remaining Balance — Scenario Comparison</h3>
-          <div style={{ width: "100%", height: 300 }}>
-            <ResponsiveContainer>
-              <LineChart data={chartData}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="month" />
-                <YAxis />
-                <Tooltip />
-                <Legend />
-                <Line type="monotone" dataKey="baseBalance" name="Base" stroke="#8884d8" dot={false} />
-                <Line type="monotone" dataKey="prepayBalance" name="Prepay" stroke="#82ca9d" dot={false} />
-                <Line type="monotone" dataKey="savingsBalance" name="Savings Linked" stroke="#ff7300" dot={false} />
-                <Line type="monotone" dataKey="prepaySavingsBalance" name="Prepay + Savings" stroke="#d62728" dot={false} />
-              </LineChart>
-            </ResponsiveContainer>
+          <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+            <button className="btn" disabled={reportBusy} onClick={() => exportReport("xlsx")}>
+              Report (XLSX)
+            </button>
+            <button className="btn" disabled={reportBusy} onClick={() => exportReport("pdf")}>
+              Report (PDF)
+            </button>
+          </div>
+          <div className="note">
+            Reports cover every scenario shown: the workbook has inputs, every schedule, a yearly summary and
+            the recommendations; the PDF adds the charts.
           </div>
         </div>
 
+        {/* Tax benefits */}
         <div className="hla-card">
-          <h3 className="small">Cumulative Interest — Scenario Comparison</h3>
-          <div style={{ width: "100%", height: 300 }}>
-            <ResponsiveContainer>
-              <LineChart data={chartData}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="month" />
-                <YAxis />
-                <Tooltip />
-                <Legend />
-                <Line type="monotone" dataKey="baseInterestCumu" name="Base" stroke="#8884d8" dot={false} />
-                <Line type="monotone" dataKey="prepayInterestCumu" name="Prepay" stroke="#82ca9d" dot={false} />
-                <Line type="monotone" dataKey="savingsInterestCumu" name="Savings Linked" stroke="#ff7300" dot={false} />
-                <Line type="monotone" dataKey="prepaySavingsInterestCumu" name="Prepay + Savings" stroke="#d62728" dot={false} />
-              </LineChart>
-            </ResponsiveContainer>
-          </div>
-        </div>
+          <h2 className="small">Tax Benefits</h2>
 
-        {/* Amortization Schedule */}
-        <div className="hla-card" style={{ gridColumn: "1 / -1" }}>
-          <h3 className="small">Amortization Schedule</h3>
-          <div style={{ display: "flex", flexWrap: "wrap", gap: 12 }}>
-            <label>
-              <input
-                type="radio"
-                name="scenario"
-                value="base"
-                checked={selectedScenario === "base"}
-                onChange={(e) => setSelectedScenario(e.target.value)}
-              />{" "}
-              Base
-            </label>
-            <label>
+          <label>Property</label>
+          <select value={propertyType} onChange={(e) => setPropertyType(e.target.value)}>
+            <option value="selfOccupied">Self-occupied</option>
+            <option value="letOut">Let-out</option>
+          </select>
+
+          {propertyType === "letOut" && (
+            <>
+              <label>Annual rent received ({cur})</label>
               <input
-                type="radio"
-                name="scenario"
-                value="prepay"
-                checked={selectedScenario === "prepay"}
-                onChange={(e) => setSelectedScenario(e.target.value)}
-              />{" "}
-              Prepay
-            </label>
-            <label>
-              <input
-                type="radio"
-                name="scenario"
-                value="savings"
-                checked={selectedScenario === "savings"}
-                onChange={(e) => setSelectedScenario(e.target.value)}
-              />{" "}
-              Savings Linked
+                type="number"
+                inputMode="numeric"
+                value={annualRent}
+                onChange={(e) => setAnnualRent(Math.max(0, toNum(e.target.value)))}
+              />
+            </>
+          )}
+
+          <div style={{ display: "flex", gap: 12 }}>
+            <div style={{ flex: 1 }}>
+              <label>Tax slab (%)</label>
+              <select value={slabRate} onChange={(e) => setSlabRate(toNum(e.target.value))}>
+                {[0, 5, 10, 15, 20, 25, 30].map((r) => (
+                  <option key={r} value={r}>
+                    {r}%
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div style={{ flex: 1 }}>
+              <label>Show post-tax for</label>
+              <select value={taxRegime} onChange={(e) => setTaxRegime(e.target.value)}>
+                <option value="old">Old regime</option>
+                <option value="new">New regime</option>
+              </select>
+            </div>
+          </div>
+
+          <label>80C already used elsewhere ({cur})</label>
+          <input
+            type="number"
+            inputMode="numeric"
+            value={other80C}
+            onChange={(e) => setOther80C(Math.max(0, toNum(e.target.value)))}
+          />
+
+          <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <input type="checkbox" checked={eligible80EEA} onChange={(e) => setEligible80EEA(e.target.checked)} /> Eligible
+            for 80EEA (first home, sanctioned FY 2019-22)
+          </label>
+
+          <table style={{ marginTop: 10 }}>
+            <thead>
+              <tr>
+                <th>Base loan</th>
+                <th>Old</th>
+                <th>New</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td>Tax saved on interest</td>
+                <td>{money(taxResults.base.old.interestTaxSaved)}</td>
+                <td>{money(taxResults.base.new.interestTaxSaved)}</td>
+              </tr>
+              <tr>
+                <td>Tax saved on principal</td>
+                <td>{money(taxResults.base.old.principalTaxSaved)}</td>
+                <td>{money(taxResults.base.new.principalTaxSaved)}</td>
+              </tr>
+              <tr>
+                <td>Post-tax interest</td>
+                <td>{money(taxResults.base.old.postTaxInterest)}</td>
+                <td>{money(taxResults.base.new.postTaxInterest)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        {/* Under construction */}
+        <div className="hla-card">
+          <h2 className="small">Under Construction</h2>
+          <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <input type="checkbox" checked={underConstruction} onChange={(e) => setUnderConstruction(e.target.checked)} />{" "}
+            Loan released in tranches
+          </label>
+
+          {underConstruction && (
+            <>
+              <label>Possession date</label>
+              <input type="date" value={possessionDate} onChange={(e) => setPossessionDate(e.target.value)} />
+
+              <label>Until possession</label>
+              <select value={constructionMode} onChange={(e) => setConstructionMode(e.target.value)}>
+                <option value="preEmi">Pre-EMI (interest only)</option>
+                <option value="fullEmi">Full EMI from first tranche</option>
+              </select>
+
+              <label>Disbursements ({cur})</label>
+              {disbursements.map((d, i) => (
+                <div key={i} className="lump-row">
+                  <div style={{ display: "flex", gap: 6 }}>
+                    <input
+                      type="number"
+                      inputMode="numeric"
+                      placeholder="Amount"
+                      value={d.amount}
+                      onChange={(e) => updateDisbursement(i, { amount: Math.max(0, toNum(e.target.value)) })}
+                    />
+                    <input type="date" value={d.date} onChange={(e) => updateDisbursement(i, { date: e.target.value })} />
+                    <button className="btn" onClick={() => removeDisbursement(i)}>
+                      ✕
+                    </button>
+                  </div>
+                  <input
+                    type="text"
+                    placeholder="Stage (plinth, slab…)"
+                    style={{ marginTop: 6 }}
+                    value={d.label}
+                    onChange={(e) => updateDisbursement(i, { label: e.target.value })}
+                  />
+                </div>
+              ))}
+              <button className="btn" style={{ marginTop: 6 }} onClick={addDisbursement}>
+                + Add tranche
+              </button>
+              <div className="note">
+                Anything not covered by tranches (
+                {money(Math.max(0, loanAmount - disbursements.reduce((s, d) => s + Math.max(0, toNum(d.amount)), 0)))})
+                is released at possession. The schedule starts at the first tranche.
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Saved scenarios */}
+        <div className="hla-card">
+          <h2 className="small">Saved Scenarios</h2>
+
+          <label>Name</label>
+          <div style={{ display: "flex", gap: 6 }}>
+            <input
+              type="text"
+              placeholder="e.g. SBI 25y with bonus prepay"
+              value={saveName}
+              onChange={(e) => setSaveName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && saveCurrent()}
+            />
+            <button className="btn green" onClick={saveCurrent}>
+              Save
+            </button>
+          </div>
+
+          <label>Saved in this browser</label>
+          {savedScenarios.length ? (
+            <>
+              <select value={pickedSaved} onChange={(e) => setPickedSaved(e.target.value)}>
+                <option value="">Select…</option>
+                {savedScenarios.map((s) => (
+                  <option key={s.name} value={s.name}>
+                    {s.name}
+                    {s.savedAt ? ` — ${s.savedAt.slice(0, 10)}` : ""}
+                  </option>
+                ))}
+              </select>
+              <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+                <button className="btn" disabled={!pickedSaved} onClick={() => loadSaved(pickedSaved)}>
+                  Load
+                </button>
+                <button className="btn" disabled={!pickedSaved} onClick={() => duplicateSaved(pickedSaved)}>
+                  Duplicate
+                </button>
+                <button className="btn danger" disabled={!pickedSaved} onClick={() => deleteSaved(pickedSaved)}>
+                  Delete
+                </button>
+              </div>
+            </>
+          ) : (
+            <div className="small">Nothing saved yet.</div>
+          )}
+
+          <label>Share</label>
+          <div style={{ display: "flex", gap: 6 }}>
+            <button className="btn green" onClick={copyLink}>
+              Copy link
+            </button>
+            <button className="btn" onClick={exportInputsFile}>
+              Export JSON
+            </button>
+            <label className="btn file-btn">
+              Import JSON
+              <input type="file" accept="application/json,.json" onChange={importInputsFile} />
             </label>
-            <label>
+          </div>
+
+          {fileMessage && <div className={fileMessage.error ? "note error" : "note"}>{fileMessage.text}</div>}
+          <div className="note">
+            Links and exports hold every input, so relatives or advisors see the exact setup without retyping it.
+          </div>
+        </div>
+
+        {/* Eligibility & affordability */}
+        <div className="hla-card">
+          <h2 className="small">Eligibility &amp; Affordability</h2>
+
+          <div style={{ display: "flex", gap: 12 }}>
+            <div style={{ flex: 1 }}>
+              <label>Net monthly income ({cur})</label>
               <input
-                type="radio"
-                name="scenario"
-                value="prepaySavings"
-                checked={selectedScenario === "prepaySavings"}
-                onChange={(e) => setSelectedScenario(e.target.value)}
-              />{" "}
-              Prepay + Savings
-            </label>
+                type="number"
+                inputMode="numeric"
+                value={netMonthlyIncome}
+                onChange={(e) => setNetMonthlyIncome(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div style={{ flex: 1 }}>
+              <label>Co-applicant income ({cur})</label>
+              <input
+                type="number"
+                inputMode="numeric"
+                value={coApplicantIncome}
+                onChange={(e) => setCoApplicantIncome(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+          </div>
+
+          <label>Existing EMIs per month ({cur})</label>
+          <input
+            type="number"
+            inputMode="numeric"
+            value={existingEmis}
+            onChange={(e) => setExistingEmis(Math.max(0, toNum(e.target.value)))}
+          />
+
+          <label>Property value ({cur})</label>
+          <input
+            type="number"
+            inputMode="numeric"
+            value={propertyValue}
+            onChange={(e) => setPropertyValue(Math.max(0, toNum(e.target.value)))}
+          />
+
+          <div style={{ display: "flex", gap: 12 }}>
+            <div style={{ flex: 1 }}>
+              <label>FOIR (%)</label>
+              <input
+                type="number"
+                inputMode="decimal"
+                value={foirPct}
+                onChange={(e) => setFoirPct(Math.min(100, Math.max(0, toNum(e.target.value))))}
+              />
+            </div>
+            <div style={{ flex: 1 }}>
+              <label>LTV (%, 0 = RBI)</label>
+              <input
+                type="number"
+                inputMode="decimal"
+                value={ltvPct}
+                onChange={(e) => setLtvPct(Math.min(100, Math.max(0, toNum(e.target.value))))}
+              />
+            </div>
+            <div style={{ flex: 1 }}>
+              <label>Safe EMI (%)</label>
+              <input
+                type="number"
+                inputMode="decimal"
+                value={safeEmiPct}
+                onChange={(e) => setSafeEmiPct(Math.min(100, Math.max(0, toNum(e.target.value))))}
+              />
+            </div>
+          </div>
+
+          <table style={{ marginTop: 10 }}>
+            <tbody>
+              <tr>
+                <td>Max loan by income (FOIR)</td>
+                <td>{money(eligibility.maxLoanByIncome)}</td>
+              </tr>
+              <tr>
+                <td>Max loan by LTV</td>
+                <td>{money(eligibility.maxLoanByLtv)}</td>
+              </tr>
+              <tr>
+                <td>
+                  <strong>Eligible loan</strong> ({eligibility.limitedBy === "income" ? "income" : "LTV"} limit)
+                </td>
+                <td>
+                  <strong>{money(eligibility.eligibleLoan)}</strong>
+                </td>
+              </tr>
+              <tr>
+                <td>EMI at eligible amount</td>
+                <td>{money(eligibility.emiAtEligible)}</td>
+              </tr>
+              <tr>
+                <td>Safe EMI ({safeEmiPct}% of income)</td>
+                <td>{money(eligibility.safeEmi)}</td>
+              </tr>
+              <tr>
+                <td>Safe loan amount</td>
+                <td>{money(eligibility.safeLoan)}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+            <button
+              className="btn green"
+              disabled={!eligibility.eligibleLoan}
+              onClick={() => setLoanAmount(eligibility.eligibleLoan)}
+            >
+              Use eligible amount
+            </button>
+            <button className="btn" disabled={!eligibility.safeLoan} onClick={() => setLoanAmount(eligibility.safeLoan)}>
+              Use safe amount
+            </button>
+          </div>
+
+          {eligibility.overSafeShare && (
+            <div className="note error">
+              Current EMI {money(eligibility.currentEmi)} takes {eligibility.emiSharePct.toFixed(1)}% of income, above
+              the {safeEmiPct}% you marked safe.
+            </div>
+          )}
+          {eligibility.overEligible && (
+            <div className="note error">
+              Loan amount {money(loanAmount)} is more than a lender would likely sanction (
+              {money(eligibility.eligibleLoan)}).
+            </div>
+          )}
+          <div className="note">
+            Lenders cap all EMIs (existing + this one) at the FOIR share of combined income and the loan at the LTV
+            limit. Worked out at the rate and tenure in Loan Inputs.
+          </div>
+        </div>
+
+        {/* Step-up / step-down EMI */}
+        <div className="hla-card">
+          <h2 className="small">Step-up / Step-down EMI</h2>
+
+          <label>EMI plan</label>
+          <select value={emiStepMode} onChange={(e) => setEmiStepMode(e.target.value)}>
+            <option value="none">Flat EMI (off)</option>
+            <option value="percent">Change by % every year</option>
+            <option value="amount">Change by {cur} every year</option>
+            <option value="custom">Custom year-by-year EMI</option>
+          </select>
+
+          {(emiStepMode === "percent" || emiStepMode === "amount") && (
+            <div style={{ display: "flex", gap: 12 }}>
+              <div style={{ flex: 1 }}>
+                <label>Direction</label>
+                <select value={emiStepDirection} onChange={(e) => setEmiStepDirection(e.target.value)}>
+                  <option value="up">Step up (rising pay)</option>
+                  <option value="down">Step down (nearing retirement)</option>
+                </select>
+              </div>
+              <div style={{ flex: 1 }}>
+                <label>{emiStepMode === "percent" ? "Change per year (%)" : `Change per year (${cur})`}</label>
+                <input
+                  type="number"
+                  inputMode="decimal"
+                  value={emiStepValue}
+                  onChange={(e) => setEmiStepValue(Math.max(0, toNum(e.target.value)))}
+                />
+              </div>
+            </div>
+          )}
+
+          {emiStepMode === "custom" && (
+            <>
+              <label>EMI from loan year ({cur})</label>
+              {emiStepTable.map((r, i) => (
+                <div key={i} style={{ display: "flex", gap: 6, marginTop: 6 }}>
+                  <input
+                    type="number"
+                    inputMode="numeric"
+                    placeholder="Year"
+                    style={{ width: 80 }}
+                    value={r.year}
+                    onChange={(e) => updateStepRow(i, { year: Math.max(1, toNum(e.target.value)) })}
+                  />
+                  <input
+                    type="number"
+                    inputMode="numeric"
+                    placeholder="EMI"
+                    value={r.emi}
+                    onChange={(e) => updateStepRow(i, { emi: Math.max(0, toNum(e.target.value)) })}
+                  />
+                  <button className="btn" onClick={() => removeStepRow(i)}>
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <button className="btn" style={{ marginTop: 6 }} onClick={addStepRow}>
+                + Add year
+              </button>
+            </>
+          )}
+
+          {emiStepMode !== "none" && (
+            <>
+              <label>Apply to</label>
+              <select value={emiStepPlan} onChange={(e) => setEmiStepPlan(e.target.value)}>
+                {SCENARIOS.map(({ key, name }) => (
+                  <option key={key} value={key}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
+
+          {stepPlan && (
+            <>
+              <table style={{ marginTop: 10 }}>
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>Flat EMI</th>
+                    <th>{stepName}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr>
+                    <td>EMI</td>
+                    <td>{emiLabel(scenarios[emiStepPlan])}</td>
+                    <td>{emiLabel(stepPlan)}</td>
+                  </tr>
+                  <tr>
+                    <td>Closes</td>
+                    <td>
+                      {scenarios[emiStepPlan].schedule[scenarios[emiStepPlan].schedule.length - 1]?.date} (
+                      {scenarios[emiStepPlan].schedule.length}m)
+                    </td>
+                    <td>
+                      {stepPlan.schedule[stepPlan.schedule.length - 1]?.date} ({stepPlan.schedule.length}m)
+                    </td>
+                  </tr>
+                  <tr>
+                    <td>Total interest</td>
+                    <td>{money(scenarios[emiStepPlan].totals.totalInterest)}</td>
+                    <td>{money(stepPlan.totals.totalInterest)}</td>
+                  </tr>
+                </tbody>
+              </table>
+              {stepPlan.totals.negativeAmortizationMonths > 0 && (
+                <div className="note error">
+                  Negative amortization in {stepPlan.totals.negativeAmortizationMonths} month
+                  {stepPlan.totals.negativeAmortizationMonths > 1 ? "s" : ""}: the EMI doesn't cover the interest, so the
+                  shortfall is added to the balance (highlighted in the amortization schedule).
+                </div>
+              )}
+              {stepPlan.totals.unpaidBalance > 0 && (
+                <div className="note error">
+                  These EMIs don't clear the loan within {MAX_TENURE_MONTHS / 12} years:{" "}
+                  {money(stepPlan.totals.unpaidBalance)} is still owed at the end.
+                </div>
+              )}
+            </>
+          )}
+          <div className="note">
+            % and {cur} steps are sized to close within the loan tenure; a custom table is paid as entered and the loan
+            closes whenever the balance runs out.
+          </div>
+        </div>
+
+        {/* Fees & charges */}
+        <div className="hla-card">
+          <h2 className="small">Fees &amp; Charges</h2>
+
+          <div style={{ display: "flex", gap: 12 }}>
+            <div style={{ flex: 1 }}>
+              <label>Processing fee (% of loan)</label>
+              <input
+                type="number"
+                step="0.05"
+                value={processingFeePct}
+                onChange={(e) => setProcessingFeePct(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div style={{ flex: 1 }}>
+              <label>Legal, valuation &amp; other ({cur})</label>
+              <input
+                type="number"
+                inputMode="numeric"
+                value={upfrontCharges}
+                onChange={(e) => setUpfrontCharges(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+          </div>
+
+          <label>Loan protection insurance premium ({cur})</label>
+          <input
+            type="number"
+            inputMode="numeric"
+            value={insurancePremium}
+            onChange={(e) => setInsurancePremium(Math.max(0, toNum(e.target.value)))}
+          />
+          <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <input type="checkbox" checked={insuranceFinanced} onChange={(e) => setInsuranceFinanced(e.target.checked)} />{" "}
+            Add the premium to the loan (it then accrues interest)
+          </label>
+
+          <div style={{ display: "flex", gap: 12 }}>
+            <div style={{ flex: 1 }}>
+              <label>Prepayment / foreclosure charge (%)</label>
+              <input
+                type="number"
+                step="0.25"
+                value={prepaymentChargePct}
+                onChange={(e) => setPrepaymentChargePct(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div style={{ flex: 1 }}>
+              <label>Annual maintenance fee ({cur})</label>
+              <input
+                type="number"
+                inputMode="numeric"
+                value={annualFee}
+                onChange={(e) => setAnnualFee(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+          </div>
+
+          <div className="small" style={{ marginTop: 12 }}>
+            Base: fees {money(effectiveRates.base.fees.total)}, effective rate{" "}
+            <strong>{effectiveRates.base.apr === null ? "-" : `${effectiveRates.base.apr.toFixed(2)}%`}</strong> vs{" "}
+            {view.inputs.annualRate}% quoted.
+          </div>
+          <div className="note">
+            The effective rate is the yield (XIRR) of the money you actually receive and pay: interest, fees, insurance
+            and charges. It's stated compounded monthly, like the quoted rate, so a loan with no fees shows exactly the
+            quoted rate and the difference is what the fees cost. RBI doesn't allow prepayment or foreclosure charges on
+            floating-rate home loans to individuals, so leave that at 0 unless the loan is fixed-rate.
+          </div>
+        </div>
+      </div>
+
+      {/* Charts for selected tenure */}
+      <div className="charts-grid">
+        <div className="hla-card">
+          <h3 className="small">Remaining Balance — Scenario Comparison</h3>
+          <div style={{ width: "100%", height: 300 }} data-report-chart="Remaining Balance — Scenario Comparison">
+            <ResponsiveContainer>
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="month" />
+                <YAxis tickFormatter={fmt.compact} />
+                <Tooltip formatter={(v) => money(v)} />
+                <Legend />
+                {scenarioItems.map(({ key, name, color }) => (
+                  <Line key={key} type="monotone" dataKey={`${key}Balance`} name={name} stroke={color} dot={false} />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        <div className="hla-card">
+          <h3 className="small">Cumulative Interest — Scenario Comparison</h3>
+          <div style={{ width: "100%", height: 300 }} data-report-chart="Cumulative Interest — Scenario Comparison">
+            <ResponsiveContainer>
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="month" />
+                <YAxis tickFormatter={fmt.compact} />
+                <Tooltip formatter={(v) => money(v)} />
+                <Legend />
+                {scenarioItems.map(({ key, name, color }) => (
+                  <Line
+                    key={key}
+                    type="monotone"
+                    dataKey={`${key}InterestCumu`}
+                    name={name}
+                    stroke={color}
+                    dot={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        {realValues && (
+          <div className="hla-card" style={{ gridColumn: "1 / -1" }}>
+            <h3 className="small">Real EMI Burden — today's {cur} at {inflationRate}% inflation</h3>
+            <div style={{ width: "100%", height: 300 }} data-report-chart={`Real EMI Burden (today's ${cur})`}>
+              <ResponsiveContainer>
+                <LineChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="month" />
+                  <YAxis tickFormatter={fmt.compact} />
+                  <Tooltip formatter={(v) => money(v)} />
+                  <Legend />
+                  {scenarioItems.map(({ key, name, color }) => (
+                    <Line key={key} type="monotone" dataKey={`${key}RealEmi`} name={name} stroke={color} dot={false} />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
           </div>
+        )}
 
-          <div className="table-wrapper">
+        {/* Prepay vs Invest */}
+        <div className="hla-card" style={{ gridColumn: "1 / -1" }}>
+          <h3 className="small">Prepay vs Invest — Net Worth (investments after tax − loan balance)</h3>
+          <div className="form-grid">
+            <div>
+              <label>Invest in</label>
+              <select value={investInstrument} onChange={(e) => pickInstrument(e.target.value)}>
+                <option value="sip">Equity SIP</option>
+                <option value="equity">Equity fund</option>
+                <option value="fd">Fixed deposit</option>
+              </select>
+            </div>
+            <div>
+              <label>Expected return (% p.a.)</label>
+              <input
+                type="number"
+                step="0.1"
+                inputMode="decimal"
+                value={investReturn}
+                onChange={(e) => setInvestReturn(toNum(e.target.value))}
+              />
+            </div>
+            <div>
+              <label>Volatility (% p.a.)</label>
+              <input
+                type="number"
+                step="0.1"
+                inputMode="decimal"
+                value={investVolatility}
+                onChange={(e) => setInvestVolatility(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Tax on returns</label>
+              <select value={investTaxRule} onChange={(e) => setInvestTaxRule(e.target.value)}>
+                <option value="equity">Equity (STCG / LTCG)</option>
+                <option value="slab">Interest at slab (FD)</option>
+              </select>
+            </div>
+          </div>
+          <div style={{ width: "100%", height: 300, marginTop: 12 }} data-report-chart="Prepay vs Invest — Net Worth">
+            <ResponsiveContainer>
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="month" />
+                <YAxis tickFormatter={fmt.compact} />
+                <Tooltip formatter={(v) => money(v)} />
+                <Legend />
+                <Line type="monotone" dataKey="prepayNetWorth" name="Prepay" stroke="#82ca9d" dot={false} />
+                <Line type="monotone" dataKey="investNetWorth" name="Invest (expected)" stroke="#8884d8" dot={false} />
+                <Line
+                  type="monotone"
+                  dataKey="investNetWorthP10"
+                  name="Invest (poor market, P10)"
+                  stroke="#8884d8"
+                  strokeDasharray="4 4"
+                  dot={false}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="note">
+            {prepayVsInvest.crossover
+              ? `${prepayVsInvest.crossover.leader === "invest" ? "Investing" : "Prepaying"} pulls ahead from month ${
+                  prepayVsInvest.crossover.month
+                } (${prepayVsInvest.crossover.date}).`
+              : "Neither path overtakes the other."}{" "}
+            Both paths spend the same each month; whatever one pays less is invested in that path.
+          </div>
+        </div>
+
+        {/* Amortization Schedule */}
+        <div className="hla-card" style={{ gridColumn: "1 / -1" }}>
+          <h3 className="small">Amortization Schedule</h3>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 12 }}>
+            {scenarioItems.map(({ key, name }) => (
+              <label key={key}>
+                <input
+                  type="radio"
+                  name="scenario"
+                  value={key}
+                  checked={viewedScenario === key}
+                  onChange={(e) => setSelectedScenario(e.target.value)}
+                />{" "}
+                {name}
+              </label>
+            ))}
+            {stepPlan && (
+              <label>
+                <input
+                  type="radio"
+                  name="scenario"
+                  value="step"
+                  checked={viewedScenario === "step"}
+                  onChange={(e) => setSelectedScenario(e.target.value)}
+                />{" "}
+                {stepName}
+              </label>
+            )}
+            <button
+              className="btn"
+              style={{ marginLeft: "auto" }}
+              onClick={() => exportCSV(currentSchedule, `${viewedScenario}_amortization.csv`)}
+            >
+              Export CSV
+            </button>
+          </div>
+
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 12, alignItems: "center", marginTop: 8 }}>
+            <label style={{ marginTop: 0 }}>Group by</label>
+            <select value={amortGrouping} onChange={(e) => setAmortGrouping(e.target.value)} style={{ width: "auto" }}>
+              {SCHEDULE_GROUPINGS.map((g) => (
+                <option key={g.key} value={g.key}>
+                  {g.name}
+                </option>
+              ))}
+            </select>
+            {amortGrouping !== "none" && (
+              <>
+                <button className="btn" onClick={() => setCollapsedYears(new Set())}>
+                  Expand all
+                </button>
+                <button
+                  className="btn"
+                  onClick={() => setCollapsedYears(new Set(groupRows(amortItems, amortGrouping).map((g) => g.label)))}
+                >
+                  Collapse all
+                </button>
+              </>
+            )}
+            <label style={{ marginTop: 0 }}>Compare with</label>
+            <select value={compareKey} onChange={(e) => setCompareScenario(e.target.value)} style={{ width: "auto" }}>
+              <option value="">None</option>
+              {compareOptions.map((key) => (
+                <option key={key} value={key}>
+                  {scenarioName(key)}
+                </option>
+              ))}
+            </select>
+            <label style={{ marginTop: 0 }}>Jump to</label>
+            <input
+              type="month"
+              value={jumpMonth}
+              onChange={(e) => setJumpMonth(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && jumpToMonth()}
+            />
+            <button className="btn" disabled={!jumpMonth} onClick={jumpToMonth}>
+              Go
+            </button>
+          </div>
+          {compareSchedule && (
+            <div className="note">
+              A = {scenarioName(viewedScenario)}, B = {scenarioName(compareKey)}; Δ = B − A, counting a loan that has
+              closed as 0.
+            </div>
+          )}
+
+          <div
+            className="table-wrapper"
+            style={{ marginTop: 8 }}
+            ref={amortTableRef}
+            onScroll={(e) => setAmortScrollTop(e.currentTarget.scrollTop)}
+          >
+            <table className="virtual">
+              <thead>
+                {compareSchedule ? (
+                  <tr>
+                    <th>Month</th>
+                    <th>Date</th>
+                    {DIFF_FIELDS.map((f) => (
+                      <Fragment key={f.key}>
+                        <th>{f.label} A</th>
+                        <th>{f.label} B</th>
+                        <th>Δ {f.label}</th>
+                      </Fragment>
+                    ))}
+                  </tr>
+                ) : (
+                  <tr>
+                    <th>Month</th>
+                    <th>Date</th>
+                    <th>Payment</th>
+                    <th>Principal</th>
+                    <th>Interest</th>
+                    <th>Prepayment</th>
+                    <th>Disbursed</th>
+                    <th>Balance</th>
+                    <th>Rate</th>
+                  </tr>
+                )}
+              </thead>
+              <tbody>
+                {amortFirst > 0 && (
+                  <tr>
+                    <td colSpan={amortColumns} style={{ height: amortFirst * AMORT_ROW_HEIGHT, padding: 0 }} />
+                  </tr>
+                )}
+                {amortRows.slice(amortFirst, amortLast).map(({ group, totals, item: r }) => {
+                  if (group) {
+                    return (
+                      <tr key={`year-${group.label}`} className="year-row" onClick={() => toggleYear(group.label)}>
+                        <td colSpan={2}>
+                          {collapsedYears.has(group.label) ? "▸" : "▾"} {group.label}
+                        </td>
+                        {compareSchedule ? (
+                          DIFF_FIELDS.map((f) => (
+                            <Fragment key={f.key}>
+                              <td>{money(totals.a[f.key])}</td>
+                              <td>{money(totals.b[f.key])}</td>
+                              <td>{signedMoney(totals.b[f.key] - totals.a[f.key])}</td>
+                            </Fragment>
+                          ))
+                        ) : (
+                          <>
+                            <td>{money(totals.payment)}</td>
+                            <td>{money(totals.principalPaid)}</td>
+                            <td>{money(totals.interestPaid)}</td>
+                            <td>{totals.prepayment > 0 ? money(totals.prepayment) : "-"}</td>
+                            <td>{totals.disbursed > 0 ? money(totals.disbursed) : "-"}</td>
+                            <td>{money(totals.balance)}</td>
+                            <td></td>
+                          </>
+                        )}
+                      </tr>
+                    );
+                  }
+                  if (compareSchedule) {
+                    return (
+                      <tr key={r.month}>
+                        <td>{r.month}</td>
+                        <td>{r.date}</td>
+                        {DIFF_FIELDS.map((f) => (
+                          <Fragment key={f.key}>
+                            <td>{r.a ? money(r.a[f.key]) : "-"}</td>
+                            <td>{r.b ? money(r.b[f.key]) : "-"}</td>
+                            <td>{signedMoney(r.diff[f.key])}</td>
+                          </Fragment>
+                        ))}
+                      </tr>
+                    );
+                  }
+                  return (
+                    <tr
+                      key={r.month}
+                      className={
+                        r.negativeAmortization
+                          ? "neg-am"
+                          : r.lumpSum > 0
+                          ? "lump-sum"
+                          : r.phase === "preEmi"
+                          ? "pre-emi"
+                          : undefined
+                      }
+                    >
+                      <td>{r.month}</td>
+                      <td>{r.date}</td>
+                      <td>
+                        {money(r.payment)}
+                        {r.phase === "preEmi" && <span className="small"> (pre-EMI)</span>}
+                      </td>
+                      <td>{money(r.principalPaid)}</td>
+                      <td>{money(r.interestPaid)}</td>
+                      <td>
+                        {r.prepayment > 0 ? money(r.prepayment) : "-"}
+                        {r.lumpSum > 0 && <span className="small"> ({r.lumpSumLabel})</span>}
+                      </td>
+                      <td>{r.disbursed > 0 ? money(r.disbursed) : "-"}</td>
+                      <td>{money(r.balance)}</td>
+                      <td>{r.rate}%</td>
+                    </tr>
+                  );
+                })}
+                {amortLast < amortRows.length && (
+                  <tr>
+                    <td
+                      colSpan={amortColumns}
+                      style={{ height: (amortRows.length - amortLast) * AMORT_ROW_HEIGHT, padding: 0 }}
+                    />
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+          {amortGrouping !== "none" && (
+            <div className="note">
+              Click a year to collapse or expand it; its row has the year's totals and closing balance.
+            </div>
+          )}
+        </div>
+
+        {/* Scenario builder */}
+        <div className="hla-card" style={{ gridColumn: "1 / -1" }}>
+          <h3 className="small">Scenario Builder</h3>
+          {customScenarios.length > 0 && (
             <table>
               <thead>
                 <tr>
-                  <th>Month</th>
-                  <th>Date</th>
-                  <th>Payment</th>
-                  <th>Principal</th>
-                  <th>Interest</th>
-                  <th>Balance</th>
+                  <th>Name</th>
+                  <th>Colour</th>
+                  <th>Rate %</th>
+                  <th>Years</th>
+                  <th>Months</th>
+                  <th>Recurring Prepay ({cur})</th>
+                  <th>Frequency</th>
+                  <th>Lump Sums</th>
+                  <th>Link Savings</th>
+                  <th>Savings ({cur})</th>
+                  <th>Growth / month ({cur})</th>
+                  <th></th>
                 </tr>
               </thead>
               <tbody>
-                {currentSchedule.slice(0, 500).map((r) => (
-                  <tr key={r.month}>
-                    <td>{r.month}</td>
-                    <td>{r.date}</td>
-                    <td>₹{formatINR(r.payment)}</td>
-                    <td>₹{formatINR(r.principalPaid)}</td>
-                    <td>₹{formatINR(r.interestPaid)}</td>
-                    <td>₹{formatINR(r.balance)}</td>
+                {customScenarios.map((c, i) => (
+                  <tr key={i}>
+                    <td>
+                      <input value={c.name} onChange={(e) => updateCustomScenario(i, { name: e.target.value })} />
+                    </td>
+                    <td>
+                      <input
+                        type="color"
+                        style={{ width: 44, padding: 0 }}
+                        value={c.color || CUSTOM_COLORS[i % CUSTOM_COLORS.length]}
+                        onChange={(e) => updateCustomScenario(i, { color: e.target.value })}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        inputMode="decimal"
+                        step="0.05"
+                        style={{ width: 70 }}
+                        value={c.annualRate}
+                        onChange={(e) => updateCustomScenario(i, { annualRate: Math.max(0, toNum(e.target.value)) })}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        inputMode="numeric"
+                        style={{ width: 60 }}
+                        value={c.tenureYears}
+                        onChange={(e) => updateCustomScenario(i, { tenureYears: Math.max(0, toNum(e.target.value)) })}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        inputMode="numeric"
+                        style={{ width: 60 }}
+                        value={c.tenureMonths}
+                        onChange={(e) => updateCustomScenario(i, { tenureMonths: Math.max(0, toNum(e.target.value)) })}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        inputMode="numeric"
+                        style={{ width: 100 }}
+                        value={c.recurringPrepayAmt}
+                        onChange={(e) =>
+                          updateCustomScenario(i, { recurringPrepayAmt: Math.max(0, toNum(e.target.value)) })
+                        }
+                      />
+                    </td>
+                    <td>
+                      <select
+                        value={c.recurringPrepayFreq}
+                        onChange={(e) => updateCustomScenario(i, { recurringPrepayFreq: e.target.value })}
+                      >
+                        <option value="monthly">Monthly</option>
+                        <option value="quarterly">Quarterly</option>
+                        <option value="yearly">Yearly</option>
+                      </select>
+                    </td>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={c.useLumpSums}
+                        onChange={(e) => updateCustomScenario(i, { useLumpSums: e.target.checked })}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={c.linkSavings}
+                        onChange={(e) => updateCustomScenario(i, { linkSavings: e.target.checked })}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        inputMode="numeric"
+                        style={{ width: 100 }}
+                        value={c.savingsBalance}
+                        disabled={!c.linkSavings}
+                        onChange={(e) => updateCustomScenario(i, { savingsBalance: Math.max(0, toNum(e.target.value)) })}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        inputMode="numeric"
+                        style={{ width: 90 }}
+                        value={c.savingsGrowthMonthly}
+                        disabled={!c.linkSavings}
+                        onChange={(e) => updateCustomScenario(i, { savingsGrowthMonthly: toNum(e.target.value) })}
+                      />
+                    </td>
+                    <td>
+                      <button className="btn" onClick={() => removeCustomScenario(i)}>
+                        ✕
+                      </button>
+                    </td>
                   </tr>
                 ))}
               </tbody>
             </table>
+          )}
+          <div style={{ display: "flex", gap: 12, alignItems: "center", marginTop: 6 }}>
+            <button className="btn" onClick={addCustomScenario}>
+              + Add scenario
+            </button>
+            <label>
+              <input
+                type="checkbox"
+                checked={showStandardScenarios}
+                onChange={(e) => setShowStandardScenarios(e.target.checked)}
+              />{" "}
+              Show standard Prepay / Savings plans
+            </label>
+          </div>
+          <div className="note">
+            Each scenario borrows the loan amount from the EMI start date with its own rate and tenure; rate resets don't
+            apply. Base stays the reference that charts, comparison and recommendations measure against.
           </div>
         </div>
 
@@ -774,39 +2605,276 @@ export default function HomeLoanAnalyzer() {
                 <th>Payoff Months</th>
                 <th>Total Interest</th>
                 <th>Total Cost</th>
+                <th>Post-tax Interest</th>
+                <th>Eff. Post-tax Rate</th>
+                <th>Nominal Rate</th>
+                <th>Fees &amp; Charges</th>
+                <th>Effective Rate (APR)</th>
+                {realValues && <th>EMIs (today's {cur})</th>}
+                {realValues && <th>Prepayments (today's {cur})</th>}
+                {realValues && <th>Real Interest Cost</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {scenarioItems.map(({ key, name }) => (
+                <tr key={key}>
+                  <td>{name}</td>
+                  <td>{emiLabel(scenarios[key])}</td>
+                  <td>{scenarios[key].schedule.length}</td>
+                  <td>{money(scenarios[key].totals.totalInterest)}</td>
+                  <td>{money(view.inputs.loanAmount + scenarios[key].totals.totalInterest)}</td>
+                  <td>{money(taxResults[key][taxRegime].postTaxInterest)}</td>
+                  <td>{taxResults[key][taxRegime].effectiveRate.toFixed(2)}%</td>
+                  {rateCells(effectiveRates[key], key)}
+                  {realValues && pvCells(presentValues[key])}
+                </tr>
+              ))}
+              {stepPlan && (
+                <tr>
+                  <td>{stepName}</td>
+                  <td>{emiLabel(stepPlan)}</td>
+                  <td>{stepPlan.schedule.length}</td>
+                  <td>{money(stepPlan.totals.totalInterest)}</td>
+                  <td>{money(view.inputs.loanAmount + stepPlan.totals.totalInterest)}</td>
+                  <td>{money(stepTax[taxRegime].postTaxInterest)}</td>
+                  <td>{stepTax[taxRegime].effectiveRate.toFixed(2)}%</td>
+                  {rateCells(stepEffectiveRate, view.inputs.emiStepPlan)}
+                  {realValues && pvCells(stepPresentValue)}
+                </tr>
+              )}
+            </tbody>
+          </table>
+
+          <h3 className="small" style={{ marginTop: 16 }}>Prepay: Reduce Tenure vs Reduce EMI</h3>
+          <table>
+            <thead>
+              <tr>
+                <th></th>
+                <th>Reduce Tenure</th>
+                <th>Reduce EMI</th>
+                <th>Difference</th>
               </tr>
             </thead>
             <tbody>
               <tr>
-                <td>Base</td>
-                <td>₹{formatINR(baseScenario.emi)}</td>
-                <td>{baseScenario.schedule.length}</td>
-                <td>₹{formatINR(baseScenario.totals.totalInterest)}</td>
-                <td>₹{formatINR(loanAmount + baseScenario.totals.totalInterest)}</td>
+                <td>EMI at end</td>
+                <td>{money(prepayModeComparison.reduceTenure.finalEmi)}</td>
+                <td>{money(prepayModeComparison.reduceEmi.finalEmi)}</td>
+                <td>
+                  {money(prepayModeComparison.reduceTenure.finalEmi - prepayModeComparison.reduceEmi.finalEmi)}{" "}
+                  / month lower with Reduce EMI
+                </td>
               </tr>
               <tr>
-                <td>Prepay</td>
-                <td>₹{formatINR(prepayScenario.emi)}</td>
-                <td>{prepayScenario.schedule.length}</td>
-                <td>₹{formatINR(prepayScenario.totals.totalInterest)}</td>
-                <td>₹{formatINR(loanAmount + prepayScenario.totals.totalInterest)}</td>
+                <td>Payoff Months</td>
+                <td>{prepayModeComparison.reduceTenure.schedule.length}</td>
+                <td>{prepayModeComparison.reduceEmi.schedule.length}</td>
+                <td>
+                  {prepayModeComparison.reduceEmi.schedule.length - prepayModeComparison.reduceTenure.schedule.length}{" "}
+                  months sooner with Reduce Tenure
+                </td>
               </tr>
               <tr>
-                <td>Savings Linked</td>
-                <td>₹{formatINR(savingsScenario.emi)}</td>
-                <td>{savingsScenario.schedule.length}</td>
-                <td>₹{formatINR(savingsScenario.totals.totalInterest)}</td>
-                <td>₹{formatINR(loanAmount + savingsScenario.totals.totalInterest)}</td>
+                <td>Total Interest</td>
+                <td>{money(prepayModeComparison.reduceTenure.totals.totalInterest)}</td>
+                <td>{money(prepayModeComparison.reduceEmi.totals.totalInterest)}</td>
+                <td>
+                  {money(
+                    prepayModeComparison.reduceEmi.totals.totalInterest -
+                      prepayModeComparison.reduceTenure.totals.totalInterest
+                  )}{" "}
+                  extra interest with Reduce EMI
+                </td>
               </tr>
+            </tbody>
+          </table>
+        </div>
+
+        {/* Joint loan: co-borrowers */}
+        <div className="hla-card" style={{ gridColumn: "1 / -1" }}>
+          <h3 className="small">Joint Loan — Co-borrowers</h3>
+
+          <table>
+            <thead>
               <tr>
-                <td>Prepay + Savings</td>
-                <td>₹{formatINR(prepaySavingsScenario.emi)}</td>
-                <td>{prepaySavingsScenario.schedule.length}</td>
-                <td>₹{formatINR(prepaySavingsScenario.totals.totalInterest)}</td>
-                <td>₹{formatINR(loanAmount + prepaySavingsScenario.totals.totalInterest)}</td>
+                <th>Name</th>
+                <th>Owns %</th>
+                <th>EMI %</th>
+                <th>Prepay %</th>
+                <th>Savings %</th>
+                <th>Slab %</th>
+                <th>Other 80C ({cur})</th>
+                <th></th>
               </tr>
+            </thead>
+            <tbody>
+              {coBorrowers.map((b, i) => (
+                <tr key={i}>
+                  <td>
+                    <input value={b.name} onChange={(e) => updateBorrower(i, { name: e.target.value })} />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      inputMode="decimal"
+                      style={{ width: 70 }}
+                      value={b.ownershipPct}
+                      onChange={(e) => updateBorrower(i, { ownershipPct: Math.max(0, toNum(e.target.value)) })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      inputMode="decimal"
+                      style={{ width: 70 }}
+                      value={b.emiPct}
+                      onChange={(e) => updateBorrower(i, { emiPct: Math.max(0, toNum(e.target.value)) })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      inputMode="decimal"
+                      style={{ width: 70 }}
+                      value={b.prepayPct}
+                      onChange={(e) => updateBorrower(i, { prepayPct: Math.max(0, toNum(e.target.value)) })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      inputMode="decimal"
+                      style={{ width: 70 }}
+                      value={b.savingsPct}
+                      onChange={(e) => updateBorrower(i, { savingsPct: Math.max(0, toNum(e.target.value)) })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      inputMode="decimal"
+                      style={{ width: 70 }}
+                      value={b.slabRate}
+                      onChange={(e) => updateBorrower(i, { slabRate: Math.max(0, toNum(e.target.value)) })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      inputMode="numeric"
+                      style={{ width: 100 }}
+                      value={b.other80C}
+                      onChange={(e) => updateBorrower(i, { other80C: Math.max(0, toNum(e.target.value)) })}
+                    />
+                  </td>
+                  <td>
+                    <button className="btn" onClick={() => removeBorrower(i)}>
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              ))}
             </tbody>
           </table>
+          <div style={{ display: "flex", gap: 12, alignItems: "center", marginTop: 6 }}>
+            <button className="btn" onClick={addBorrower}>
+              + Add co-borrower
+            </button>
+            <label>Split the</label>
+            <select value={coBorrowerPlan} onChange={(e) => setCoBorrowerPlan(e.target.value)} style={{ width: "auto" }}>
+              {SCENARIOS.map(({ key, name }) => (
+                <option key={key} value={key}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            <label>schedule</label>
+          </div>
+
+          {coBorrowerSplit && (
+            <>
+              {coBorrowerSplit.warnings.map((w, i) => (
+                <div key={i} className="note" style={{ color: "#b45309" }}>
+                  {w}
+                </div>
+              ))}
+              <table style={{ marginTop: 12 }}>
+                <thead>
+                  <tr>
+                    <th>Borrower</th>
+                    <th>EMIs Paid</th>
+                    <th>Prepayments</th>
+                    <th>Principal Repaid</th>
+                    <th>Interest Paid</th>
+                    <th>Tax Saved ({taxRegime})</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {coBorrowerSplit.borrowers.map((b, i) => (
+                    <tr key={i}>
+                      <td>{b.name}</td>
+                      <td>{money(b.totals.payments)}</td>
+                      <td>{b.totals.prepayment > 0 ? money(b.totals.prepayment) : "-"}</td>
+                      <td>{money(b.totals.principal)}</td>
+                      <td>{money(b.totals.interest)}</td>
+                      <td>{money(b.tax[taxRegime].totalTaxSaved)}</td>
+                      <td>
+                        <button
+                          className="btn"
+                          onClick={() => exportCSV(b.schedule, `${coBorrowerPlan}_${b.name.replace(/\W+/g, "_")}_amortization.csv`)}
+                        >
+                          CSV
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <label style={{ marginTop: 12 }}>Yearly totals for</label>
+              <select value={borrowerView} onChange={(e) => setBorrowerView(toNum(e.target.value))} style={{ width: "auto" }}>
+                {coBorrowerSplit.borrowers.map((b, i) => (
+                  <option key={i} value={i}>
+                    {b.name}
+                  </option>
+                ))}
+              </select>
+              <table style={{ marginTop: 6 }}>
+                <thead>
+                  <tr>
+                    <th>Year</th>
+                    <th>EMIs Paid</th>
+                    <th>Principal</th>
+                    <th>Interest</th>
+                    <th>Prepayments</th>
+                    <th>Tax Saved ({taxRegime})</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {viewedBorrower.yearly.map((y, i) => {
+                    const tax = viewedBorrower.tax.years[i][taxRegime];
+                    return (
+                      <tr key={y.year}>
+                        <td>{y.year}</td>
+                        <td>{money(y.payments)}</td>
+                        <td>{money(y.principal)}</td>
+                        <td>{money(y.interest)}</td>
+                        <td>{y.prepayment > 0 ? money(y.prepayment) : "-"}</td>
+                        <td>{money(tax.interestTaxSaved + tax.principalTaxSaved)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </>
+          )}
+          <div className="note">
+            Shares are in % and scaled to 100 across borrowers. Each borrower pays their EMI share of every EMI (interest
+            and principal alike) and their share of prepayments; their savings share is what they keep in the offset
+            account. Tax deductions follow ownership, with every co-owner who pays towards the loan getting their own
+            Sec 24(b) and 80C limits.
+          </div>
         </div>
 
         {/* Auto Recommendations */}
@@ -820,15 +2888,21 @@ export default function HomeLoanAnalyzer() {
                 <th>Interest Saved</th>
                 <th>% Saved</th>
                 <th>Tenure Reduced</th>
+                <th>Post-tax Interest Saved</th>
+                <th>Eff. Post-tax Rate</th>
+                {realValues && <th>Saved (today's {cur})</th>}
               </tr>
             </thead>
             <tbody>
               {tableData.map((r, i) => (
                 <tr key={i} style={{ fontWeight: r.interestSaved > 0 ? "600" : "normal" }}>
                   <td>{r.name}</td>
-                  <td>{r.interestSaved > 0 ? `₹${formatINR(r.interestSaved)}` : "-"}</td>
+                  <td>{r.interestSaved > 0 ? money(r.interestSaved) : "-"}</td>
                   <td>{r.interestSaved > 0 ? `${r.percentSaved}%` : "-"}</td>
                   <td>{r.monthsSaved > 0 ? `${r.monthsSaved} month${r.monthsSaved > 1 ? "s" : ""}` : "-"}</td>
+                  <td>{r.postTaxSaved > 0 ? money(r.postTaxSaved) : "-"}</td>
+                  <td>{r.postTaxRate.toFixed(2)}%</td>
+                  {realValues && <td>{r.pvSaved > 0 ? money(r.pvSaved) : "-"}</td>}
                 </tr>
               ))}
             </tbody>
@@ -841,27 +2915,694 @@ export default function HomeLoanAnalyzer() {
           </ul>
         </div>
 
-        {/* ---------- NEW: Tenure Comparison Section ---------- */}
+        {/* Goal seek */}
         <div className="hla-card" style={{ gridColumn: "1 / -1" }}>
-        <h3 className="small">Tenure Comparison — Tooltip shows all scenarios</h3>
-        <div style={{ width: "100%", height: 300 }}>
-          <ResponsiveContainer>
-            <BarChart data={tenureChartData}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="tenure" />
-              <YAxis />
-              <Tooltip content={<CustomTooltip />} />
-              <Legend />
-              <Bar dataKey="totalInterestBase" name="Total Interest (Base)" fill="#8884d8" />
-            </BarChart>
-          </ResponsiveContainer>
+          <h3 className="small">
+            Goal Seek — work back from a target{goalPending && <span className="hla-busy">Solving…</span>}
+          </h3>
+          <div className="form-grid">
+            <div>
+              <label>Goal</label>
+              <select value={goalType} onChange={(e) => setGoalType(e.target.value)}>
+                <option value="payoff">Close the loan by…</option>
+                <option value="emi">Keep the EMI under…</option>
+                <option value="interest">Keep total interest under…</option>
+              </select>
+            </div>
+
+            {goalType === "payoff" && (
+              <>
+                <div>
+                  <label>Close by (month)</label>
+                  <input type="month" value={goalPayoffMonth} onChange={(e) => setGoalPayoffMonth(e.target.value)} />
+                </div>
+                <div>
+                  <label>Prepay every</label>
+                  <select value={goalFreq} onChange={(e) => setGoalFreq(e.target.value)}>
+                    <option value="monthly">Month</option>
+                    <option value="quarterly">Quarter</option>
+                    <option value="yearly">Year</option>
+                  </select>
+                </div>
+              </>
+            )}
+
+            {goalType === "emi" && (
+              <div>
+                <label>Highest EMI ({cur})</label>
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  value={goalMaxEmi}
+                  onChange={(e) => setGoalMaxEmi(Math.max(0, toNum(e.target.value)))}
+                />
+              </div>
+            )}
+
+            {goalType === "interest" && (
+              <>
+                <div>
+                  <label>Total interest limit ({cur})</label>
+                  <input
+                    type="number"
+                    inputMode="numeric"
+                    value={goalMaxInterest}
+                    onChange={(e) => setGoalMaxInterest(Math.max(0, toNum(e.target.value)))}
+                  />
+                </div>
+                <div>
+                  <label>Lump sum paid on</label>
+                  <input type="date" value={goalLumpDate} onChange={(e) => setGoalLumpDate(e.target.value)} />
+                </div>
+              </>
+            )}
+
+            {goalType !== "emi" && (
+              <div>
+                <label>On top of plan</label>
+                <select value={goalPlan} onChange={(e) => setGoalPlan(e.target.value)}>
+                  {goalType === "interest" && <option value="base">Base</option>}
+                  <option value="prepay">Prepay (lump sums as entered)</option>
+                  {goalType === "interest" && <option value="savings">Savings Linked</option>}
+                  <option value="prepaySavings">Prepay + Savings</option>
+                </select>
+              </div>
+            )}
+          </div>
+
+          <div className={goal.reachable ? "note" : "note error"} style={{ fontSize: 14 }}>
+            {goal.reachable ? "✅ " : "⛔ "}
+            {goal.explanation}
+          </div>
+          {!goalPending && goal.reachable && (goalType === "emi" || goal.amount > 0) && (
+            <button className="btn green" style={{ marginTop: 8 }} onClick={applyGoal}>
+              {goalType === "emi" ? "Use this tenure" : goalType === "interest" ? "Add this lump sum" : "Use this recurring prepayment"}
+            </button>
+          )}
+          <div className="note">
+            The solver reruns the full schedule (rate resets, savings link and tranches included) and searches for the
+            smallest amount, or shortest tenure, that meets the goal. Amounts are rounded up to {money(100)}.
+            {goalType === "payoff" && " The recurring prepayment here replaces the one in Loan Inputs."}
+          </div>
+        </div>
+
+        {/* Monte Carlo rate paths */}
+        <div className="hla-card" style={{ gridColumn: "1 / -1" }}>
+          <h3 className="small">Monte Carlo — Floating-rate Paths</h3>
+          <div className="form-grid">
+            <div>
+              <label>Rate paths</label>
+              <input
+                type="number"
+                inputMode="numeric"
+                value={mcPaths}
+                onChange={(e) => setMcPaths(Math.min(MAX_PATHS, Math.max(1, Math.round(toNum(e.target.value)))))}
+              />
+            </div>
+            <div>
+              <label>Long-run mean rate (% p.a.)</label>
+              <input
+                type="number"
+                step="0.1"
+                inputMode="decimal"
+                value={mcLongRunRate}
+                onChange={(e) => setMcLongRunRate(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Volatility (% points / year)</label>
+              <input
+                type="number"
+                step="0.1"
+                inputMode="decimal"
+                value={mcVolatility}
+                onChange={(e) => setMcVolatility(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Mean reversion (per year)</label>
+              <input
+                type="number"
+                step="0.05"
+                inputMode="decimal"
+                value={mcReversion}
+                onChange={(e) => setMcReversion(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Reset every (months)</label>
+              <input
+                type="number"
+                inputMode="numeric"
+                value={mcResetMonths}
+                onChange={(e) => setMcResetMonths(Math.max(1, Math.round(toNum(e.target.value))))}
+              />
+            </div>
+            <div>
+              <label>Random seed</label>
+              <input
+                type="number"
+                inputMode="numeric"
+                value={mcSeed}
+                onChange={(e) => setMcSeed(Math.round(toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Target payoff date</label>
+              <input type="date" value={mcTargetDate} onChange={(e) => setMcTargetDate(e.target.value)} />
+            </div>
+            <div>
+              <label>Plan</label>
+              <select value={mcPlan} onChange={(e) => setMcPlan(e.target.value)}>
+                {planChoices.map(({ key, name }) => (
+                  <option key={key} value={key}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <button className="btn green" style={{ marginTop: 8 }} onClick={runSimulation}>
+            {simulating ? "Restart simulation" : "Run simulation"}
+          </button>
+          {simulating && (
+            <button className="btn" style={{ marginTop: 8, marginLeft: 8 }} onClick={cancelSimulation}>
+              Cancel
+            </button>
+          )}
+          {simulating && <span className="hla-busy">Simulating…</span>}
+          {!simulating && simulationStale && (
+            <span className="small"> Inputs changed since this run; run it again to update.</span>
+          )}
+          {simulationError && <div className="note error">Couldn't run the simulation: {simulationError}</div>}
+
+          {simulation && (
+            <>
+              <table style={{ marginTop: 12 }}>
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>P10</th>
+                    <th>P50 (median)</th>
+                    <th>P90</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr>
+                    <td>Total interest</td>
+                    <td>{money(simulation.result.totalInterest.p10)}</td>
+                    <td>{money(simulation.result.totalInterest.p50)}</td>
+                    <td>{money(simulation.result.totalInterest.p90)}</td>
+                  </tr>
+                  <tr>
+                    <td>Payoff (months)</td>
+                    <td>{Math.round(simulation.result.payoffMonths.p10)}</td>
+                    <td>{Math.round(simulation.result.payoffMonths.p50)}</td>
+                    <td>{Math.round(simulation.result.payoffMonths.p90)}</td>
+                  </tr>
+                </tbody>
+              </table>
+              <div className="small" style={{ marginTop: 8 }}>
+                Chance of closing by {simulation.result.targetDate}:{" "}
+                <strong>{(simulation.result.probabilityByTarget * 100).toFixed(1)}%</strong> of{" "}
+                {simulation.result.paths} paths (seed {simulation.result.seed}). Mean total interest{" "}
+                {money(simulation.result.totalInterest.mean)}.
+              </div>
+
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 12, marginTop: 12 }}>
+                <div style={{ flex: "1 1 360px", height: 280 }} data-report-chart="Monte Carlo — Outstanding Balance">
+                  <ResponsiveContainer>
+                    <LineChart data={simulation.result.series}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="month" />
+                      <YAxis tickFormatter={fmt.compact} />
+                      <Tooltip formatter={(v) => money(v)} />
+                      <Legend />
+                      <Line
+                        type="monotone"
+                        dataKey="balanceP90"
+                        name="Balance P90"
+                        stroke="#d62728"
+                        strokeDasharray="4 3"
+                        dot={false}
+                      />
+                      <Line type="monotone" dataKey="balanceP50" name="Balance P50" stroke="#8884d8" dot={false} />
+                      <Line
+                        type="monotone"
+                        dataKey="balanceP10"
+                        name="Balance P10"
+                        stroke="#82ca9d"
+                        strokeDasharray="4 3"
+                        dot={false}
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+                <div style={{ flex: "1 1 360px", height: 280 }} data-report-chart="Monte Carlo — Cumulative Interest">
+                  <ResponsiveContainer>
+                    <LineChart data={simulation.result.series}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="month" />
+                      <YAxis tickFormatter={fmt.compact} />
+                      <Tooltip formatter={(v) => money(v)} />
+                      <Legend />
+                      <Line
+                        type="monotone"
+                        dataKey="interestP90"
+                        name="Interest P90"
+                        stroke="#d62728"
+                        strokeDasharray="4 3"
+                        dot={false}
+                      />
+                      <Line type="monotone" dataKey="interestP50" name="Interest P50" stroke="#8884d8" dot={false} />
+                      <Line
+                        type="monotone"
+                        dataKey="interestP10"
+                        name="Interest P10"
+                        stroke="#82ca9d"
+                        strokeDasharray="4 3"
+                        dot={false}
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            </>
+          )}
+          <div className="note">
+            Each path moves the rate monthly towards the long-run mean (Vasicek model) with random shocks, applies it at
+            every reset keeping the EMI (the bank raises the EMI only if the tenure would pass{" "}
+            {MAX_TENURE_MONTHS / 12} years), and amortizes the chosen plan. Entered rate resets are replaced by the
+            path. The same seed always gives the same result.
+          </div>
+        </div>
+
+        {/* Balance Transfer / Refinance */}
+        <div className="hla-card" style={{ gridColumn: "1 / -1" }}>
+          <h3 className="small">Balance Transfer / Refinance</h3>
+          <div className="form-grid">
+            <div>
+              <label>Test on plan</label>
+              <select value={refiPlan} onChange={(e) => setRefiPlan(e.target.value)}>
+                {planChoices.map(({ key, name }) => (
+                  <option key={key} value={key}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label>Switch date</label>
+              <input type="date" value={refiDate} onChange={(e) => setRefiDate(e.target.value)} />
+            </div>
+            <div>
+              <label>Offered rate (%)</label>
+              <input
+                type="number"
+                step="0.01"
+                inputMode="decimal"
+                value={refiRate}
+                onChange={(e) => setRefiRate(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>New tenure (months, 0 = keep remaining)</label>
+              <input
+                type="number"
+                inputMode="numeric"
+                value={refiMonths}
+                onChange={(e) => setRefiMonths(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Processing fee (% of balance)</label>
+              <input
+                type="number"
+                step="0.01"
+                inputMode="decimal"
+                value={refiFeePct}
+                onChange={(e) => setRefiFeePct(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Foreclosure charge, old loan (%)</label>
+              <input
+                type="number"
+                step="0.01"
+                inputMode="decimal"
+                value={refiForeclosurePct}
+                onChange={(e) => setRefiForeclosurePct(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Legal + valuation ({cur})</label>
+              <input
+                type="number"
+                inputMode="numeric"
+                value={refiLegal}
+                onChange={(e) => setRefiLegal(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Other charges ({cur})</label>
+              <input
+                type="number"
+                inputMode="numeric"
+                value={refiOther}
+                onChange={(e) => setRefiOther(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Discount rate for NPV (%)</label>
+              <input
+                type="number"
+                step="0.01"
+                inputMode="decimal"
+                value={refiDiscountRate}
+                onChange={(e) => setRefiDiscountRate(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+          </div>
+
+          {refinance.feasible ? (
+            <>
+              <div className="summary-grid" style={{ gridTemplateColumns: "repeat(3,1fr)" }}>
+                <div className="summary-card">
+                  <div className="small">Balance at switch (month {refinance.switchMonth})</div>
+                  <div className="big-num">{money(refinance.balanceAtSwitch)}</div>
+                </div>
+                <div className="summary-card">
+                  <div className="small">Switching costs</div>
+                  <div className="big-num">{money(refinance.switchingCost)}</div>
+                </div>
+                <div className="summary-card">
+                  <div className="small">Interest saved</div>
+                  <div className="big-num">{money(refinance.interestSaved)}</div>
+                </div>
+                <div className="summary-card">
+                  <div className="small">Net savings (after costs)</div>
+                  <div className="big-num" style={{ color: refinance.netSavings >= 0 ? "var(--accent-2)" : "var(--danger)" }}>
+                    {money(refinance.netSavings)}
+                  </div>
+                </div>
+                <div className="summary-card">
+                  <div className="small">Break-even</div>
+                  <div className="big-num">
+                    {refinance.breakEvenMonth !== null
+                      ? `${refinance.breakEvenMonth} month${refinance.breakEvenMonth > 1 ? "s" : ""} (${refinance.breakEvenDate})`
+                      : "Never"}
+                  </div>
+                </div>
+                <div className="summary-card">
+                  <div className="small">NPV of switching</div>
+                  <div className="big-num" style={{ color: refinance.npv >= 0 ? "var(--accent-2)" : "var(--danger)" }}>
+                    {money(refinance.npv)}
+                  </div>
+                </div>
+              </div>
+              <div className="note">
+                EMI {money(refinance.emiBefore)} → {money(refinance.emiAfter)}; payoff after{" "}
+                {refinance.payoffMonthsCurrent} months if you stay vs {refinance.payoffMonthsSwitched} if you switch.
+                Tax effects of the switch are not included.
+              </div>
+            </>
+          ) : (
+            <div className="note">{refinance.reason}</div>
+          )}
+        </div>
+
+        {/* Bank statement reconciliation */}
+        <div className="hla-card" style={{ gridColumn: "1 / -1" }}>
+          <h3 className="small">Actual vs Projected (Bank Statement)</h3>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <label className="btn file-btn">
+              Import statement CSV
+              <input type="file" accept=".csv,text/csv" onChange={importStatement} />
+            </label>
+            {statementName && <span className="small">{statementName}</span>}
+          </div>
+
+          {statementRows.length > 0 && (
+            <>
+              <div className="form-grid">
+                {STATEMENT_FIELDS.map((f) => (
+                  <div key={f.key}>
+                    <label>
+                      {f.label}
+                      {f.required ? " *" : ""}
+                    </label>
+                    <select
+                      value={statementMapping[f.key] ?? -1}
+                      onChange={(e) => setStatementMapping((prev) => ({ ...prev, [f.key]: Number(e.target.value) }))}
+                    >
+                      <option value={-1}>— not in file —</option>
+                      {statementRows[0].map((h, i) => (
+                        <option key={i} value={i}>
+                          {h || `Column ${i + 1}`}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                <div>
+                  <label>Compare with plan</label>
+                  <select value={reconcilePlan} onChange={(e) => setReconcilePlan(e.target.value)}>
+                    {planChoices.map(({ key, name }) => (
+                      <option key={key} value={key}>
+                        {name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {statement.problems.length > 0 && (
+                <div className="note error">
+                  {statement.problems.length} row{statement.problems.length > 1 ? "s" : ""} skipped:{"\n"}
+                  {statement.problems.slice(0, 5).join("\n")}
+                  {statement.problems.length > 5 ? `\n…and ${statement.problems.length - 5} more` : ""}
+                </div>
+              )}
+            </>
+          )}
+
+          {reconciliation && (
+            <>
+              <div className="summary-grid" style={{ gridTemplateColumns: "repeat(3,1fr)" }}>
+                <div className="summary-card">
+                  <div className="small">Last actual balance ({reconciliation.lastActual.date})</div>
+                  <div className="big-num">{money(reconciliation.lastActual.balance)}</div>
+                </div>
+                <div className="summary-card">
+                  <div className="small">Balance vs projection (latest matched month)</div>
+                  <div className="big-num" style={{ color: reconciliation.balanceDiff > 1 ? "var(--danger)" : "var(--accent-2)" }}>
+                    {reconciliation.balanceDiff >= 0 ? "+" : "−"}{money(Math.abs(reconciliation.balanceDiff))}
+                  </div>
+                </div>
+                <div className="summary-card">
+                  <div className="small">Interest vs projection (matched months)</div>
+                  <div className="big-num">
+                    {statementMapping.interest >= 0
+                      ? `${reconciliation.interestDiff >= 0 ? "+" : "−"}${money(Math.abs(reconciliation.interestDiff))}`
+                      : "—"}
+                  </div>
+                </div>
+              </div>
+
+              <div className="table-wrapper" style={{ marginTop: 12 }}>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Month #</th>
+                      <th>Paid (actual)</th>
+                      <th>Paid (projected)</th>
+                      <th>Interest (actual)</th>
+                      <th>Interest (projected)</th>
+                      <th>Balance (actual)</th>
+                      <th>Balance (projected)</th>
+                      <th>Balance diff</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {reconciliation.rows.map((r) => (
+                      <tr key={r.actual.key} className={r.projected && Math.abs(r.balanceDiff) >= 1 ? "drift" : undefined}>
+                        <td>{r.date}</td>
+                        <td>{r.month ?? "—"}</td>
+                        <td>{money(r.actual.debit)}</td>
+                        <td>{r.projected ? money(r.projected.payment + r.projected.prepayment) : "—"}</td>
+                        <td>{statementMapping.interest >= 0 ? money(r.actual.interest) : "—"}</td>
+                        <td>{r.projected ? money(r.projected.interestPaid) : "—"}</td>
+                        <td>{money(r.actual.balance)}</td>
+                        <td>{r.projected ? money(r.projected.balance) : "—"}</td>
+                        <td>{r.projected ? `${r.balanceDiff >= 0 ? "+" : "−"}${money(Math.abs(r.balanceDiff))}` : "not in projection"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <button className="btn green" onClick={restartFromStatement}>
+                  Restart projection from last actual balance
+                </button>
+                {restartNote && <span className="small" style={{ marginLeft: 8 }}>{restartNote}</span>}
+              </div>
+              <div className="note">
+                Statement rows are matched to the projection by calendar month (several rows in a month are added up, the
+                month's last balance is used). Restarting replaces the loan amount, start date and tenure so the loan still ends
+                when originally planned, at the rate in force then; past lump sums and rate resets are dropped. Save the current
+                setup first if you want to keep it.
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Tenure × rate sensitivity */}
+        <div className="hla-card" style={{ gridColumn: "1 / -1" }}>
+          <h3 className="small">Sensitivity — Tenure × Rate</h3>
+          <div className="form-grid">
+            <div>
+              <label>Tenure from (years)</label>
+              <input
+                type="number"
+                step="1"
+                max={MAX_TENURE_MONTHS / 12}
+                inputMode="decimal"
+                value={sensTenureFrom}
+                onChange={(e) => setSensTenureFrom(Math.max(1, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Tenure to (years)</label>
+              <input
+                type="number"
+                step="1"
+                max={MAX_TENURE_MONTHS / 12}
+                inputMode="decimal"
+                value={sensTenureTo}
+                onChange={(e) => setSensTenureTo(Math.max(1, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Tenure step (years)</label>
+              <input
+                type="number"
+                step="1"
+                inputMode="decimal"
+                value={sensTenureStep}
+                onChange={(e) => setSensTenureStep(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Rate from (%)</label>
+              <input
+                type="number"
+                step="0.1"
+                inputMode="decimal"
+                value={sensRateFrom}
+                onChange={(e) => setSensRateFrom(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Rate to (%)</label>
+              <input
+                type="number"
+                step="0.1"
+                inputMode="decimal"
+                value={sensRateTo}
+                onChange={(e) => setSensRateTo(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Rate step (%)</label>
+              <input
+                type="number"
+                step="0.05"
+                inputMode="decimal"
+                value={sensRateStep}
+                onChange={(e) => setSensRateStep(Math.max(0, toNum(e.target.value)))}
+              />
+            </div>
+            <div>
+              <label>Plan</label>
+              <select value={sensScenario} onChange={(e) => setSensScenario(e.target.value)}>
+                {planChoices.map(({ key, name }) => (
+                  <option key={key} value={key}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label>Show</label>
+              <select value={sensMetric} onChange={(e) => setSensMetric(e.target.value)}>
+                {SENSITIVITY_METRICS.map((m) => (
+                  <option key={m.key} value={m.key}>
+                    {m.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <table style={{ marginTop: 12 }}>
+            <thead>
+              <tr>
+                <th>Tenure \ Rate</th>
+                {sensitivity.rates.map((rate) => (
+                  <th key={rate}>{rate}%</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sensitivity.cells.map((row, i) => (
+                <tr key={sensitivity.tenures[i]}>
+                  <th>{sensitivity.tenures[i]}y</th>
+                  {row.map((cell) => {
+                    const current =
+                      cell.rate === sensitivityLoan.annualRate &&
+                      Math.round(cell.years * 12) === totalMonths(sensitivityLoan);
+                    return (
+                      <td
+                        key={cell.rate}
+                        title={`${cell.years}y at ${cell.rate}%: EMI ${money(cell.emi)}, interest ${money(
+                          cell.totalInterest
+                        )}, ${cell.months} months. Click to use.`}
+                        onClick={() => loadSensitivityCell(cell)}
+                        style={{
+                          background: sensitivityColor(cell.value),
+                          cursor: "pointer",
+                          textAlign: "center",
+                          outline: current ? "2px solid #1f2937" : "none",
+                        }}
+                      >
+                        {sensitivityText(cell)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {sensitivity.skippedTenures.length > 0 && (
+            <div className="note" style={{ color: "#b45309" }}>
+              Tenures over {MAX_TENURE_MONTHS / 12} years, the longest allowed, have no row:{" "}
+              {sensitivity.skippedTenures.map((y) => `${y}y`).join(", ")}.
+            </div>
+          )}
+          <div className="note">
+            Every cell reruns the full schedule of the chosen plan (prepayments, savings link, rate resets and fees
+            included). Click a cell to load its tenure and rate into Loan Inputs; the outlined cell is the current loan.
+            Up to {SENSITIVITY_MAX_STEPS} values per axis and tenures up to {MAX_TENURE_MONTHS / 12} years.
+          </div>
         </div>
-      </div>
       </div>
 
       <div className="note">
-        Note: This calculator models a savings “offset” by reducing the interest-bearing principal by the savings
-        balance each month. Bank-specific sweep/offset behaviour (daily averaging, min balances, taxes) may differ.
+        Note: The month-end offset reduces the interest-bearing principal by the savings balance once a month. The
+        daily-balance model follows MaxGain/SmartSaver-style accounts (daily product, salary day, spending, minimum
+        balance); bank-specific sweep rules and taxes may still differ.
       </div>
     </div>
   );
@@ -0,0 +1,128 @@
+/**
+ * Inputs with every field set away from its default (and lists filled in), for
+ * round-trip tests of the file and link formats.
+ */
+export const EVERY_FIELD = {
+  loanAmount: 6400000,
+  tenureYears: 18,
+  tenureMonths: 6,
+  annualRate: 8.15,
+  emiStartDate: "2025-03-10",
+  rateResets: [{ date: "2027-04-01", rate: 8.6, mode: "keepTenure" }],
+
+  underConstruction: true,
+  constructionMode: "fullEmi",
+  possessionDate: "2026-12-01",
+  disbursements: [
+    { date: "2025-02-15", amount: 2000000, label: "Booking & foundation" },
+    { date: "2025-11-15", amount: 3000000, label: "Slab, \"phase 2\" & more" },
+  ],
+
+  lumpSums: [{ amount: 250000, date: "2028-03-20", label: "Bonus", mode: "reduceEmi" }],
+  recurringPrepayAmt: 40000,
+  recurringPrepayFreq: "quarterly",
+  recurringPrepayMode: "reduceEmi",
+
+  linkSavings: false,
+  savingsBalance: 350000,
+  savingsGrowthMonthly: 15000,
+  offsetModel: "daily",
+  salaryCredit: 210000,
+  salaryDay: 7,
+  monthlySpend: 120000,
+  minBalance: 25000,
+
+  taxRegime: "new",
+  propertyType: "letOut",
+  annualRent: 300000,
+  slabRate: 20,
+  other80C: 60000,
+  eligible80EEA: true,
+
+  investInstrument: "fd",
+  investReturn: 7.1,
+  investVolatility: 2,
+  investTaxRule: "slab",
+
+  refiPlan: "prepay",
+  refiDate: "2027-09-01",
+  refiRate: 7.9,
+  refiMonths: 180,
+  refiFeePct: 0.35,
+  refiLegal: 12000,
+  refiOther: 4000,
+  refiForeclosurePct: 2,
+  refiDiscountRate: 6.5,
+
+  netMonthlyIncome: 240000,
+  coApplicantIncome: 90000,
+  existingEmis: 15000,
+  foirPct: 55,
+  propertyValue: 8500000,
+  ltvPct: 75,
+  safeEmiPct: 35,
+
+  emiStepMode: "custom",
+  emiStepDirection: "down",
+  emiStepValue: 3,
+  emiStepTable: [
+    { year: 1, emi: 45000 },
+    { year: 4, emi: 60000 },
+  ],
+  emiStepPlan: "prepaySavings",
+
+  realValues: true,
+  inflationRate: 5.5,
+
+  currency: "USD",
+  numberNotation: "million",
+  interestRest: "annual",
+
+  processingFeePct: 1,
+  upfrontCharges: 7500,
+  insurancePremium: 90000,
+  insuranceFinanced: false,
+  prepaymentChargePct: 2,
+  annualFee: 1000,
+
+  coBorrowers: [
+    { name: "Asha", ownershipPct: 60, emiPct: 70, prepayPct: 100, savingsPct: 50, slabRate: 30, other80C: 150000 },
+    { name: "Ravi", ownershipPct: 40, emiPct: 30, prepayPct: 0, savingsPct: 50, slabRate: 20, other80C: 0 },
+  ],
+  coBorrowerPlan: "savings",
+
+  mcPaths: 250,
+  mcLongRunRate: 7.5,
+  mcVolatility: 1.5,
+  mcReversion: 0.2,
+  mcResetMonths: 6,
+  mcSeed: 2024,
+  mcTargetDate: "2040-03-31",
+  mcPlan: "prepaySavings",
+
+  sensTenureFrom: 10,
+  sensTenureTo: 25,
+  sensTenureStep: 3,
+  sensRateFrom: 7.5,
+  sensRateTo: 9.5,
+  sensRateStep: 0.25,
+  sensScenario: "prepay",
+  sensMetric: "effectiveRate",
+
+  customScenarios: [
+    {
+      name: "Bank B 8.1% + MaxGain",
+      color: "#0ea5e9",
+      annualRate: 8.1,
+      tenureYears: 20,
+      tenureMonths: 0,
+      recurringPrepayAmt: 0,
+      recurringPrepayFreq: "monthly",
+      useLumpSums: true,
+      linkSavings: true,
+      savingsBalance: 500000,
+      savingsGrowthMonthly: 20000,
+    },
+  ],
+  showStandardScenarios: false,
+};
@@ -0,0 +1,58 @@
+/**
+ * Loan statements in the layouts banks export, each with the inputs and the
+ * scenario (`plan`) behind it, for checking projected schedules against real
+ * ones. Banks round every row to the paisa, so balances drift from the
+ * projection by a few paise over a year.
+ */
+export const STATEMENTS = [
+  {
+    name: "₹10L at 10% over 10 years, first year",
+    plan: "base",
+    inputs: {
+      loanAmount: 1000000,
+      annualRate: 10,
+      tenureYears: 10,
+      tenureMonths: 0,
+      emiStartDate: "2025-01-05",
+    },
+    csv: `Date,Description,EMI,Principal,Interest,Principal Outstanding
+05-Jan-2025,EMI,"13,215.07","4,881.74","8,333.33","995,118.26"
+05-Feb-2025,EMI,"13,215.07","4,922.42","8,292.65","990,195.84"
+05-Mar-2025,EMI,"13,215.07","4,963.44","8,251.63","985,232.40"
+05-Apr-2025,EMI,"13,215.07","5,004.80","8,210.27","980,227.60"
+05-May-2025,EMI,"13,215.07","5,046.51","8,168.56","975,181.09"
+05-Jun-2025,EMI,"13,215.07","5,088.56","8,126.51","970,092.53"
+05-Jul-2025,EMI,"13,215.07","5,130.97","8,084.10","964,961.56"
+05-Aug-2025,EMI,"13,215.07","5,173.72","8,041.35","959,787.84"
+05-Sep-2025,EMI,"13,215.07","5,216.84","7,998.23","954,571.00"
+05-Oct-2025,EMI,"13,215.07","5,260.31","7,954.76","949,310.69"
+05-Nov-2025,EMI,"13,215.07","5,304.15","7,910.92","944,006.54"
+05-Dec-2025,EMI,"13,215.07","5,348.35","7,866.72","938,658.19"
+`,
+  },
+  {
+    name: "₹50L at 8.5% over 20 years, months around a reset to 9.25%",
+    plan: "base",
+    inputs: {
+      loanAmount: 5000000,
+      annualRate: 8.5,
+      tenureYears: 20,
+      tenureMonths: 0,
+      emiStartDate: "2025-01-05",
+      rateResets: [{ date: "2026-01-01", rate: 9.25, mode: "keepEmi" }],
+    },
+    csv: `Txn Date,Particulars,Debit,Principal Component,Interest Component,Closing Balance
+05/10/2025,EMI,43391.16,8497.51,34893.65,4917664.59
+05/11/2025,EMI,43391.16,8557.70,34833.46,4909106.89
+05/12/2025,EMI,43391.16,8618.32,34772.84,4900488.57
+05/01/2026,EMI,43391.16,5616.56,37774.60,4894872.01
+05/02/2026,EMI,43391.16,5659.85,37731.31,4889212.16
+05/03/2026,EMI,43391.16,5703.48,37687.68,4883508.68
+05/04/2026,EMI,43391.16,5747.45,37643.71,4877761.23
+05/05/2026,EMI,43391.16,5791.75,37599.41,4871969.48
+05/06/2026,EMI,43391.16,5836.40,37554.76,4866133.08
+05/07/2026,EMI,43391.16,5881.38,37509.78,4860251.70
+05/08/2026,EMI,43391.16,5926.72,37464.44,4854324.98
+`,
+  },
+];
@@ -0,0 +1,79 @@
+/** ---------- Eligibility & affordability ---------- **/
+
+import { loanEMI } from "./schedule.js";
+import { totalMonths } from "./inputs.js";
+import { toNum } from "./utils.js";
+
+// RBI loan-to-value slabs: up to ₹30L → 90%, ₹30–75L → 80%, above ₹75L → 75%
+export const LTV_SLABS = [
+  { upTo: 3000000, pct: 90 },
+  { upTo: 7500000, pct: 80 },
+  { upTo: Infinity, pct: 75 },
+];
+
+// loans are quoted in round thousands
+const round1000 = (n) => Math.max(0, Math.floor(n / 1000) * 1000);
+
+// principal a given EMI repays over `months` at `rAnnual` (inverse of loanEMI)
+export function principalForEmi(emi, rAnnual, months, interestRest = "monthly") {
+  const e = Math.max(0, toNum(emi));
+  const n = Math.max(1, toNum(months, 1));
+  if (toNum(rAnnual) === 0) return e * n;
+  if (interestRest === "annual") {
+    const R = toNum(rAnnual) / 100;
+    return (12 * e * (1 - Math.pow(1 + R, -n / 12))) / R;
+  }
+  const r = toNum(rAnnual) / 12 / 100;
+  return (e * (1 - Math.pow(1 + r, -n))) / r;
+}
+
+/**
+ * Largest loan the LTV rule allows on `propertyValue`. With `ltvPct` 0 the RBI
+ * slabs apply: each slab's percentage only up to that slab's loan ceiling.
+ */
+export function maxLoanByLtv(propertyValue, ltvPct = 0) {
+  const value = Math.max(0, toNum(propertyValue));
+  if (toNum(ltvPct) > 0) return (value * toNum(ltvPct)) / 100;
+  return Math.max(...LTV_SLABS.map((s) => Math.min(s.upTo, (value * s.pct) / 100)));
+}
+
+/**
+ * What a lender would sanction and what's comfortable, at the entered rate and
+ * tenure. The lender caps all EMIs (existing + this one) at foirPct of combined
+ * income and the loan at the LTV limit; the "safe" figures keep this EMI within
+ * safeEmiPct of income. currentEmi is the EMI on the loan amount entered now.
+ */
+export function computeEligibility(inputs) {
+  const months = Math.max(1, totalMonths(inputs));
+  const rate = toNum(inputs.annualRate);
+  const rest = inputs.interestRest;
+  const totalIncome = Math.max(0, toNum(inputs.netMonthlyIncome)) + Math.max(0, toNum(inputs.coApplicantIncome));
+  const existingEmis = Math.max(0, toNum(inputs.existingEmis));
+
+  const foirEmi = Math.max(0, (totalIncome * toNum(inputs.foirPct)) / 100 - existingEmis);
+  const byIncome = round1000(principalForEmi(foirEmi, rate, months, rest));
+  const byLtv = round1000(maxLoanByLtv(inputs.propertyValue, inputs.ltvPct));
+  const eligibleLoan = Math.min(byIncome, byLtv);
+
+  const safeEmi = Math.min(foirEmi, (totalIncome * toNum(inputs.safeEmiPct)) / 100);
+  const safeLoan = Math.min(round1000(principalForEmi(safeEmi, rate, months, rest)), byLtv);
+
+  const currentEmi = loanEMI(inputs.loanAmount, rate, months, rest);
+  const emiSharePct = totalIncome > 0 ? (currentEmi / totalIncome) * 100 : 0;
+
+  return {
+    totalIncome,
+    foirEmi,
+    maxLoanByIncome: byIncome,
+    maxLoanByLtv: byLtv,
+    eligibleLoan,
+    limitedBy: byIncome <= byLtv ? "income" : "ltv",
+    emiAtEligible: loanEMI(eligibleLoan, rate, months, rest),
+    safeEmi,
+    safeLoan,
+    currentEmi,
+    emiSharePct,
+    overSafeShare: totalIncome > 0 && emiSharePct > toNum(inputs.safeEmiPct),
+    overEligible: toNum(inputs.loanAmount) > eligibleLoan,
+  };
+}
@@ -0,0 +1,88 @@
+import { computeEligibility, maxLoanByLtv, principalForEmi } from "./affordability.js";
+import { normalizeInputs } from "./inputs.js";
+import { loanEMI } from "./schedule.js";
+
+const inputs = (over = {}) =>
+  normalizeInputs({
+    loanAmount: 5000000,
+    annualRate: 8.5,
+    tenureYears: 20,
+    tenureMonths: 0,
+    netMonthlyIncome: 150000,
+    coApplicantIncome: 50000,
+    existingEmis: 20000,
+    foirPct: 50,
+    propertyValue: 10000000,
+    ltvPct: 0,
+    safeEmiPct: 40,
+    ...over,
+  });
+
+test.each([
+  [8.5, 240, "monthly"],
+  [10, 120, "monthly"],
+  [9, 180, "annual"],
+])("principalForEmi undoes loanEMI at %p%% over %p months, %s rest", (rate, months, rest) => {
+  const emi = loanEMI(5000000, rate, months, rest);
+  expect(principalForEmi(emi, rate, months, rest)).toBeCloseTo(5000000, -1);
+});
+
+test("principalForEmi at 0%: the EMI times the months", () => {
+  expect(principalForEmi(25000, 0, 240)).toBe(6000000);
+});
+
+test.each([
+  // RBI slabs: each percentage only up to its slab's loan ceiling
+  [2000000, 1800000],
+  [3500000, 3000000],
+  [5000000, 4000000],
+  [9375000, 7500000],
+  [12000000, 9000000],
+])("LTV limit on a ₹%p property is ₹%p", (value, limit) => {
+  expect(maxLoanByLtv(value)).toBeCloseTo(limit, 0);
+});
+
+test("an entered LTV replaces the slabs", () => {
+  expect(maxLoanByLtv(10000000, 70)).toBe(7000000);
+});
+
+test("eligibility: FOIR on combined income less existing EMIs, capped by LTV", () => {
+  const res = computeEligibility(inputs());
+  expect(res.totalIncome).toBe(200000);
+  // 50% of ₹2L, less ₹20k already going to other loans
+  expect(res.foirEmi).toBe(80000);
+  expect(res.maxLoanByIncome % 1000).toBe(0);
+  expect(loanEMI(res.maxLoanByIncome, 8.5, 240)).toBeLessThanOrEqual(80000);
+  expect(loanEMI(res.maxLoanByIncome + 1000, 8.5, 240)).toBeGreaterThan(80000);
+  expect(res.maxLoanByLtv).toBe(7500000);
+  expect(res.eligibleLoan).toBe(7500000);
+  expect(res.limitedBy).toBe("ltv");
+  expect(res.emiAtEligible).toBe(loanEMI(7500000, 8.5, 240));
+});
+
+test("eligibility limited by income when the property allows more", () => {
+  const res = computeEligibility(inputs({ propertyValue: 30000000 }));
+  expect(res.limitedBy).toBe("income");
+  expect(res.eligibleLoan).toBe(res.maxLoanByIncome);
+});
+
+test("safe loan keeps this EMI within the safe share of income, and flags loans above it", () => {
+  const res = computeEligibility(inputs({ loanAmount: 7000000 }));
+  expect(res.safeEmi).toBe(80000); // 40% of ₹2L is ₹80k, no more than the FOIR room
+  const tight = computeEligibility(inputs({ safeEmiPct: 25, loanAmount: 7000000 }));
+  expect(tight.safeEmi).toBe(50000);
+  expect(loanEMI(tight.safeLoan, 8.5, 240)).toBeLessThanOrEqual(50000);
+  expect(tight.currentEmi).toBe(loanEMI(7000000, 8.5, 240));
+  expect(tight.emiSharePct).toBeCloseTo((tight.currentEmi / 200000) * 100, 10);
+  expect(tight.overSafeShare).toBe(true);
+  expect(tight.overEligible).toBe(false);
+  expect(computeEligibility(inputs({ loanAmount: 8000000 })).overEligible).toBe(true);
+});
+
+test("no income: nothing eligible and no share of income to warn about", () => {
+  const res = computeEligibility(inputs({ netMonthlyIncome: 0, coApplicantIncome: 0 }));
+  expect(res.foirEmi).toBe(0);
+  expect(res.eligibleLoan).toBe(0);
+  expect(res.emiSharePct).toBe(0);
+  expect(res.overSafeShare).toBe(false);
+});
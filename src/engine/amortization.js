@@ -0,0 +1,73 @@
+/** ---------- Amortization table: year groups & scenario diff ---------- **/
+
+import { financialYearOf } from "./tax.js";
+
+// how the amortization table can group its months
+export const SCHEDULE_GROUPINGS = [
+  { key: "none", name: "Month by month" },
+  { key: "calendar", name: "Calendar year" },
+  { key: "financial", name: "Financial year (Apr–Mar)" },
+];
+
+// row fields compared between two schedules, in column order
+export const DIFF_FIELDS = [
+  { key: "payment", label: "Payment" },
+  { key: "principalPaid", label: "Principal" },
+  { key: "interestPaid", label: "Interest" },
+  { key: "prepayment", label: "Prepayment" },
+  { key: "balance", label: "Balance" },
+];
+
+const round2 = (n) => Number(n.toFixed(2));
+
+// "2031" (calendar) or "FY 2031-32" (financial) for an ISO date
+export function periodOf(iso, grouping) {
+  return grouping === "financial" ? financialYearOf(iso) : iso.slice(0, 4);
+}
+
+/**
+ * Runs of consecutive rows (anything with a `date`) in the same calendar or
+ * financial year: [{ label, start, end }] covering rows[start] up to, not
+ * including, rows[end].
+ */
+export function groupRows(rows, grouping) {
+  const groups = [];
+  rows.forEach((r, i) => {
+    const label = periodOf(r.date, grouping);
+    const last = groups[groups.length - 1];
+    if (last && last.label === label) last.end = i + 1;
+    else groups.push({ label, start: i, end: i + 1 });
+  });
+  return groups;
+}
+
+// payments, principal, interest, prepayments and disbursements over schedule rows, and the balance after the last
+export function scheduleSubtotals(rows) {
+  const sum = (field) => round2(rows.reduce((s, r) => s + r[field], 0));
+  return {
+    payment: sum("payment"),
+    principalPaid: sum("principalPaid"),
+    interestPaid: sum("interestPaid"),
+    prepayment: sum("prepayment"),
+    disbursed: sum("disbursed"),
+    balance: rows.length ? rows[rows.length - 1].balance : 0,
+  };
+}
+
+/**
+ * Two schedules month by month, for as long as either runs: { month, date, a,
+ * b, diff } where a / b is that month's row (null once that schedule has
+ * closed) and diff is b − a for each of DIFF_FIELDS, a closed loan counting
+ * as 0.
+ */
+export function diffSchedules(a, b) {
+  const rows = [];
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const ra = a[i] || null;
+    const rb = b[i] || null;
+    const diff = {};
+    for (const { key } of DIFF_FIELDS) diff[key] = round2((rb ? rb[key] : 0) - (ra ? ra[key] : 0));
+    rows.push({ month: i + 1, date: (ra || rb).date, a: ra, b: rb, diff });
+  }
+  return rows;
+}
@@ -0,0 +1,133 @@
+/** ---------- Fees, charges & effective rate ---------- **/
+
+import { toNum } from "./utils.js";
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// ISO date a month before `iso`: when the loan is paid out for the EMI due then
+function monthBefore(iso) {
+  const d = new Date(iso);
+  d.setUTCMonth(d.getUTCMonth() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+// years from the first of `dates` to each, by the day (365-day years)
+function yearsByDay(dates) {
+  const t0 = Math.min(...dates.map((d) => new Date(d).getTime()));
+  return dates.map((d) => (new Date(d).getTime() - t0) / YEAR_MS);
+}
+
+/**
+ * Annual rate (%) at which cash flows (received +, paid −), `years` after the
+ * first, are worth nothing: Σ amount / (1 + r)^years = 0. Newton's method from
+ * `guess`, bisection if that wanders off; null when the flows never change sign.
+ */
+function irr(flows, years, guess) {
+  if (!flows.some((f) => f.amount > 0) || !flows.some((f) => f.amount < 0)) return null;
+  const npv = (r) => flows.reduce((s, f, i) => s + f.amount / Math.pow(1 + r, years[i]), 0);
+  const slope = (r) => flows.reduce((s, f, i) => s - (years[i] * f.amount) / Math.pow(1 + r, years[i] + 1), 0);
+
+  let r = toNum(guess) / 100;
+  for (let i = 0; i < 50; i++) {
+    const next = r - npv(r) / slope(r);
+    if (!Number.isFinite(next) || next <= -0.99) break;
+    if (Math.abs(next - r) < 1e-10) return next * 100;
+    r = next;
+  }
+  let lo = -0.99;
+  let hi = 10;
+  if (npv(lo) * npv(hi) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (npv(lo) * npv(mid) <= 0) hi = mid;
+    else lo = mid;
+  }
+  return ((lo + hi) / 2) * 100;
+}
+
+// effective annual rate (%) of dated cash flows [{ date, amount }], by the day
+export function xirr(flows, guess = 10) {
+  return irr(flows, yearsByDay(flows.map((f) => f.date)), guess);
+}
+
+/**
+ * Yield of cash flows [{ month, amount }] (month = schedule month, 0 for the
+ * payout) as a nominal annual rate (%) compounded monthly, the way loan rates
+ * are quoted: 12 × the monthly rate. A loan with no fees or charges comes out
+ * at exactly its quoted rate.
+ */
+export function monthlyCompoundedRate(flows, guess = 10) {
+  const m0 = Math.min(...flows.map((f) => f.month));
+  const effective = irr(flows, flows.map((f) => (f.month - m0) / 12), guess);
+  return effective === null ? null : 1200 * (Math.pow(1 + effective / 100, 1 / 12) - 1);
+}
+
+// costs besides interest, from the inputs
+export function loanCharges(inputs) {
+  const loan = Math.max(0, toNum(inputs.loanAmount));
+  const insurance = Math.max(0, toNum(inputs.insurancePremium));
+  return {
+    processingFee: (loan * Math.max(0, toNum(inputs.processingFeePct))) / 100,
+    upfront: Math.max(0, toNum(inputs.upfrontCharges)),
+    insurance,
+    financedInsurance: inputs.insuranceFinanced ? insurance : 0,
+    prepaymentChargePct: Math.max(0, toNum(inputs.prepaymentChargePct)),
+    annualFee: Math.max(0, toNum(inputs.annualFee)),
+  };
+}
+
+/**
+ * The borrower's cash flows ({ date, month, amount }) for a schedule built
+ * from `inputs`, plus the fees paid. The loan is received a month before the
+ * first EMI (tranches a month before the row they're released in), less
+ * up-front costs; financed insurance goes straight to the insurer. Then come
+ * EMIs, prepayments with their charge, and the annual fee at the start of
+ * every loan year.
+ */
+export function loanCashFlows(schedule, inputs) {
+  const c = loanCharges(inputs);
+  const flows = [];
+  let prepaymentCharges = 0;
+  let annualFees = 0;
+  const tranches = schedule.some((r) => r.disbursed > 0);
+  let insuranceToNet = c.financedInsurance; // taken off the first money received
+  if (schedule.length) {
+    const paidOut = { date: monthBefore(schedule[0].date), month: schedule[0].month - 1 };
+    flows.push({ ...paidOut, amount: -(c.processingFee + c.upfront + c.insurance - c.financedInsurance) });
+    if (!tranches) {
+      flows.push({ ...paidOut, amount: Math.max(0, toNum(inputs.loanAmount)) });
+      insuranceToNet = 0;
+    }
+  }
+  schedule.forEach((r, i) => {
+    if (r.disbursed > 0) {
+      const received = Math.max(0, r.disbursed - insuranceToNet);
+      insuranceToNet -= r.disbursed - received;
+      flows.push({ date: monthBefore(r.date), month: r.month - 1, amount: received });
+    }
+    const charge = (r.prepayment * c.prepaymentChargePct) / 100;
+    const fee = i % 12 === 0 ? c.annualFee : 0;
+    prepaymentCharges += charge;
+    annualFees += fee;
+    flows.push({ date: r.date, month: r.month, amount: -(r.payment + r.prepayment + charge + fee) });
+  });
+  const fees = {
+    processingFee: c.processingFee,
+    upfront: c.upfront,
+    insurance: c.insurance,
+    prepaymentCharges,
+    annualFees,
+  };
+  fees.total = fees.processingFee + fees.upfront + fees.insurance + fees.prepaymentCharges + fees.annualFees;
+  return { flows, fees };
+}
+
+/**
+ * True annual cost of a schedule from all its cash flows (interest, fees,
+ * insurance and charges): `apr` compounded monthly, comparable with the quoted
+ * rate, and `xirr` the effective annual yield. Plus what the fees add up to.
+ */
+export function effectiveRate(schedule, inputs) {
+  const { flows, fees } = loanCashFlows(schedule, inputs);
+  return { apr: monthlyCompoundedRate(flows, inputs.annualRate), xirr: xirr(flows, inputs.annualRate), fees };
+}
@@ -0,0 +1,62 @@
+import { normalizeInputs } from "./inputs.js";
+import { buildSchedule } from "./schedule.js";
+import { scenarioArgs } from "./scenarios.js";
+import { effectiveRate, loanCashFlows, xirr } from "./charges.js";
+
+const NO_FEES = { processingFeePct: 0, upfrontCharges: 0, insurancePremium: 0, prepaymentChargePct: 0, annualFee: 0 };
+
+const inputs = (over = {}) =>
+  normalizeInputs({
+    emiStartDate: "2025-01-05",
+    lumpSums: [],
+    recurringPrepayAmt: 0,
+    rateResets: [],
+    linkSavings: false,
+    ...NO_FEES,
+    ...over,
+  });
+
+const rateOf = (v) => effectiveRate(buildSchedule(scenarioArgs(v, "base")).schedule, v);
+
+test("xirr: a year at 10%", () => {
+  const flows = [
+    { date: "2025-01-01", amount: -100 },
+    { date: "2026-01-01", amount: 110 },
+  ];
+  expect(xirr(flows)).toBeCloseTo(10, 6);
+  expect(xirr([{ date: "2025-01-01", amount: -100 }])).toBeNull();
+});
+
+test.each([
+  [7.7, "2025-01-05"],
+  [9, "2025-02-05"],
+  [8.35, "2024-01-31"], // month-end start: schedule dates drift, the month count doesn't
+])("no fees: the effective rate is the quoted %s%% (start %s)", (annualRate, emiStartDate) => {
+  const eff = rateOf(inputs({ annualRate, emiStartDate }));
+  expect(eff.apr).toBeCloseTo(annualRate, 4);
+  expect(eff.xirr).toBeCloseTo(100 * (Math.pow(1 + annualRate / 1200, 12) - 1), 1);
+  expect(eff.fees.total).toBe(0);
+});
+
+test("a 1% processing fee on a one-year loan at 12%", () => {
+  // ₹99,000 received, 12 EMIs of ₹8,884.88: 13.913% compounded monthly (14.84% effective)
+  const v = inputs({ loanAmount: 100000, annualRate: 12, tenureYears: 1, tenureMonths: 0, processingFeePct: 1 });
+  const eff = rateOf(v);
+  expect(eff.fees.processingFee).toBe(1000);
+  expect(eff.apr).toBeCloseTo(13.913, 2);
+  expect(eff.xirr).toBeCloseTo(14.84, 1);
+});
+
+test("cash flows: fee netted at payout, annual fee every twelfth EMI, prepayment charge on the prepayment", () => {
+  const v = inputs({ loanAmount: 1000000, tenureYears: 2, tenureMonths: 0, processingFeePct: 0.5, annualFee: 500, prepaymentChargePct: 2 });
+  const schedule = buildSchedule({
+    ...scenarioArgs(v, "base"),
+    lumpSums: [{ amount: 100000, date: "2025-06-05", mode: "reduceTenure" }],
+  }).schedule;
+  const { flows, fees } = loanCashFlows(schedule, v);
+  expect(flows[0]).toEqual({ date: "2024-12-05", month: 0, amount: -5000 });
+  expect(flows[1]).toEqual({ date: "2024-12-05", month: 0, amount: 1000000 });
+  expect(fees.prepaymentCharges).toBe(2000);
+  expect(fees.annualFees).toBe(500 * Math.ceil(schedule.length / 12));
+  expect(fees.total).toBe(5000 + 2000 + fees.annualFees);
+});
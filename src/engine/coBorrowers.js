@@ -0,0 +1,114 @@
+/** ---------- Joint loan: co-borrower split ---------- **/
+
+import { cachedSchedule } from "./schedule.js";
+import { computeTaxBenefit } from "./tax.js";
+import { SCENARIOS, scenarioArgs, taxOptions } from "./scenarios.js";
+import { yearlySummary } from "./report.js";
+import { toNum } from "./utils.js";
+
+// per-borrower splits, each entered as % and scaled so the borrowers add up to 100
+export const SHARE_FIELDS = [
+  { key: "ownershipPct", label: "Ownership" },
+  { key: "emiPct", label: "EMI" },
+  { key: "prepayPct", label: "Prepayment" },
+  { key: "savingsPct", label: "Offset savings" },
+];
+
+const round2 = (n) => Number(n.toFixed(2));
+
+/**
+ * Each borrower's shares as fractions of 1. A split that doesn't add up to 100%
+ * is scaled to it (all zero = equal shares) and reported in `warnings`.
+ */
+export function borrowerShares(coBorrowers) {
+  const warnings = [];
+  const fractions = {};
+  for (const { key, label } of SHARE_FIELDS) {
+    const pcts = coBorrowers.map((b) => Math.max(0, toNum(b[key])));
+    const sum = pcts.reduce((s, p) => s + p, 0);
+    if (Math.abs(sum - 100) > 0.01) warnings.push(`${label} shares add up to ${Number(sum.toFixed(2))}%; scaled to 100%.`);
+    fractions[key] = pcts.map((p) => (sum > 0 ? p / sum : 1 / pcts.length));
+  }
+  const borrowers = coBorrowers.map((b, i) => ({
+    name: b.name || `Borrower ${i + 1}`,
+    ownership: fractions.ownershipPct[i],
+    emi: fractions.emiPct[i],
+    prepay: fractions.prepayPct[i],
+    savings: fractions.savingsPct[i],
+    slabRate: b.slabRate,
+    other80C: b.other80C,
+  }));
+  return { borrowers, warnings };
+}
+
+/**
+ * One borrower's part of a joint schedule: EMI (interest and principal) at their
+ * EMI share, prepayments at their prepayment share, offset savings at their
+ * savings share. Balance, rate and disbursements stay the joint loan's.
+ */
+export function borrowerSchedule(schedule, share) {
+  return schedule.map((r) => ({
+    ...r,
+    payment: round2(r.payment * share.emi),
+    principalPaid: round2(r.principalPaid * share.emi),
+    interestPaid: round2(r.interestPaid * share.emi),
+    prepayment: round2(r.prepayment * share.prepay),
+    lumpSum: round2(r.lumpSum * share.prepay),
+    savingsLinked: round2(r.savingsLinked * share.savings),
+  }));
+}
+
+/**
+ * Tax benefit a co-owner can claim: interest and principal (and rent, if let
+ * out) in proportion to ownership, each borrower with their own caps, slab and
+ * other 80C. A borrower who owns none of the property, or pays nothing towards
+ * the loan, claims nothing.
+ */
+function borrowerTax(schedule, share, opts) {
+  const claims = share.ownership > 0 && (share.emi > 0 || share.prepay > 0) ? share.ownership : 0;
+  const claimed = schedule.map((r) => ({
+    date: r.date,
+    principalPaid: r.principalPaid * claims,
+    prepayment: r.prepayment * claims,
+    interestPaid: r.interestPaid * claims,
+  }));
+  return computeTaxBenefit(claimed, {
+    ...opts,
+    annualRent: toNum(opts.annualRent) * claims,
+    slabRate: share.slabRate,
+    other80C: share.other80C,
+  });
+}
+
+/**
+ * The coBorrowerPlan schedule (or `schedule`, when given) split across
+ * inputs.coBorrowers: per borrower the schedule, yearly (financial-year) totals,
+ * loan totals and tax benefit. null unless at least two co-borrowers are entered.
+ */
+export function buildCoBorrowerSplit(inputs, schedule = null) {
+  if (inputs.coBorrowers.length < 2) return null;
+  const joint = schedule || cachedSchedule(scenarioArgs(inputs, inputs.coBorrowerPlan)).schedule;
+  const { borrowers, warnings } = borrowerShares(inputs.coBorrowers);
+  const opts = taxOptions(inputs);
+  const plan = SCENARIOS.find((s) => s.key === inputs.coBorrowerPlan);
+  return {
+    plan: plan.name,
+    warnings,
+    borrowers: borrowers.map((share) => {
+      const own = borrowerSchedule(joint, share);
+      const sum = (field) => round2(own.reduce((s, r) => s + r[field], 0));
+      return {
+        ...share,
+        schedule: own,
+        yearly: yearlySummary(own),
+        totals: {
+          payments: sum("payment"),
+          principal: round2(sum("principalPaid") + sum("prepayment")),
+          interest: sum("interestPaid"),
+          prepayment: sum("prepayment"),
+        },
+        tax: borrowerTax(joint, share, opts),
+      };
+    }),
+  };
+}
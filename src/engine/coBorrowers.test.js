@@ -0,0 +1,110 @@
+import { borrowerSchedule, borrowerShares, buildCoBorrowerSplit } from "./coBorrowers.js";
+import { normalizeInputs } from "./inputs.js";
+import { buildSchedule } from "./schedule.js";
+import { scenarioArgs, taxOptions } from "./scenarios.js";
+import { computeTaxBenefit } from "./tax.js";
+
+const borrower = (name, pct, over = {}) => ({
+  name,
+  ownershipPct: pct,
+  emiPct: pct,
+  prepayPct: pct,
+  savingsPct: pct,
+  slabRate: 30,
+  other80C: 0,
+  ...over,
+});
+
+const inputs = (coBorrowers, over = {}) =>
+  normalizeInputs({
+    loanAmount: 7500000,
+    annualRate: 8.5,
+    tenureYears: 20,
+    tenureMonths: 0,
+    emiStartDate: "2025-04-05",
+    lumpSums: [],
+    recurringPrepayAmt: 100000,
+    recurringPrepayFreq: "yearly",
+    rateResets: [],
+    coBorrowers,
+    coBorrowerPlan: "prepay",
+    ...over,
+  });
+
+test("shares that don't add up to 100% are scaled and reported; all zero splits equally", () => {
+  const { borrowers, warnings } = borrowerShares([
+    borrower("A", 60, { emiPct: 30 }),
+    borrower("B", 40, { emiPct: 30, savingsPct: 0 }),
+    borrower("", 0, { emiPct: 0, savingsPct: 0 }),
+  ]);
+  expect(warnings).toEqual([
+    "EMI shares add up to 60%; scaled to 100%.",
+    "Offset savings shares add up to 60%; scaled to 100%.",
+  ]);
+  expect(borrowers.map((b) => b.name)).toEqual(["A", "B", "Borrower 3"]);
+  expect(borrowers.map((b) => b.ownership)).toEqual([0.6, 0.4, 0]);
+  expect(borrowers.map((b) => b.emi)).toEqual([0.5, 0.5, 0]);
+  expect(borrowers.map((b) => b.savings)).toEqual([1, 0, 0]);
+
+  const even = borrowerShares([borrower("A", 0), borrower("B", 0)]);
+  expect(even.borrowers.map((b) => b.prepay)).toEqual([0.5, 0.5]);
+});
+
+test("the borrowers' schedules add back up to the joint one", () => {
+  const v = inputs([]);
+  const { schedule } = buildSchedule(scenarioArgs(v, "prepay"));
+  const { borrowers } = borrowerShares([borrower("A", 70, { prepayPct: 100 }), borrower("B", 30, { prepayPct: 0 })]);
+  const [a, b] = borrowers.map((share) => borrowerSchedule(schedule, share));
+  schedule.forEach((r, i) => {
+    expect(a[i].payment + b[i].payment).toBeCloseTo(r.payment, 1);
+    expect(a[i].interestPaid + b[i].interestPaid).toBeCloseTo(r.interestPaid, 1);
+    expect(a[i].prepayment).toBe(r.prepayment);
+    expect(b[i].prepayment).toBe(0);
+    expect(a[i].balance).toBe(r.balance);
+  });
+});
+
+test("each co-owner claims their part of the interest under their own ₹2L cap", () => {
+  const split = buildCoBorrowerSplit(inputs([borrower("A", 50), borrower("B", 50)]));
+  expect(split.plan).toBe("Prepay");
+  expect(split.warnings).toEqual([]);
+  const [a, b] = split.borrowers;
+  // ₹75L at 8.5%: about ₹6.3L interest in the first full year, ₹3.1L each
+  const fy = (x) => x.tax.years.find((y) => y.fy === "FY 2025-26");
+  expect(fy(a).old.sec24b).toBe(200000);
+  expect(fy(b).old.sec24b).toBe(200000);
+  const joint = buildSchedule(scenarioArgs(inputs([]), "prepay"));
+  expect(a.totals.interest + b.totals.interest).toBeCloseTo(joint.totals.totalInterest, 0);
+});
+
+test("a borrower who owns none of the property claims nothing, however much they pay", () => {
+  const v = inputs([
+    borrower("Owner", 100, { emiPct: 0, prepayPct: 0 }),
+    borrower("Payer", 0, { emiPct: 100, prepayPct: 100 }),
+  ]);
+  const [owner, payer] = buildCoBorrowerSplit(v).borrowers;
+  expect(payer.totals.payments).toBeGreaterThan(0);
+  expect(payer.tax.old.totalTaxSaved).toBe(0);
+  expect(owner.totals.payments).toBe(0);
+  expect(owner.tax.old.totalTaxSaved).toBe(0);
+});
+
+test("each borrower is taxed at their own slab on the joint loan's tax options", () => {
+  const v = inputs([borrower("A", 50, { slabRate: 30 }), borrower("B", 50, { slabRate: 10 })]);
+  const [a, b] = buildCoBorrowerSplit(v).borrowers;
+  const { schedule } = buildSchedule(scenarioArgs(v, "prepay"));
+  const half = schedule.map((r) => ({
+    date: r.date,
+    interestPaid: r.interestPaid / 2,
+    principalPaid: r.principalPaid / 2,
+    prepayment: r.prepayment / 2,
+  }));
+  const own = computeTaxBenefit(half, { ...taxOptions(v), slabRate: 30, other80C: 0 });
+  expect(a.tax.old.totalTaxSaved).toBeCloseTo(own.old.totalTaxSaved, 2);
+  expect(b.tax.old.totalTaxSaved).toBeLessThan(a.tax.old.totalTaxSaved);
+});
+
+test("no split with fewer than two co-borrowers", () => {
+  expect(buildCoBorrowerSplit(inputs([]))).toBeNull();
+  expect(buildCoBorrowerSplit(inputs([borrower("A", 100)]))).toBeNull();
+});
@@ -0,0 +1,97 @@
+/** ---------- CSV ---------- **/
+
+export const SCHEDULE_CSV_HEADER = [
+  "Month",
+  "Date",
+  "Payment",
+  "PrincipalPaid",
+  "InterestPaid",
+  "Prepayment",
+  "LumpSumLabel",
+  "Balance",
+  "SavingsLinked",
+  "Rate",
+  "Phase",
+  "Disbursed",
+];
+
+// quote a field only when it would break the row
+export function csvField(v) {
+  const s = String(v ?? "");
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(rows) {
+  return rows.map((r) => r.map(csvField).join(",")).join("\n");
+}
+
+// one schedule row in SCHEDULE_CSV_HEADER order
+export function scheduleCSVRow(r) {
+  return [
+    r.month,
+    r.date,
+    r.payment,
+    r.principalPaid,
+    r.interestPaid,
+    r.prepayment,
+    r.lumpSumLabel,
+    r.balance,
+    r.savingsLinked,
+    r.rate,
+    r.phase,
+    r.disbursed,
+  ];
+}
+
+// money columns of SCHEDULE_CSV_HEADER
+const AMOUNT_COLUMNS = ["Payment", "PrincipalPaid", "InterestPaid", "Prepayment", "Balance", "SavingsLinked", "Disbursed"];
+
+/**
+ * Amortization schedule as CSV text (header + one line per month). Amounts stay
+ * plain numbers; pass a currency code to name it in the headers ("Payment (USD)").
+ */
+export function scheduleToCSV(schedule, currency = null) {
+  const header = currency ? SCHEDULE_CSV_HEADER.map((h) => (AMOUNT_COLUMNS.includes(h) ? `${h} (${currency})` : h)) : SCHEDULE_CSV_HEADER;
+  return toCSV([header, ...schedule.map(scheduleCSVRow)]);
+}
+
+// CSV text → rows of strings (quoted fields, "" escapes, CRLF and a BOM are handled)
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // drop blank lines
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+}
@@ -0,0 +1,187 @@
+/** ---------- Goal seek ---------- **/
+
+import { MAX_TENURE_MONTHS, buildSchedule } from "./schedule.js";
+import { scenarioArgs } from "./scenarios.js";
+import { isValidDate, moneyFormat, monthKey, toNum } from "./utils.js";
+
+// answers are rounded up to this many rupees
+const STEP = 100;
+
+const payoffOf = (res) => res.schedule[res.schedule.length - 1];
+
+const monthLabel = (iso) => new Date(iso).toLocaleDateString("en-IN", { month: "short", year: "numeric" });
+
+const monthsText = (n) => `${Math.floor(n / 12)}y ${n % 12}m`;
+
+/**
+ * Smallest whole-STEP amount in [0, max] for which `ok(amount)` holds, assuming
+ * a larger amount never hurts. null when even `max` fails.
+ */
+function smallestAmount(max, ok) {
+  if (ok(0)) return 0;
+  const hi = Math.ceil(max / STEP);
+  if (!ok(hi * STEP)) return null;
+  let lo = 0; // ok(lo * STEP) is false, ok(top * STEP) is true
+  let top = hi;
+  while (top - lo > 1) {
+    const mid = Math.floor((lo + top) / 2);
+    if (ok(mid * STEP)) top = mid;
+    else lo = mid;
+  }
+  return top * STEP;
+}
+
+const summary = (res) => ({
+  emi: res.emi,
+  finalEmi: res.finalEmi,
+  months: res.schedule.length,
+  payoffDate: payoffOf(res) ? payoffOf(res).date : null,
+  totalInterest: res.totals.totalInterest,
+});
+
+/**
+ * Recurring prepayment (at `freq`) needed on top of the chosen plan so the loan
+ * closes by `targetDate` (any day in the target month counts). `plan` is
+ * "prepay" or "prepaySavings": lump sums and the savings link stay as entered.
+ */
+export function solvePayoffDate(inputs, { targetDate, freq = "yearly", plan = "prepay" }) {
+  const fmt = moneyFormat(inputs.currency, inputs.numberNotation);
+  if (!isValidDate(targetDate)) return { reachable: false, explanation: "Pick a target payoff month." };
+  const targetKey = monthKey(new Date(targetDate));
+  const build = (amount) =>
+    buildSchedule({ ...scenarioArgs(inputs, plan), recurringPrepay: amount, recurringFreq: freq, recurringPrepayMode: "reduceTenure" });
+  const closesInTime = (res) => Boolean(payoffOf(res)) && monthKey(new Date(payoffOf(res).date)) <= targetKey;
+
+  const none = build(0);
+  if (!none.schedule.length) {
+    return {
+      reachable: false,
+      explanation: "There's no EMI to pay: enter a loan amount and a tenure of at least a month.",
+    };
+  }
+  if (closesInTime(none)) {
+    return {
+      reachable: true,
+      amount: 0,
+      result: summary(none),
+      explanation: `No recurring prepayment needed: this plan already closes in ${monthLabel(payoffOf(none).date)}, on or before ${monthLabel(targetDate)}.`,
+    };
+  }
+  const amount = smallestAmount(toNum(inputs.loanAmount), (x) => closesInTime(build(x)));
+  if (amount === null) {
+    const fastest = build(toNum(inputs.loanAmount));
+    return {
+      reachable: false,
+      explanation: `Can't close by ${monthLabel(targetDate)}: even prepaying the whole loan ${freq} only closes it in ${monthLabel(
+        payoffOf(fastest).date
+      )} (recurring prepayments start from the second EMI). Pick a later month or add a lump sum.`,
+    };
+  }
+  const res = build(amount);
+  return {
+    reachable: true,
+    amount,
+    result: summary(res),
+    explanation: `Prepay ${fmt.money(amount)} ${freq} (reducing tenure) to close in ${monthLabel(payoffOf(res).date)} instead of ${monthLabel(
+      payoffOf(none).date
+    )}, ${none.schedule.length - res.schedule.length} months sooner, saving ${fmt.money(
+      none.totals.totalInterest - res.totals.totalInterest
+    )} interest. ${fmt.money(amount - STEP)} ${freq} would not be enough.`,
+  };
+}
+
+/**
+ * Shortest tenure (up to MAX_TENURE_MONTHS) whose EMI stays at or under `maxEmi`
+ * for the whole loan, rate resets included. Shorter tenure = less interest, so
+ * this is the cheapest loan that fits the budget.
+ */
+export function solveTenureForEmi(inputs, { maxEmi }) {
+  const fmt = moneyFormat(inputs.currency, inputs.numberNotation);
+  const cap = toNum(maxEmi);
+  if (cap <= 0) return { reachable: false, explanation: "Enter the highest EMI you can pay." };
+  const build = (months) => buildSchedule(scenarioArgs(inputs, "base", months));
+  const fits = (res) => Math.max(res.emi, res.finalEmi) <= cap;
+
+  const longest = build(MAX_TENURE_MONTHS);
+  if (!fits(longest)) {
+    return {
+      reachable: false,
+      explanation: `Can't keep the EMI under ${fmt.money(cap)}: even a ${MAX_TENURE_MONTHS / 12}-year tenure needs ${fmt.money(
+        Math.max(longest.emi, longest.finalEmi)
+      )}. Borrow less, lower the rate or raise the budget.`,
+    };
+  }
+  let lo = 0; // fits(lo) is false (or lo is 0), fits(hi) is true
+  let hi = MAX_TENURE_MONTHS;
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (fits(build(mid))) hi = mid;
+    else lo = mid;
+  }
+  const res = build(hi);
+  const longer = hi < MAX_TENURE_MONTHS ? "" : " That's the longest tenure allowed.";
+  return {
+    reachable: true,
+    months: hi,
+    result: summary(res),
+    explanation: `Tenure ${monthsText(hi)} (${hi} months) keeps the EMI at ${fmt.money(Math.max(res.emi, res.finalEmi))}, under ${fmt.money(
+      cap
+    )}, with total interest ${fmt.money(res.totals.totalInterest)}. One month shorter pushes the EMI over the limit.${longer}`,
+  };
+}
+
+/**
+ * One-off lump sum on `date` (reducing tenure) that keeps the chosen plan's
+ * total interest at or under `maxInterest`.
+ */
+export function solveLumpSumForInterest(inputs, { maxInterest, date, plan = "base" }) {
+  const fmt = moneyFormat(inputs.currency, inputs.numberNotation);
+  const cap = toNum(maxInterest);
+  if (!isValidDate(date)) return { reachable: false, explanation: "Pick the date the lump sum would be paid." };
+  const build = (amount) => {
+    const args = scenarioArgs(inputs, plan);
+    const extra = amount > 0 ? [{ amount, date, label: "Goal seek", mode: "reduceTenure" }] : [];
+    return buildSchedule({ ...args, lumpSums: [...(args.lumpSums || []), ...extra] });
+  };
+  const under = (res) => res.totals.totalInterest <= cap;
+
+  const none = build(0);
+  if (under(none)) {
+    return {
+      reachable: true,
+      amount: 0,
+      result: summary(none),
+      explanation: `No lump sum needed: total interest is already ${fmt.money(none.totals.totalInterest)}, under ${fmt.money(cap)}.`,
+    };
+  }
+  const amount = smallestAmount(toNum(inputs.loanAmount), (x) => under(build(x)));
+  if (amount === null) {
+    const best = build(toNum(inputs.loanAmount));
+    return {
+      reachable: false,
+      explanation: `Can't keep interest under ${fmt.money(cap)} with a lump sum on ${date}: even clearing the loan then leaves ${fmt.money(
+        best.totals.totalInterest
+      )} of interest already paid. Pick an earlier date or a higher limit.`,
+    };
+  }
+  const res = build(amount);
+  return {
+    reachable: true,
+    amount,
+    result: summary(res),
+    explanation: `A lump sum of ${fmt.money(amount)} on ${date} cuts total interest from ${fmt.money(none.totals.totalInterest)} to ${fmt.money(
+      res.totals.totalInterest
+    )} and closes the loan in ${monthLabel(payoffOf(res).date)} (${none.schedule.length - res.schedule.length} months sooner).`,
+  };
+}
+
+/**
+ * The Goal Seek card's question in one object: `type` "payoff" (targetDate,
+ * freq), "emi" (maxEmi) or "interest" (maxInterest, date), plus the `plan` the
+ * answer builds on. Lets a background job run any of the three solvers.
+ */
+export function solveGoal(inputs, { type, targetDate, freq, plan, maxEmi, maxInterest, date }) {
+  if (type === "emi") return solveTenureForEmi(inputs, { maxEmi });
+  if (type === "interest") return solveLumpSumForInterest(inputs, { maxInterest, date, plan });
+  return solvePayoffDate(inputs, { targetDate, freq, plan: plan === "prepaySavings" ? "prepaySavings" : "prepay" });
+}
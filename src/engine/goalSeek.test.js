@@ -0,0 +1,39 @@
+import { normalizeInputs } from "./inputs.js";
+import { solveGoal, solveLumpSumForInterest, solvePayoffDate, solveTenureForEmi } from "./goalSeek.js";
+
+const inputs = (over = {}) => normalizeInputs({ emiStartDate: "2025-01-05", ...over });
+
+test("a zero tenure is unreachable instead of throwing", () => {
+  const res = solvePayoffDate(inputs({ tenureYears: 0, tenureMonths: 0 }), { targetDate: "2035-03-01" });
+  expect(res.reachable).toBe(false);
+  expect(res.explanation).toMatch(/tenure/);
+});
+
+test("a zero loan amount is unreachable instead of throwing", () => {
+  expect(solvePayoffDate(inputs({ loanAmount: 0 }), { targetDate: "2035-03-01" }).reachable).toBe(false);
+});
+
+test("payoff date: the smallest recurring prepayment that closes the loan by the target", () => {
+  const res = solvePayoffDate(inputs({ lumpSums: [], recurringPrepayAmt: 0 }), { targetDate: "2040-12-01" });
+  expect(res.reachable).toBe(true);
+  expect(res.amount % 100).toBe(0);
+  expect(res.result.payoffDate <= "2040-12-31").toBe(true);
+});
+
+test("the other solvers cope with a zero tenure too", () => {
+  const zero = inputs({ tenureYears: 0, tenureMonths: 0 });
+  expect(() => solveTenureForEmi(zero, { maxEmi: 50000 })).not.toThrow();
+  expect(() => solveLumpSumForInterest(zero, { maxInterest: 100000, date: "2026-01-05" })).not.toThrow();
+});
+
+test("solveGoal runs the solver for the goal type", () => {
+  const v = inputs();
+  expect(solveGoal(v, { type: "emi", maxEmi: 50000 })).toEqual(solveTenureForEmi(v, { maxEmi: 50000 }));
+  const interest = { maxInterest: 2000000, date: "2027-01-05", plan: "base" };
+  expect(solveGoal(v, { type: "interest", ...interest })).toEqual(solveLumpSumForInterest(v, interest));
+  const payoff = { targetDate: "2040-12-01", freq: "yearly" };
+  // the payoff solver only adds to Prepay or Prepay + Savings
+  expect(solveGoal(v, { type: "payoff", ...payoff, plan: "savings" })).toEqual(
+    solvePayoffDate(v, { ...payoff, plan: "prepay" })
+  );
+});
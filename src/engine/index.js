@@ -0,0 +1,49 @@
+/**
+ * Headless loan engine: pure functions shared by the React UI and the CLI
+ * (bin/loan-cli.mjs). No React or DOM in here.
+ */
+
+export { CURRENCIES, moneyFormat, toNum, monthKey, isValidDate, cumulativeSum } from "./utils.js";
+export { INPUT_CHOICES, defaultInputs, normalizeInputs, validateInputs, totalMonths } from "./inputs.js";
+export { MAX_TENURE_MONTHS, monthlyEMI, annualRestEMI, loanEMI, monthsToRepay, steppedEmi, dailyOffsetMonth, buildSchedule, cachedSchedule } from "./schedule.js";
+export { TAX_LIMITS, financialYearOf, yearlyTotalsByFY, computeTaxBenefit } from "./tax.js";
+export { analyzeRefinance } from "./refinance.js";
+export { INVEST_TAX, comparePrepayVsInvest } from "./invest.js";
+export {
+  SCENARIOS,
+  CUSTOM_COLORS,
+  SENSITIVITY_METRICS,
+  SENSITIVITY_MAX_STEPS,
+  scenarioArgs,
+  customScenarioInputs,
+  scenarioList,
+  scenarioInputs,
+  scenarioPlan,
+  buildScenarios,
+  buildPrepayModeComparison,
+  buildPrepayVsInvest,
+  taxOptions,
+  buildTaxResults,
+  buildRefinance,
+  buildPresentValues,
+  buildEffectiveRates,
+  stepPlanName,
+  buildStepPlan,
+  buildRecommendations,
+  sensitivityAxis,
+  buildSensitivityGrid,
+  analyzeLoan,
+} from "./scenarios.js";
+export { SCHEDULE_CSV_HEADER, csvField, toCSV, scheduleCSVRow, scheduleToCSV, parseCSV } from "./csv.js";
+export { INPUTS_FILE_APP, INPUTS_FILE_VERSION, InputsFileError, serializeInputs, parseInputsFile } from "./inputsFile.js";
+export { PERMALINK_VERSION, inputsToParams, paramsToInputs } from "./permalink.js";
+export { INPUT_LABELS, AMOUNT_INPUTS, describeInputs, yearlySummary, buildReport } from "./report.js";
+export { STATEMENT_FIELDS, guessStatementMapping, parseStatementDate, parseStatementAmount, parseStatement, reconcileStatement, restartFromActual } from "./statement.js";
+export { xirr, monthlyCompoundedRate, loanCharges, loanCashFlows, effectiveRate } from "./charges.js";
+export { SHARE_FIELDS, borrowerShares, borrowerSchedule, buildCoBorrowerSplit } from "./coBorrowers.js";
+export { MAX_PATHS, seededRandom, simulateRatePath, percentile, simulationSteps, simulateRatePaths } from "./monteCarlo.js";
+export { discountFactor, presentValue, realPayments } from "./presentValue.js";
+export { solvePayoffDate, solveTenureForEmi, solveLumpSumForInterest, solveGoal } from "./goalSeek.js";
+export { LTV_SLABS, principalForEmi, maxLoanByLtv, computeEligibility } from "./affordability.js";
+export { buildChartSeries, viewSteps, buildView } from "./view.js";
+export { SCHEDULE_GROUPINGS, DIFF_FIELDS, periodOf, groupRows, scheduleSubtotals, diffSchedules } from "./amortization.js";
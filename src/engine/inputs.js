@@ -0,0 +1,508 @@
+/** ---------- Input schema ---------- **/
+
+import { CURRENCIES, isValidDate, toNum } from "./utils.js";
+
+/**
+ * Everything the engine needs to analyse one loan. Field names match the
+ * analyzer's form fields. Amounts are in the chosen currency (₹ by default), rates
+ * in % p.a., dates ISO (YYYY-MM-DD).
+ * Any field left out falls back to defaultInputs() (dates default relative to today,
+ * so set them explicitly when results must be reproducible).
+ *
+ * Loan
+ * - loanAmount, tenureYears, tenureMonths (added to the years), annualRate, emiStartDate
+ * - rateResets: [{ date, rate, mode: "keepEmi" | "keepTenure" }] floating-rate resets
+ *
+ * Under construction
+ * - underConstruction: boolean; when false the disbursement fields are ignored
+ * - constructionMode: "preEmi" | "fullEmi"; possessionDate
+ * - disbursements: [{ date, amount, label }]
+ *
+ * Prepayment (Prepay and Prepay + Savings scenarios)
+ * - lumpSums: [{ amount, date, label, mode: "reduceTenure" | "reduceEmi" }]
+ * - recurringPrepayAmt, recurringPrepayFreq: "monthly" | "quarterly" | "yearly",
+ *   recurringPrepayMode: "reduceTenure" | "reduceEmi"
+ *
+ * Savings offset (Savings Linked and Prepay + Savings scenarios)
+ * - linkSavings: boolean, savingsBalance (opening balance)
+ * - offsetModel: "monthEnd" (uses savingsGrowthMonthly) | "daily"
+ *   (uses salaryCredit, salaryDay, monthlySpend, minBalance)
+ *
+ * Tax
+ * - taxRegime: "old" | "new" (regime used for post-tax figures)
+ * - propertyType: "selfOccupied" | "letOut", annualRent, slabRate, other80C, eligible80EEA
+ *
+ * Prepay vs invest
+ * - investInstrument: "sip" | "equity" | "fd", investReturn, investVolatility,
+ *   investTaxRule: "equity" | "slab"
+ *
+ * Balance transfer
+ * - refiPlan: "base" | "prepay" | "savings" | "prepaySavings" | "custom1", … (plan the switch is tested on)
+ * - refiDate, refiRate, refiMonths (0 = keep remaining tenure), refiFeePct,
+ *   refiForeclosurePct, refiLegal, refiOther, refiDiscountRate
+ *
+ * Eligibility & affordability
+ * - netMonthlyIncome, coApplicantIncome, existingEmis (other EMIs already paid)
+ * - foirPct (lender's cap on all EMIs as % of income), propertyValue,
+ *   ltvPct (0 = RBI slabs), safeEmiPct (share of income you're happy to spend on this EMI)
+ *
+ * Step-up / step-down EMI (an extra plan next to the four scenarios)
+ * - emiStepMode: "none" | "percent" | "amount" (EMI changes by emiStepValue % or ₹
+ *   every year, in emiStepDirection "up" | "down") | "custom" (emiStepTable)
+ * - emiStepTable: [{ year, emi }] EMI from that loan year on (1 = first year)
+ * - emiStepPlan: "base" | "prepay" | "savings" | "prepaySavings" (prepayments and
+ *   savings offset the step plan uses)
+ *
+ * Today's money
+ * - realValues: boolean, show costs discounted to the loan start
+ * - inflationRate (% p.a., used as the discount rate)
+ *
+ * Fees & charges (cash costs on top of interest, used for the effective rate)
+ * - processingFeePct (% of the loan, paid up front), upfrontCharges
+ * - insurancePremium, insuranceFinanced: boolean (added to the loan, else paid up front)
+ * - prepaymentChargePct (% of every prepayment, fixed-rate loans), annualFee
+ *
+ * Joint loan (two or more co-borrowers; fewer = no split)
+ * - coBorrowers: [{ name, ownershipPct, emiPct, prepayPct, savingsPct, slabRate, other80C }]
+ *   shares in %, scaled to 100 across borrowers; tax is claimed by ownership
+ * - coBorrowerPlan: "base" | "prepay" | "savings" | "prepaySavings" (schedule that is split)
+ *
+ * Monte Carlo (random floating-rate paths)
+ * - mcPaths (up to 10,000), mcSeed (same seed = same result), mcPlan: "base" |
+ *   "prepay" | "savings" | "prepaySavings" | "custom1", … (scenario simulated)
+ * - mcLongRunRate (% p.a. the rate drifts back to), mcVolatility (% points per
+ *   √year), mcReversion (speed of that drift, per year), mcResetMonths
+ * - mcTargetDate (payoff date whose probability is reported)
+ *
+ * Tenure × rate sensitivity grid
+ * - sensTenureFrom, sensTenureTo, sensTenureStep (years); sensRateFrom,
+ *   sensRateTo, sensRateStep (% p.a.); up to 25 values per axis
+ * - sensScenario: "base" | "prepay" | "savings" | "prepaySavings" | "custom1", …
+ * - sensMetric: "totalInterest" | "emi" | "payoffMonth" | "effectiveRate"
+ *
+ * User-defined scenarios (compared next to the standard plans; Base stays the reference)
+ * - customScenarios: [{ name, color ("#rrggbb"), annualRate, tenureYears, tenureMonths,
+ *   recurringPrepayAmt, recurringPrepayFreq, useLumpSums (apply the lump sums above),
+ *   linkSavings, savingsBalance, savingsGrowthMonthly }]; the loan amount, start
+ *   date, construction, offset model and fees are the main loan's
+ * - showStandardScenarios: boolean, list Prepay / Savings Linked / Prepay + Savings too
+ *
+ * Currency & conventions
+ * - currency: "INR" | "USD" | "AED" | "GBP" (formatting only, no conversion)
+ * - numberNotation: "auto" (the currency's usual grouping) | "lakh" | "million"
+ * - interestRest: "monthly" | "annual" (interest on the balance at the start of
+ *   each loan year; principal repaid during the year only counts from the next)
+ */
+
+// ISO date `years` from today
+function isoInYears(years) {
+  const d = new Date();
+  d.setFullYear(d.getFullYear() + years);
+  return d.toISOString().slice(0, 10);
+}
+
+export function defaultInputs() {
+  return {
+    loanAmount: 7500000,
+    tenureYears: 25,
+    tenureMonths: 0,
+    annualRate: 7.7,
+    emiStartDate: isoInYears(0),
+    rateResets: [],
+
+    underConstruction: false,
+    constructionMode: "preEmi",
+    possessionDate: isoInYears(2),
+    disbursements: [],
+
+    lumpSums: [],
+    recurringPrepayAmt: 100000,
+    recurringPrepayFreq: "yearly",
+    recurringPrepayMode: "reduceTenure",
+
+    linkSavings: true,
+    savingsBalance: 100000,
+    savingsGrowthMonthly: 10000,
+    offsetModel: "monthEnd",
+    salaryCredit: 150000,
+    salaryDay: 1,
+    monthlySpend: 140000,
+    minBalance: 10000,
+
+    taxRegime: "old",
+    propertyType: "selfOccupied",
+    annualRent: 0,
+    slabRate: 30,
+    other80C: 0,
+    eligible80EEA: false,
+
+    investInstrument: "sip",
+    investReturn: 12,
+    investVolatility: 15,
+    investTaxRule: "equity",
+
+    refiPlan: "prepaySavings",
+    refiDate: isoInYears(1),
+    refiRate: 7.2,
+    refiMonths: 0,
+    refiFeePct: 0.5,
+    refiLegal: 10000,
+    refiOther: 5000,
+    refiForeclosurePct: 0,
+    refiDiscountRate: 7,
+
+    netMonthlyIncome: 150000,
+    coApplicantIncome: 0,
+    existingEmis: 0,
+    foirPct: 50,
+    propertyValue: 10000000,
+    ltvPct: 0,
+    safeEmiPct: 40,
+
+    emiStepMode: "none",
+    emiStepDirection: "up",
+    emiStepValue: 5,
+    emiStepTable: [],
+    emiStepPlan: "base",
+
+    realValues: false,
+    inflationRate: 6,
+
+    currency: "INR",
+    numberNotation: "auto",
+    interestRest: "monthly",
+
+    processingFeePct: 0.5,
+    upfrontCharges: 0,
+    insurancePremium: 0,
+    insuranceFinanced: true,
+    prepaymentChargePct: 0,
+    annualFee: 0,
+
+    coBorrowers: [],
+    coBorrowerPlan: "base",
+
+    mcPaths: 1000,
+    mcLongRunRate: 8,
+    mcVolatility: 1,
+    mcReversion: 0.3,
+    mcResetMonths: 3,
+    mcSeed: 12345,
+    mcTargetDate: isoInYears(20),
+    mcPlan: "base",
+
+    sensTenureFrom: 15,
+    sensTenureTo: 30,
+    sensTenureStep: 5,
+    sensRateFrom: 7,
+    sensRateTo: 9,
+    sensRateStep: 0.5,
+    sensScenario: "base",
+    sensMetric: "totalInterest",
+
+    customScenarios: [],
+    showStandardScenarios: true,
+  };
+}
+
+// allowed values for every enum field (list items use the `<list>.<field>` key)
+export const INPUT_CHOICES = {
+  "rateResets.mode": ["keepEmi", "keepTenure"],
+  constructionMode: ["preEmi", "fullEmi"],
+  "lumpSums.mode": ["reduceTenure", "reduceEmi"],
+  recurringPrepayFreq: ["monthly", "quarterly", "yearly"],
+  recurringPrepayMode: ["reduceTenure", "reduceEmi"],
+  offsetModel: ["monthEnd", "daily"],
+  taxRegime: ["old", "new"],
+  propertyType: ["selfOccupied", "letOut"],
+  investInstrument: ["sip", "equity", "fd"],
+  investTaxRule: ["equity", "slab"],
+  refiPlan: ["base", "prepay", "savings", "prepaySavings"],
+  emiStepMode: ["none", "percent", "amount", "custom"],
+  emiStepDirection: ["up", "down"],
+  emiStepPlan: ["base", "prepay", "savings", "prepaySavings"],
+  currency: Object.keys(CURRENCIES),
+  numberNotation: ["auto", "lakh", "million"],
+  interestRest: ["monthly", "annual"],
+  coBorrowerPlan: ["base", "prepay", "savings", "prepaySavings"],
+  mcPlan: ["base", "prepay", "savings", "prepaySavings"],
+  sensScenario: ["base", "prepay", "savings", "prepaySavings"],
+  sensMetric: ["totalInterest", "emi", "payoffMonth", "effectiveRate"],
+  "customScenarios.recurringPrepayFreq": ["monthly", "quarterly", "yearly"],
+};
+
+// field → type for the list items
+const LIST_ITEMS = {
+  rateResets: { date: "date", rate: "number", mode: "choice" },
+  disbursements: { date: "date", amount: "number", label: "string" },
+  lumpSums: { amount: "number", date: "date", label: "string", mode: "choice" },
+  emiStepTable: { year: "number", emi: "number" },
+  coBorrowers: {
+    name: "string",
+    ownershipPct: "number",
+    emiPct: "number",
+    prepayPct: "number",
+    savingsPct: "number",
+    slabRate: "number",
+    other80C: "number",
+  },
+  customScenarios: {
+    name: "string",
+    color: "string",
+    annualRate: "number",
+    tenureYears: "number",
+    tenureMonths: "number",
+    recurringPrepayAmt: "number",
+    recurringPrepayFreq: "choice",
+    useLumpSums: "boolean",
+    linkSavings: "boolean",
+    savingsBalance: "number",
+    savingsGrowthMonthly: "number",
+  },
+};
+
+const DATE_FIELDS = ["emiStartDate", "possessionDate", "refiDate", "mcTargetDate"];
+
+// fields naming the scenario to run: a standard plan or a user-defined one (custom1 = the first)
+const SCENARIO_FIELDS = ["refiPlan", "mcPlan", "sensScenario"];
+const CUSTOM_KEY = /^custom([1-9]\d*)$/;
+
+const oneOf = (v, allowed, fallback) => (allowed.includes(v) ? v : fallback);
+const dateOr = (v, fallback) => {
+  if (!isValidDate(v)) return fallback;
+  return v instanceof Date ? v.toISOString().slice(0, 10) : String(v).slice(0, 10);
+};
+// list items the engine can use: objects with a valid date (half-filled rows are dropped)
+const list = (v) => (Array.isArray(v) ? v.filter((x) => x && typeof x === "object" && isValidDate(x.date)) : []);
+// custom step table: rows from year 1 on, in year order
+const stepTable = (v) =>
+  (Array.isArray(v) ? v : [])
+    .filter((x) => x && typeof x === "object" && Math.round(toNum(x.year)) >= 1)
+    .map((x) => ({ year: Math.round(toNum(x.year)), emi: Math.max(0, toNum(x.emi)) }))
+    .sort((a, b) => a.year - b.year);
+// co-borrowers: named rows with their % shares (blank shares count as 0)
+const borrowerList = (v) =>
+  (Array.isArray(v) ? v : [])
+    .filter((x) => x && typeof x === "object")
+    .map((x) => ({
+      name: String(x.name ?? ""),
+      ownershipPct: Math.max(0, toNum(x.ownershipPct)),
+      emiPct: Math.max(0, toNum(x.emiPct)),
+      prepayPct: Math.max(0, toNum(x.prepayPct)),
+      savingsPct: Math.max(0, toNum(x.savingsPct)),
+      slabRate: Math.max(0, toNum(x.slabRate)),
+      other80C: Math.max(0, toNum(x.other80C)),
+    }));
+// user-defined scenarios: missing settings fall back to the main loan's
+const customList = (v, main) =>
+  (Array.isArray(v) ? v : [])
+    .filter((x) => x && typeof x === "object")
+    .map((x) => ({
+      name: String(x.name ?? ""),
+      color: /^#[0-9a-f]{6}$/i.test(x.color) ? x.color : "",
+      annualRate: Math.max(0, toNum(x.annualRate, toNum(main.annualRate))),
+      tenureYears: Math.max(0, toNum(x.tenureYears, toNum(main.tenureYears))),
+      tenureMonths: Math.max(0, toNum(x.tenureMonths)),
+      recurringPrepayAmt: Math.max(0, toNum(x.recurringPrepayAmt)),
+      recurringPrepayFreq: oneOf(x.recurringPrepayFreq, INPUT_CHOICES["customScenarios.recurringPrepayFreq"], "yearly"),
+      useLumpSums: x.useLumpSums === true,
+      linkSavings: x.linkSavings === true,
+      savingsBalance: Math.max(0, toNum(x.savingsBalance)),
+      savingsGrowthMonthly: toNum(x.savingsGrowthMonthly),
+    }));
+
+/**
+ * Fill in defaults and coerce types (numbers, enums, dates, lists) so the rest of
+ * the engine can trust its inputs. Unknown fields are dropped.
+ */
+export function normalizeInputs(raw = {}) {
+  const d = defaultInputs();
+  const v = { ...d, ...(raw || {}) };
+  const num = (key, min = -Infinity) => Math.max(min, toNum(v[key], d[key]));
+  const bool = (key) => (typeof v[key] === "boolean" ? v[key] : d[key]);
+  const customScenarios = customList(v.customScenarios, v);
+  // a custom scenario key only while that scenario exists
+  const scenarioKey = (key) => {
+    const m = CUSTOM_KEY.exec(v[key]);
+    return m && Number(m[1]) <= customScenarios.length ? v[key] : oneOf(v[key], INPUT_CHOICES[key], d[key]);
+  };
+
+  return {
+    loanAmount: num("loanAmount", 0),
+    tenureYears: num("tenureYears", 0),
+    tenureMonths: num("tenureMonths", 0),
+    annualRate: num("annualRate", 0),
+    emiStartDate: dateOr(v.emiStartDate, d.emiStartDate),
+    rateResets: list(v.rateResets)
+      .filter((r) => r.rate !== "" && r.rate != null)
+      .map((r) => ({
+        date: dateOr(r.date),
+        rate: Math.max(0, toNum(r.rate)),
+        mode: oneOf(r.mode, INPUT_CHOICES["rateResets.mode"], "keepEmi"),
+      })),
+
+    underConstruction: bool("underConstruction"),
+    constructionMode: oneOf(v.constructionMode, INPUT_CHOICES.constructionMode, d.constructionMode),
+    possessionDate: dateOr(v.possessionDate, d.possessionDate),
+    disbursements: list(v.disbursements).map((x) => ({
+      date: dateOr(x.date),
+      amount: Math.max(0, toNum(x.amount)),
+      label: String(x.label ?? ""),
+    })),
+
+    lumpSums: list(v.lumpSums).map((l) => ({
+      amount: Math.max(0, toNum(l.amount)),
+      date: dateOr(l.date),
+      label: String(l.label ?? ""),
+      mode: oneOf(l.mode, INPUT_CHOICES["lumpSums.mode"], "reduceTenure"),
+    })),
+    recurringPrepayAmt: num("recurringPrepayAmt", 0),
+    recurringPrepayFreq: oneOf(v.recurringPrepayFreq, INPUT_CHOICES.recurringPrepayFreq, d.recurringPrepayFreq),
+    recurringPrepayMode: oneOf(v.recurringPrepayMode, INPUT_CHOICES.recurringPrepayMode, d.recurringPrepayMode),
+
+    linkSavings: bool("linkSavings"),
+    savingsBalance: num("savingsBalance", 0),
+    savingsGrowthMonthly: num("savingsGrowthMonthly"),
+    offsetModel: oneOf(v.offsetModel, INPUT_CHOICES.offsetModel, d.offsetModel),
+    salaryCredit: num("salaryCredit", 0),
+    salaryDay: Math.min(31, num("salaryDay", 1)),
+    monthlySpend: num("monthlySpend", 0),
+    minBalance: num("minBalance", 0),
+
+    taxRegime: oneOf(v.taxRegime, INPUT_CHOICES.taxRegime, d.taxRegime),
+    propertyType: oneOf(v.propertyType, INPUT_CHOICES.propertyType, d.propertyType),
+    annualRent: num("annualRent", 0),
+    slabRate: num("slabRate", 0),
+    other80C: num("other80C", 0),
+    eligible80EEA: bool("eligible80EEA"),
+
+    investInstrument: oneOf(v.investInstrument, INPUT_CHOICES.investInstrument, d.investInstrument),
+    investReturn: num("investReturn"),
+    investVolatility: num("investVolatility", 0),
+    investTaxRule: oneOf(v.investTaxRule, INPUT_CHOICES.investTaxRule, d.investTaxRule),
+
+    refiPlan: scenarioKey("refiPlan"),
+    refiDate: dateOr(v.refiDate, d.refiDate),
+    refiRate: num("refiRate", 0),
+    refiMonths: num("refiMonths", 0),
+    refiFeePct: num("refiFeePct", 0),
+    refiLegal: num("refiLegal", 0),
+    refiOther: num("refiOther", 0),
+    refiForeclosurePct: num("refiForeclosurePct", 0),
+    refiDiscountRate: num("refiDiscountRate", 0),
+
+    netMonthlyIncome: num("netMonthlyIncome", 0),
+    coApplicantIncome: num("coApplicantIncome", 0),
+    existingEmis: num("existingEmis", 0),
+    foirPct: Math.min(100, num("foirPct", 0)),
+    propertyValue: num("propertyValue", 0),
+    ltvPct: Math.min(100, num("ltvPct", 0)),
+    safeEmiPct: Math.min(100, num("safeEmiPct", 0)),
+
+    emiStepMode: oneOf(v.emiStepMode, INPUT_CHOICES.emiStepMode, d.emiStepMode),
+    emiStepDirection: oneOf(v.emiStepDirection, INPUT_CHOICES.emiStepDirection, d.emiStepDirection),
+    emiStepValue: num("emiStepValue", 0),
+    emiStepTable: stepTable(v.emiStepTable),
+    emiStepPlan: oneOf(v.emiStepPlan, INPUT_CHOICES.emiStepPlan, d.emiStepPlan),
+
+    realValues: bool("realValues"),
+    inflationRate: num("inflationRate", 0),
+
+    currency: oneOf(v.currency, INPUT_CHOICES.currency, d.currency),
+    numberNotation: oneOf(v.numberNotation, INPUT_CHOICES.numberNotation, d.numberNotation),
+    interestRest: oneOf(v.interestRest, INPUT_CHOICES.interestRest, d.interestRest),
+
+    processingFeePct: num("processingFeePct", 0),
+    upfrontCharges: num("upfrontCharges", 0),
+    insurancePremium: num("insurancePremium", 0),
+    insuranceFinanced: bool("insuranceFinanced"),
+    prepaymentChargePct: num("prepaymentChargePct", 0),
+    annualFee: num("annualFee", 0),
+
+    coBorrowers: borrowerList(v.coBorrowers),
+    coBorrowerPlan: oneOf(v.coBorrowerPlan, INPUT_CHOICES.coBorrowerPlan, d.coBorrowerPlan),
+
+    mcPaths: Math.max(1, Math.round(num("mcPaths", 1))),
+    mcLongRunRate: num("mcLongRunRate", 0),
+    mcVolatility: num("mcVolatility", 0),
+    mcReversion: num("mcReversion", 0),
+    mcResetMonths: Math.max(1, Math.round(num("mcResetMonths", 1))),
+    mcSeed: Math.round(num("mcSeed")),
+    mcTargetDate: dateOr(v.mcTargetDate, d.mcTargetDate),
+    mcPlan: scenarioKey("mcPlan"),
+
+    sensTenureFrom: num("sensTenureFrom", 1),
+    sensTenureTo: num("sensTenureTo", 1),
+    sensTenureStep: num("sensTenureStep", 0),
+    sensRateFrom: num("sensRateFrom", 0),
+    sensRateTo: num("sensRateTo", 0),
+    sensRateStep: num("sensRateStep", 0),
+    sensScenario: scenarioKey("sensScenario"),
+    sensMetric: oneOf(v.sensMetric, INPUT_CHOICES.sensMetric, d.sensMetric),
+
+    customScenarios,
+    showStandardScenarios: bool("showStandardScenarios"),
+  };
+}
+
+const describe = (v) => (Array.isArray(v) ? "a list" : v === null ? "null" : typeof v === "string" ? `"${v}"` : typeof v);
+
+function checkValue(path, value, type, choices, problems) {
+  if (type === "number" && !(typeof value === "number" && Number.isFinite(value))) {
+    problems.push(`${path} must be a number, got ${describe(value)}`);
+  } else if (type === "boolean" && typeof value !== "boolean") {
+    problems.push(`${path} must be true or false, got ${describe(value)}`);
+  } else if (type === "string" && typeof value !== "string") {
+    problems.push(`${path} must be text, got ${describe(value)}`);
+  } else if (type === "date" && !(typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && isValidDate(value))) {
+    problems.push(`${path} must be a date like 2025-04-01, got ${describe(value)}`);
+  } else if (type === "choice" && !choices.includes(value)) {
+    problems.push(`${path} must be one of ${choices.join(", ")}, got ${describe(value)}`);
+  } else if (type === "scenario" && !choices.includes(value) && !CUSTOM_KEY.test(value)) {
+    problems.push(`${path} must be one of ${choices.join(", ")} or custom1, custom2, …, got ${describe(value)}`);
+  }
+}
+
+/**
+ * Check raw inputs (e.g. from an imported file) against the schema above.
+ * Returns a list of human-readable problems; empty means valid. Missing fields
+ * are fine (they take defaults), unknown fields and wrong types are not.
+ */
+export function validateInputs(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return [`inputs must be an object, got ${describe(raw)}`];
+  const d = defaultInputs();
+  const problems = [];
+  for (const [key, value] of Object.entries(raw)) {
+    if (!(key in d)) {
+      problems.push(`unknown field "${key}"`);
+    } else if (LIST_ITEMS[key]) {
+      if (!Array.isArray(value)) {
+        problems.push(`${key} must be a list, got ${describe(value)}`);
+        continue;
+      }
+      value.forEach((item, i) => {
+        const path = `${key}[${i}]`;
+        if (!item || typeof item !== "object" || Array.isArray(item)) {
+          problems.push(`${path} must be an object, got ${describe(item)}`);
+          return;
+        }
+        for (const [field, type] of Object.entries(LIST_ITEMS[key])) {
+          if (item[field] !== undefined) checkValue(`${path}.${field}`, item[field], type, INPUT_CHOICES[`${key}.${field}`], problems);
+        }
+        for (const field of Object.keys(item)) {
+          if (!(field in LIST_ITEMS[key])) problems.push(`${path} has unknown field "${field}"`);
+        }
+      });
+    } else {
+      let type = INPUT_CHOICES[key] ? "choice" : DATE_FIELDS.includes(key) ? "date" : typeof d[key];
+      if (SCENARIO_FIELDS.includes(key)) type = "scenario";
+      checkValue(key, value, type, INPUT_CHOICES[key], problems);
+    }
+  }
+  return problems;
+}
+
+// loan tenure in months
+export function totalMonths(inputs) {
+  return toNum(inputs.tenureYears) * 12 + toNum(inputs.tenureMonths);
+}
@@ -0,0 +1,76 @@
+/** ---------- Inputs file (save / share) ---------- **/
+
+import { normalizeInputs, validateInputs } from "./inputs.js";
+
+export const INPUTS_FILE_APP = "home-loan-analyzer";
+
+// Bump when a saved field changes meaning or shape, and add a migration below
+export const INPUTS_FILE_VERSION = 1;
+
+// version → function upgrading a file of that version to version + 1
+const MIGRATIONS = {};
+
+export class InputsFileError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}\n- ${problems.join("\n- ")}` : message);
+    this.name = "InputsFileError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * The versioned object written to exported files and browser storage:
+ * { app, version, name, savedAt, inputs }.
+ */
+export function serializeInputs(inputs, name = "", savedAt = new Date().toISOString()) {
+  return { app: INPUTS_FILE_APP, version: INPUTS_FILE_VERSION, name, savedAt, inputs: normalizeInputs(inputs) };
+}
+
+/**
+ * Parse and check an exported file (JSON text or an already-parsed object).
+ * Returns { name, savedAt, inputs } with normalized inputs; throws
+ * InputsFileError explaining what is wrong otherwise.
+ */
+export function parseInputsFile(source) {
+  let data = source;
+  if (typeof source === "string") {
+    try {
+      data = JSON.parse(source);
+    } catch (err) {
+      throw new InputsFileError(`Not a valid JSON file (${err.message}).`);
+    }
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data) || data.app !== INPUTS_FILE_APP) {
+    throw new InputsFileError("Not a Home Loan Analyzer export (missing \"app\": \"home-loan-analyzer\").");
+  }
+
+  let { version } = data;
+  if (version === undefined) throw new InputsFileError("The file has no \"version\" field, so it can't be read safely.");
+  if (!Number.isInteger(version) || version < 1) {
+    throw new InputsFileError(`Unrecognised file version ${JSON.stringify(version)}.`);
+  }
+  if (version > INPUTS_FILE_VERSION) {
+    throw new InputsFileError(
+      `This file was saved by a newer version of the analyzer (file version ${version}, this app reads up to ${INPUTS_FILE_VERSION}). Please update the app.`
+    );
+  }
+  while (version < INPUTS_FILE_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new InputsFileError(
+        `This file is from an older version of the analyzer (file version ${version}) that can no longer be read; this app reads version ${INPUTS_FILE_VERSION}.`
+      );
+    }
+    data = migrate(data);
+    version += 1;
+  }
+
+  const problems = validateInputs(data.inputs);
+  if (problems.length) throw new InputsFileError("The file's inputs don't match the expected format:", problems);
+
+  return {
+    name: typeof data.name === "string" ? data.name : "",
+    savedAt: typeof data.savedAt === "string" ? data.savedAt : "",
+    inputs: normalizeInputs(data.inputs),
+  };
+}
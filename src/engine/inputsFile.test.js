@@ -0,0 +1,76 @@
+import { EVERY_FIELD } from "./__fixtures__/inputs.js";
+import { defaultInputs } from "./inputs.js";
+import { INPUTS_FILE_APP, INPUTS_FILE_VERSION, InputsFileError, parseInputsFile, serializeInputs } from "./inputsFile.js";
+
+const file = (over = {}) => ({ app: INPUTS_FILE_APP, version: INPUTS_FILE_VERSION, name: "Flat", inputs: {}, ...over });
+
+// the InputsFileError `fn` throws
+function errorOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  throw new Error("expected an InputsFileError");
+}
+
+test("the fixture sets every field away from its default", () => {
+  const d = defaultInputs();
+  expect(Object.keys(EVERY_FIELD).sort()).toEqual(Object.keys(d).sort());
+  for (const key of Object.keys(d)) expect([key, EVERY_FIELD[key]]).not.toEqual([key, d[key]]);
+});
+
+test("every field survives a save and load, as an object or as JSON text", () => {
+  const saved = serializeInputs(EVERY_FIELD, "Flat in Pune", "2025-05-01T10:00:00.000Z");
+  expect(saved).toMatchObject({ app: INPUTS_FILE_APP, version: INPUTS_FILE_VERSION });
+  const expected = { name: "Flat in Pune", savedAt: "2025-05-01T10:00:00.000Z", inputs: EVERY_FIELD };
+  expect(parseInputsFile(saved)).toEqual(expected);
+  expect(parseInputsFile(JSON.stringify(saved))).toEqual(expected);
+});
+
+test("fields missing from an older save take their defaults", () => {
+  const { inputs } = parseInputsFile(file({ inputs: { loanAmount: 5000000, annualRate: 8 } }));
+  const d = defaultInputs();
+  expect(inputs).toMatchObject({ loanAmount: 5000000, annualRate: 8, tenureYears: d.tenureYears, mcPaths: d.mcPaths });
+  expect(inputs.customScenarios).toEqual([]);
+});
+
+test.each([
+  ["not JSON", "{ loanAmount: 1", /Not a valid JSON file/],
+  ["another app's file", file({ app: "mortgage-calc" }), /Not a Home Loan Analyzer export/],
+  ["a list", "[]", /Not a Home Loan Analyzer export/],
+  ["no version", file({ version: undefined }), /no "version" field/],
+  ["a bad version", file({ version: "1" }), /Unrecognised file version "1"/],
+  ["a newer version", file({ version: INPUTS_FILE_VERSION + 1 }), /saved by a newer version .* Please update the app/],
+])("rejects %s", (_, source, message) => {
+  const err = errorOf(() => parseInputsFile(source));
+  expect(err).toBeInstanceOf(InputsFileError);
+  expect(err.message).toMatch(message);
+});
+
+test("invalid fields are all listed", () => {
+  const err = errorOf(() =>
+    parseInputsFile(
+      file({
+        inputs: {
+          loanAmount: "lots",
+          taxRegime: "flat",
+          emiStartDate: "05/04/2025",
+          lumpSums: [{ amount: 1000, date: "2026-01-01", when: "soon" }],
+          rateResets: {},
+          colour: "red",
+        },
+      })
+    )
+  );
+  expect(err).toBeInstanceOf(InputsFileError);
+  expect(err.problems).toEqual([
+    'loanAmount must be a number, got "lots"',
+    'taxRegime must be one of old, new, got "flat"',
+    'emiStartDate must be a date like 2025-04-01, got "05/04/2025"',
+    'lumpSums[0] has unknown field "when"',
+    "rateResets must be a list, got object",
+    'unknown field "colour"',
+  ]);
+  expect(err.message).toMatch(/^The file's inputs don't match the expected format:\n- loanAmount/);
+});
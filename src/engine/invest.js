@@ -0,0 +1,108 @@
+/** ---------- Prepay vs invest (opportunity cost) ---------- **/
+
+import { toNum } from "./utils.js";
+
+/**
+ * Two households with the same monthly budget:
+ * - "prepay" follows the prepay schedule (EMI + prepayments)
+ * - "invest" keeps the base loan and invests what the prepay path spends extra
+ * Whenever one path pays less in a month (e.g. after the prepaid loan closes),
+ * the difference goes into that path's investments, so both spend the same.
+ * Net worth = after-tax value of investments if sold that month − loan balance.
+ *
+ * Investments grow at `expectedReturn` (% p.a.); `volatility` (% p.a.) gives a
+ * downside (P10) line using lognormal returns. Tax on sale:
+ * - "equity": STCG ≤ 12 months, LTCG above the yearly exemption after that
+ * - "slab": FD-style, interest taxed every year at the slab, so it compounds post-tax
+ */
+
+export const INVEST_TAX = {
+  stcg: 0.2,
+  ltcg: 0.125,
+  ltcgExemption: 125000,
+  cess: 0.04,
+};
+
+const Z_P10 = 1.2816;
+
+// after-tax value of all lots if sold `t` months in; lot = { month, amount }
+function liquidationValue(lots, t, growth, taxRule) {
+  let value = 0;
+  let shortGain = 0;
+  let longGain = 0;
+  for (const lot of lots) {
+    const years = (t - lot.month) / 12;
+    const v = lot.amount * growth(years);
+    value += v;
+    if (taxRule !== "equity") continue;
+    if (t - lot.month > 12) longGain += v - lot.amount;
+    else shortGain += v - lot.amount;
+  }
+  if (taxRule !== "equity") return value;
+  const tax =
+    (Math.max(0, shortGain) * INVEST_TAX.stcg + Math.max(0, longGain - INVEST_TAX.ltcgExemption) * INVEST_TAX.ltcg) *
+    (1 + INVEST_TAX.cess);
+  return value - tax;
+}
+
+/**
+ * opts: { expectedReturn, volatility, taxRule: "equity" | "slab", slabRate }
+ * Returns { series, crossover, final, afterTaxReturn }:
+ * - series[i] = { month, date, prepayNetWorth, investNetWorth, investNetWorthP10 }
+ * - crossover = first month the leading path changes (null if it never does)
+ * - afterTaxReturn ≈ expected yearly return left after tax (for comparing with the post-tax loan rate)
+ */
+export function comparePrepayVsInvest(baseSchedule, prepaySchedule, opts = {}) {
+  const mu = Math.max(-0.99, toNum(opts.expectedReturn) / 100);
+  const sigma = Math.max(0, toNum(opts.volatility) / 100);
+  const taxRule = opts.taxRule === "slab" ? "slab" : "equity";
+  const slab = (Math.max(0, toNum(opts.slabRate)) / 100) * (1 + INVEST_TAX.cess);
+
+  const yearlyRate = taxRule === "slab" ? mu * (1 - slab) : mu;
+  const mean = (years) => Math.pow(1 + yearlyRate, years);
+  const p10 = (years) =>
+    taxRule === "slab"
+      ? mean(years)
+      : Math.exp((Math.log(1 + yearlyRate) - (sigma * sigma) / 2) * years - Z_P10 * sigma * Math.sqrt(years));
+
+  const outflow = (r) => (r ? r.payment + r.prepayment : 0);
+  const horizon = Math.max(baseSchedule.length, prepaySchedule.length);
+  const prepayLots = [];
+  const investLots = [];
+  const series = [];
+
+  for (let i = 0; i < horizon; i++) {
+    const t = i + 1;
+    const extra = outflow(prepaySchedule[i]) - outflow(baseSchedule[i]);
+    if (extra > 0) investLots.push({ month: t, amount: extra });
+    else if (extra < 0) prepayLots.push({ month: t, amount: -extra });
+
+    const prepayDebt = prepaySchedule[i]?.balance ?? 0;
+    const investDebt = baseSchedule[i]?.balance ?? 0;
+    series.push({
+      month: t,
+      date: (baseSchedule[i] || prepaySchedule[i]).date,
+      prepayNetWorth: liquidationValue(prepayLots, t, mean, taxRule) - prepayDebt,
+      investNetWorth: liquidationValue(investLots, t, mean, taxRule) - investDebt,
+      investNetWorthP10: liquidationValue(investLots, t, p10, taxRule) - investDebt,
+    });
+  }
+
+  // differences under ₹1 count as a tie, so rounding noise doesn't flip the lead
+  let crossover = null;
+  let lead = 0;
+  for (const row of series) {
+    const diff = row.investNetWorth - row.prepayNetWorth;
+    const sign = Math.abs(diff) < 1 ? 0 : Math.sign(diff);
+    if (sign === 0) continue;
+    if (lead !== 0 && sign !== lead) {
+      crossover = { month: row.month, date: row.date, leader: sign > 0 ? "invest" : "prepay" };
+      break;
+    }
+    lead = sign;
+  }
+
+  const last = series[series.length - 1] || { prepayNetWorth: 0, investNetWorth: 0, investNetWorthP10: 0 };
+  const afterTaxReturn = (taxRule === "slab" ? yearlyRate : mu * (1 - INVEST_TAX.ltcg * (1 + INVEST_TAX.cess))) * 100;
+  return { series, crossover, final: last, afterTaxReturn };
+}
@@ -0,0 +1,95 @@
+import { INVEST_TAX, comparePrepayVsInvest } from "./invest.js";
+import { buildSchedule } from "./schedule.js";
+
+// schedule rows as comparePrepayVsInvest reads them, one a month from 2025-01-05
+const rows = (list) =>
+  list.map(([payment, prepayment, balance], i) => ({
+    month: i + 1,
+    date: `${2025 + Math.floor(i / 12)}-${String((i % 12) + 1).padStart(2, "0")}-05`,
+    payment,
+    prepayment,
+    balance,
+  }));
+
+// a loan paying `payment` a month with nothing prepaid, for `months` months
+const flat = (months, payment = 10000, balance = 500000) =>
+  rows(Array.from({ length: months }, () => [payment, 0, balance]));
+
+const CESS = 1 + INVEST_TAX.cess;
+
+test("the same schedule on both paths: nothing invested, net worth is minus the balance", () => {
+  const base = flat(24);
+  const { series, crossover, final } = comparePrepayVsInvest(base, base, { expectedReturn: 12 });
+  expect(series).toHaveLength(24);
+  expect(series.every((r) => r.prepayNetWorth === -500000 && r.investNetWorth === -500000)).toBe(true);
+  expect(crossover).toBeNull();
+  expect(final.investNetWorthP10).toBe(-500000);
+});
+
+test("slab-taxed savings compound at the post-tax rate", () => {
+  const base = flat(25, 10000, 0);
+  const prepay = rows([[10000, 100000, 0], ...Array.from({ length: 24 }, () => [10000, 0, 0])]);
+  const { series, afterTaxReturn } = comparePrepayVsInvest(base, prepay, {
+    expectedReturn: 8,
+    taxRule: "slab",
+    slabRate: 30,
+  });
+  const yearly = 0.08 * (1 - 0.3 * CESS);
+  expect(afterTaxReturn).toBeCloseTo(yearly * 100, 10);
+  expect(series[12].investNetWorth).toBeCloseTo(100000 * (1 + yearly), 6);
+  expect(series[24].investNetWorth).toBeCloseTo(100000 * (1 + yearly) ** 2, 6);
+  // no volatility on an FD: the downside line is the same
+  expect(series[24].investNetWorthP10).toBe(series[24].investNetWorth);
+});
+
+test("equity gains: short-term tax within a year, long-term above the exemption after", () => {
+  const base = flat(37, 10000, 0);
+  const prepay = rows([[10000, 1000000, 0], ...Array.from({ length: 36 }, () => [10000, 0, 0])]);
+  const { series, afterTaxReturn } = comparePrepayVsInvest(base, prepay, {
+    expectedReturn: 12,
+    volatility: 15,
+    taxRule: "equity",
+  });
+  const value = (years) => 1000000 * 1.12 ** years;
+  // sold after 12 months: short-term
+  const short = value(1) - 1000000;
+  expect(series[12].investNetWorth).toBeCloseTo(value(1) - short * INVEST_TAX.stcg * CESS, 4);
+  // sold after 36 months: long-term, less the yearly exemption
+  const long = value(3) - 1000000;
+  const tax = (long - INVEST_TAX.ltcgExemption) * INVEST_TAX.ltcg * CESS;
+  expect(series[36].investNetWorth).toBeCloseTo(value(3) - tax, 4);
+  expect(afterTaxReturn).toBeCloseTo(12 * (1 - INVEST_TAX.ltcg * CESS), 10);
+  expect(series[36].investNetWorthP10).toBeLessThan(series[36].investNetWorth);
+});
+
+test("with no return, a rupee prepaid and a rupee invested come to the same", () => {
+  // invest: ₹10k a month for 36 months; prepay: ₹1L extra up front closes the loan ten months early,
+  // and the EMIs it no longer pays are invested instead
+  const base = rows(Array.from({ length: 36 }, (_, i) => [10000, 0, 360000 - 10000 * (i + 1)]));
+  const prepay = rows([
+    [10000, 100000, 250000],
+    ...Array.from({ length: 25 }, (_, i) => [10000, 0, 250000 - 10000 * (i + 1)]),
+  ]);
+  const { series, crossover, final } = comparePrepayVsInvest(base, prepay, { expectedReturn: 0, taxRule: "slab" });
+  expect(series).toHaveLength(36);
+  series.forEach((r) => expect(r.prepayNetWorth).toBeCloseTo(r.investNetWorth, 6));
+  expect(final.prepayNetWorth).toBeCloseTo(100000, 6);
+  expect(crossover).toBeNull();
+});
+
+test("investing overtakes prepaying once its after-tax return beats the loan rate", () => {
+  const args = { principal: 3000000, months: 180, annualRate: 8.5, emiStartISO: "2025-01-05" };
+  const base = buildSchedule(args).schedule;
+  const prepay = buildSchedule({ ...args, recurringPrepay: 100000, recurringFreq: "yearly" }).schedule;
+  const opts = { volatility: 15, taxRule: "equity" };
+
+  const low = comparePrepayVsInvest(base, prepay, { ...opts, expectedReturn: 8 });
+  expect(low.crossover).toBeNull();
+  expect(low.final.prepayNetWorth).toBeGreaterThan(low.final.investNetWorth);
+
+  const high = comparePrepayVsInvest(base, prepay, { ...opts, expectedReturn: 12 });
+  expect(high.crossover).toMatchObject({ month: 15, date: "2026-03-05", leader: "invest" });
+  const [before, after] = [high.series[13], high.series[14]];
+  expect(before.prepayNetWorth).toBeGreaterThan(before.investNetWorth);
+  expect(after.investNetWorth).toBeGreaterThan(after.prepayNetWorth);
+});
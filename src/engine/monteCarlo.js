@@ -0,0 +1,165 @@
+/** ---------- Monte Carlo: floating-rate paths ---------- **/
+
+import { MAX_TENURE_MONTHS, buildSchedule } from "./schedule.js";
+import { scenarioArgs, scenarioPlan } from "./scenarios.js";
+import { monthKey, toNum } from "./utils.js";
+
+// most paths one run may ask for
+export const MAX_PATHS = 10000;
+
+// paths amortized between the stages of simulationSteps
+const PATHS_PER_STAGE = 100;
+
+/**
+ * Seeded uniform random numbers in [0, 1) (mulberry32): the same seed always
+ * gives the same sequence, so a simulation can be repeated exactly.
+ */
+export function seededRandom(seed) {
+  let a = Math.floor(toNum(seed)) >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// standard normal draw from a uniform source (Box–Muller)
+function normal(random) {
+  const u = 1 - random(); // (0, 1], so the log is finite
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * One path of the lender's rate (% p.a.), month by month from `startRate`, for
+ * `months` months. Mean-reverting (Vasicek): each month the rate moves a share
+ * `reversion` per year of the way to `longRunRate`, plus a random shock with
+ * `volatility` (% points per √year). Rates never go below 0.
+ */
+export function simulateRatePath(random, { startRate, longRunRate, volatility, reversion, months }) {
+  const dt = 1 / 12;
+  const shock = Math.max(0, toNum(volatility)) * Math.sqrt(dt);
+  const pull = Math.max(0, toNum(reversion)) * dt;
+  const path = [toNum(startRate)];
+  for (let m = 1; m < months; m++) {
+    const r = path[m - 1];
+    path.push(Math.max(0, r + pull * (toNum(longRunRate) - r) + shock * normal(random)));
+  }
+  return path;
+}
+
+// value at fraction `p` of ascending `sorted` (linear between ranks)
+export function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  const i = (sorted.length - 1) * p;
+  const lo = Math.floor(i);
+  const hi = Math.min(sorted.length - 1, lo + 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+const bands = (sorted) => ({ p10: percentile(sorted, 0.1), p50: percentile(sorted, 0.5), p90: percentile(sorted, 0.9) });
+
+/**
+ * mcPaths rate paths from the mean-reverting model, each amortized like the
+ * mcPlan scenario with the path's rate applied at every reset (every
+ * mcResetMonths from the schedule's first month, which for a construction loan
+ * is the first disbursement; EMI kept and tenure stretched, as banks do by
+ * default). The entered rate resets are replaced by the path. Returns P10/P50/P90 bands of
+ * outstanding balance and cumulative interest per month, of total interest and
+ * payoff month, and the share of paths closed by mcTargetDate. The same mcSeed
+ * always gives the same result. Yields every PATHS_PER_STAGE paths, so a
+ * background job can stop once it's been superseded (see worker.js).
+ */
+export function* simulationSteps(inputs) {
+  const paths = Math.min(MAX_PATHS, Math.max(1, Math.round(toNum(inputs.mcPaths))));
+  const resetEvery = Math.max(1, Math.round(toNum(inputs.mcResetMonths, 1)));
+  const random = seededRandom(inputs.mcSeed);
+  const { inputs: planInputs, plan } = scenarioPlan(inputs, inputs.mcPlan);
+  const args = scenarioArgs(planInputs, plan);
+  // resets count from the schedule's first month: the first disbursement for a construction loan
+  const first = buildSchedule(args).schedule[0];
+  const start = new Date(first ? first.date : inputs.emiStartDate);
+  const dateOf = (m) => {
+    const d = new Date(start);
+    d.setMonth(start.getMonth() + (m - 1));
+    return d.toISOString().slice(0, 10);
+  };
+  const resetDates = [];
+  for (let m = 1 + resetEvery; m <= MAX_TENURE_MONTHS; m += resetEvery) resetDates.push({ month: m, date: dateOf(m) });
+
+  // balance[i][p] and interest[i][p]: month i + 1 of path p (0 once the loan has closed)
+  const balance = [];
+  const interest = [];
+  const totals = new Float64Array(paths);
+  const payoffMonths = new Float64Array(paths);
+  const targetKey = monthKey(new Date(inputs.mcTargetDate));
+  let closedByTarget = 0;
+  let dates = [];
+
+  for (let p = 0; p < paths; p++) {
+    const rates = simulateRatePath(random, {
+      startRate: planInputs.annualRate,
+      longRunRate: inputs.mcLongRunRate,
+      volatility: inputs.mcVolatility,
+      reversion: inputs.mcReversion,
+      months: MAX_TENURE_MONTHS,
+    });
+    const rateResets = resetDates.map((r) => ({ date: r.date, rate: Number(rates[r.month - 1].toFixed(4)), mode: "keepEmi" }));
+    const { schedule, totals: t } = buildSchedule({ ...args, rateResets });
+    let cumulative = 0;
+    schedule.forEach((r, i) => {
+      if (!balance[i]) {
+        balance[i] = new Float64Array(paths);
+        interest[i] = new Float64Array(paths);
+      }
+      cumulative += r.interestPaid;
+      balance[i][p] = r.balance;
+      interest[i][p] = cumulative;
+    });
+    totals[p] = t.totalInterest;
+    payoffMonths[p] = schedule.length;
+    const last = schedule[schedule.length - 1];
+    if (last && monthKey(new Date(last.date)) <= targetKey && t.unpaidBalance <= 0.01) closedByTarget++;
+    if (schedule.length > dates.length) dates = schedule.map((r) => r.date);
+    if ((p + 1) % PATHS_PER_STAGE === 0) yield;
+  }
+
+  // after payoff a path's balance stays 0 and its cumulative interest at the total
+  for (let p = 0; p < paths; p++) {
+    for (let i = payoffMonths[p]; i < interest.length; i++) interest[i][p] = totals[p];
+  }
+
+  const series = balance.map((col, i) => {
+    const b = bands(col.slice().sort());
+    const c = bands(interest[i].slice().sort());
+    return {
+      month: i + 1,
+      date: dates[i],
+      balanceP10: b.p10,
+      balanceP50: b.p50,
+      balanceP90: b.p90,
+      interestP10: c.p10,
+      interestP50: c.p50,
+      interestP90: c.p90,
+    };
+  });
+  const sortedTotals = totals.slice().sort();
+  return {
+    paths,
+    seed: inputs.mcSeed,
+    series,
+    totalInterest: { ...bands(sortedTotals), mean: sortedTotals.reduce((s, x) => s + x, 0) / paths },
+    payoffMonths: bands(payoffMonths.slice().sort()),
+    targetDate: inputs.mcTargetDate,
+    probabilityByTarget: closedByTarget / paths,
+  };
+}
+
+// the whole simulation in one go (tests, CLI, or where no worker is available)
+export function simulateRatePaths(inputs) {
+  const steps = simulationSteps(inputs);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+}
@@ -0,0 +1,98 @@
+import { normalizeInputs } from "./inputs.js";
+import { seededRandom, simulateRatePath, simulateRatePaths, simulationSteps } from "./monteCarlo.js";
+import { buildSchedule } from "./schedule.js";
+import { scenarioArgs } from "./scenarios.js";
+
+const inputs = (over = {}) =>
+  normalizeInputs({
+    loanAmount: 3000000,
+    annualRate: 8.5,
+    tenureYears: 15,
+    tenureMonths: 0,
+    emiStartDate: "2025-01-05",
+    lumpSums: [],
+    recurringPrepayAmt: 0,
+    rateResets: [],
+    mcPaths: 50,
+    mcTargetDate: "2038-01-01",
+    ...over,
+  });
+
+test("the same seed gives the same bands, a different seed different ones", () => {
+  const a = simulateRatePaths(inputs({ mcSeed: 42 }));
+  const b = simulateRatePaths(inputs({ mcSeed: 42 }));
+  const c = simulateRatePaths(inputs({ mcSeed: 43 }));
+  expect(b.totalInterest).toEqual(a.totalInterest);
+  expect(b.payoffMonths).toEqual(a.payoffMonths);
+  expect(b.probabilityByTarget).toBe(a.probabilityByTarget);
+  expect(b.series[60]).toEqual(a.series[60]);
+  expect(c.totalInterest.p50).not.toBe(a.totalInterest.p50);
+  expect(a.totalInterest.p10).toBeLessThanOrEqual(a.totalInterest.p50);
+  expect(a.totalInterest.p50).toBeLessThanOrEqual(a.totalInterest.p90);
+});
+
+test("a staged run stops between batches of paths and ends with the same result", () => {
+  const v = inputs({ mcPaths: 250 });
+  const steps = simulationSteps(v);
+  let stages = 0;
+  let step = steps.next();
+  while (!step.done) {
+    stages++;
+    step = steps.next();
+  }
+  expect(stages).toBe(2);
+  expect(step.value).toEqual(simulateRatePaths(v));
+});
+
+test("construction loan: resets count from the first disbursement, not the EMI start date", () => {
+  const v = inputs({
+    mcPaths: 1,
+    mcVolatility: 0,
+    mcResetMonths: 12,
+    underConstruction: true,
+    constructionMode: "preEmi",
+    possessionDate: "2026-07-01",
+    emiStartDate: "2026-08-05",
+    disbursements: [
+      { date: "2025-01-10", amount: 1500000, label: "Slab" },
+      { date: "2025-09-10", amount: 1500000, label: "Finishing" },
+    ],
+  });
+  // with no volatility the single path is the deterministic pull towards the long-run rate
+  const rates = simulateRatePath(seededRandom(v.mcSeed), {
+    startRate: v.annualRate,
+    longRunRate: v.mcLongRunRate,
+    volatility: 0,
+    reversion: v.mcReversion,
+    months: 360,
+  });
+  const rateResets = [];
+  for (let m = 13; m <= 360; m += 12) {
+    const d = new Date("2025-01-10");
+    d.setMonth(d.getMonth() + (m - 1));
+    rateResets.push({ date: d.toISOString().slice(0, 10), rate: Number(rates[m - 1].toFixed(4)), mode: "keepEmi" });
+  }
+  const expected = buildSchedule({ ...scenarioArgs(v, "base"), rateResets });
+  expect(simulateRatePaths(v).totalInterest.p50).toBeCloseTo(expected.totals.totalInterest, 2);
+});
+
+test("a user-defined scenario as the plan simulates that scenario's own loan", () => {
+  const custom = {
+    name: "Bank B",
+    annualRate: 7.9,
+    tenureYears: 12,
+    tenureMonths: 0,
+    recurringPrepayAmt: 10000,
+    recurringPrepayFreq: "monthly",
+    useLumpSums: false,
+    linkSavings: false,
+    savingsBalance: 0,
+    savingsGrowthMonthly: 0,
+  };
+  const v = inputs({ customScenarios: [custom], mcPlan: "custom1" });
+  expect(v.mcPlan).toBe("custom1");
+  const own = inputs({ ...custom, customScenarios: [], mcPlan: "prepaySavings" });
+  expect(simulateRatePaths(v)).toEqual(simulateRatePaths(own));
+  // a key past the end of the list falls back to the default plan
+  expect(inputs({ customScenarios: [custom], mcPlan: "custom2" }).mcPlan).toBe("base");
+});
@@ -0,0 +1,60 @@
+/** ---------- Permalink (inputs in the URL) ---------- **/
+
+import { defaultInputs, normalizeInputs } from "./inputs.js";
+
+// Bump only if an existing parameter changes meaning; new fields need no bump
+export const PERMALINK_VERSION = 1;
+
+/**
+ * Every input as URL parameters (`loanAmount=7500000&…`), plus view settings
+ * such as the selected scenario. Scalars are written as-is, booleans as 1/0 and
+ * lists (rate resets, lump sums, tranches) as JSON. All fields are always written,
+ * so a link keeps its meaning even if a default changes later.
+ */
+export function inputsToParams(inputs, view = {}) {
+  const params = new URLSearchParams();
+  params.set("v", String(PERMALINK_VERSION));
+  for (const [key, value] of Object.entries(normalizeInputs(inputs))) {
+    if (Array.isArray(value)) params.set(key, JSON.stringify(value));
+    else if (typeof value === "boolean") params.set(key, value ? "1" : "0");
+    else params.set(key, String(value));
+  }
+  for (const [key, value] of Object.entries(view)) {
+    if (value !== undefined && value !== null) params.set(key, String(value));
+  }
+  return params.toString();
+}
+
+/**
+ * Read a query string or hash written by inputsToParams. Returns
+ * { inputs, view } where `inputs` is normalized (fields the link predates take
+ * defaults) and `view` holds the remaining known parameters as strings.
+ * Returns null when the string carries no loan inputs.
+ */
+export function paramsToInputs(query, viewKeys = []) {
+  const params = new URLSearchParams(String(query || "").replace(/^[#?]/, ""));
+  const d = defaultInputs();
+  const raw = {};
+  for (const key of Object.keys(d)) {
+    if (!params.has(key)) continue;
+    const text = params.get(key);
+    if (Array.isArray(d[key])) {
+      try {
+        raw[key] = JSON.parse(text);
+      } catch {
+        // a mangled list (e.g. truncated link) falls back to the default
+      }
+    } else if (typeof d[key] === "boolean") {
+      raw[key] = text === "1" || text === "true";
+    } else if (typeof d[key] === "number") {
+      raw[key] = text === "" ? undefined : Number(text);
+    } else {
+      raw[key] = text;
+    }
+  }
+  if (!Object.keys(raw).length) return null;
+
+  const view = {};
+  for (const key of viewKeys) if (params.has(key)) view[key] = params.get(key);
+  return { inputs: normalizeInputs(raw), view };
+}
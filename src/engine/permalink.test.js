@@ -0,0 +1,50 @@
+import { EVERY_FIELD } from "./__fixtures__/inputs.js";
+import { defaultInputs } from "./inputs.js";
+import { PERMALINK_VERSION, inputsToParams, paramsToInputs } from "./permalink.js";
+
+test("every field survives a link, with the view settings asked for", () => {
+  const query = inputsToParams(EVERY_FIELD, { scenario: "custom1", ignored: null });
+  expect(new URLSearchParams(query).get("v")).toBe(String(PERMALINK_VERSION));
+  expect(paramsToInputs(query, ["scenario"])).toEqual({ inputs: EVERY_FIELD, view: { scenario: "custom1" } });
+  // read from a hash or a query string alike
+  expect(paramsToInputs(`#${query}`).inputs).toEqual(EVERY_FIELD);
+  expect(paramsToInputs(`?${query}`).inputs).toEqual(EVERY_FIELD);
+});
+
+test("an old link without the newer fields keeps working, defaults filling the gaps", () => {
+  const d = defaultInputs();
+  const old = "v=1&loanAmount=5000000&tenureYears=20&tenureMonths=0&annualRate=8.4&emiStartDate=2024-06-05&linkSavings=0";
+  const { inputs, view } = paramsToInputs(old, ["scenario"]);
+  expect(inputs).toMatchObject({ loanAmount: 5000000, tenureYears: 20, annualRate: 8.4, emiStartDate: "2024-06-05" });
+  expect(inputs.linkSavings).toBe(false);
+  for (const key of ["currency", "processingFeePct", "coBorrowers", "customScenarios", "mcPaths", "sensMetric"]) {
+    expect([key, inputs[key]]).toEqual([key, d[key]]);
+  }
+  expect(view).toEqual({});
+});
+
+test("a mangled list param falls back to its default; the rest of the link still applies", () => {
+  const query = inputsToParams(EVERY_FIELD).replace(/lumpSums=[^&]*/, "lumpSums=%5B%7B%22amount%22%3A25");
+  const { inputs } = paramsToInputs(query);
+  expect(inputs.lumpSums).toEqual([]);
+  expect(inputs.rateResets).toEqual(EVERY_FIELD.rateResets);
+  expect(inputs.loanAmount).toBe(EVERY_FIELD.loanAmount);
+});
+
+test("bad scalars fall back to defaults", () => {
+  const d = defaultInputs();
+  const { inputs } = paramsToInputs("loanAmount=&annualRate=abc&taxRegime=flat&emiStartDate=someday&realValues=yes");
+  expect(inputs).toMatchObject({
+    loanAmount: d.loanAmount,
+    annualRate: d.annualRate,
+    taxRegime: d.taxRegime,
+    emiStartDate: d.emiStartDate,
+    realValues: false,
+  });
+});
+
+test("a link with no loan inputs is not a permalink", () => {
+  expect(paramsToInputs("")).toBeNull();
+  expect(paramsToInputs("#section-charts")).toBeNull();
+  expect(paramsToInputs("v=1&scenario=prepay", ["scenario"])).toBeNull();
+});
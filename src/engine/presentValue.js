@@ -0,0 +1,35 @@
+/** ---------- Present value (today's money) ---------- **/
+
+import { toNum } from "./utils.js";
+
+// what ₹1 paid `months` after the loan start is worth at the start
+export function discountFactor(ratePct, months) {
+  return Math.pow(1 + toNum(ratePct) / 100, -months / 12);
+}
+
+/**
+ * A schedule's cash flows discounted to its first month at `ratePct` p.a.:
+ * EMIs (pre-EMI interest included), prepayments, and their total. `cost` is
+ * that total less the loan received (tranches discounted too), i.e. what the
+ * loan really costs in start-date money.
+ */
+export function presentValue(schedule, ratePct, principal) {
+  let emis = 0;
+  let prepayments = 0;
+  let received = 0;
+  for (const r of schedule) {
+    const f = discountFactor(ratePct, r.month - 1);
+    emis += r.payment * f;
+    prepayments += r.prepayment * f;
+    received += r.disbursed * f;
+  }
+  // without tranches the whole loan is paid out on day one
+  if (!schedule.some((r) => r.disbursed > 0)) received = Math.max(0, toNum(principal));
+  const total = emis + prepayments;
+  return { emis, prepayments, total, cost: total - received };
+}
+
+// each month's EMI in start-date money (the real burden as pay keeps up with inflation)
+export function realPayments(schedule, ratePct) {
+  return schedule.map((r) => r.payment * discountFactor(ratePct, r.month - 1));
+}
@@ -0,0 +1,68 @@
+/** ---------- Balance transfer / refinance ---------- **/
+
+import { isValidDate, monthKey, toNum } from "./utils.js";
+
+/**
+ * Compares staying with the current lender against switching at `switchDate`.
+ * `current` and `switched` are schedules from buildSchedule built with the same
+ * prepay/savings inputs (the switched one with `switchTo`), so the switch is the
+ * only difference. Monthly outflow = EMI + prepayment.
+ *
+ * costs: { processingFeePct, foreclosurePct, legal, other } — percentages apply to
+ * the balance at the switch; all costs are paid up front in the switch month.
+ * discountRate (% p.a.) discounts the monthly outflow differences for the NPV.
+ */
+
+const outflow = (r) => (r ? r.payment + r.prepayment : 0);
+
+export function analyzeRefinance({ current, switched, switchDate, costs = {}, discountRate = 0 }) {
+  if (!isValidDate(switchDate)) {
+    return { feasible: false, reason: "Pick a switch date." };
+  }
+  const key = monthKey(new Date(switchDate));
+  const start = current.findIndex((r) => monthKey(new Date(r.date)) >= key);
+  if (start < 0) return { feasible: false, reason: "The current loan is closed before the switch date." };
+
+  // balance at the start of the switch month
+  const first = current[start];
+  const balanceAtSwitch = first.balance + first.principalPaid + first.prepayment;
+  const switchingCost =
+    (balanceAtSwitch * (Math.max(0, toNum(costs.processingFeePct)) + Math.max(0, toNum(costs.foreclosurePct)))) / 100 +
+    Math.max(0, toNum(costs.legal)) +
+    Math.max(0, toNum(costs.other));
+
+  const r = Math.max(0, toNum(discountRate)) / 12 / 100;
+  const end = Math.max(current.length, switched.length);
+  let cumulative = 0;
+  let npv = -switchingCost;
+  let interestSaved = 0;
+  let breakEvenMonth = null;
+  let breakEvenDate = null;
+
+  for (let i = start; i < end; i++) {
+    const diff = outflow(current[i]) - outflow(switched[i]);
+    cumulative += diff;
+    npv += diff / Math.pow(1 + r, i - start + 1);
+    interestSaved += (current[i]?.interestPaid ?? 0) - (switched[i]?.interestPaid ?? 0);
+    if (breakEvenMonth === null && cumulative >= switchingCost) {
+      breakEvenMonth = i - start + 1;
+      breakEvenDate = (current[i] || switched[i]).date;
+    }
+  }
+
+  return {
+    feasible: true,
+    switchMonth: start + 1,
+    balanceAtSwitch,
+    switchingCost,
+    emiBefore: first.payment,
+    emiAfter: switched[start]?.payment ?? 0,
+    payoffMonthsCurrent: current.length,
+    payoffMonthsSwitched: switched.length,
+    interestSaved,
+    netSavings: cumulative - switchingCost,
+    breakEvenMonth,
+    breakEvenDate,
+    npv,
+  };
+}
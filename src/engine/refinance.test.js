@@ -0,0 +1,89 @@
+import { normalizeInputs } from "./inputs.js";
+import { analyzeRefinance } from "./refinance.js";
+import { buildSchedule } from "./schedule.js";
+import { buildRefinance, buildScenarios } from "./scenarios.js";
+
+const LOAN = { principal: 5000000, months: 240, annualRate: 8.5, emiStartISO: "2025-01-05" };
+const SWITCH = "2027-01-01";
+
+const current = buildSchedule(LOAN).schedule;
+const switchTo = (rate, months = 0) => buildSchedule({ ...LOAN, switchTo: { date: SWITCH, rate, months } }).schedule;
+
+test("a switch date that's missing or after the loan closes isn't feasible", () => {
+  expect(analyzeRefinance({ current, switched: current, switchDate: "" })).toEqual({
+    feasible: false,
+    reason: "Pick a switch date.",
+  });
+  expect(analyzeRefinance({ current, switched: current, switchDate: "2046-01-01" })).toMatchObject({ feasible: false });
+});
+
+test("switching to a lower rate: costs on the balance at the switch, break-even and net savings", () => {
+  const switched = switchTo(7.5);
+  const costs = { processingFeePct: 0.5, foreclosurePct: 0, legal: 10000, other: 5000 };
+  const res = analyzeRefinance({ current, switched, switchDate: SWITCH, costs });
+  expect(res.feasible).toBe(true);
+  // January 2027 is EMI 25; the balance is the one left after EMI 24 (rows are rounded to the paisa)
+  expect(res.switchMonth).toBe(25);
+  expect(res.balanceAtSwitch).toBeCloseTo(current[23].balance, 1);
+  expect(res.switchingCost).toBeCloseTo(res.balanceAtSwitch * 0.005 + 15000, 6);
+  expect(res.emiBefore).toBe(current[24].payment);
+  expect(res.emiAfter).toBeLessThan(res.emiBefore);
+  // same end date, so the switch only lowers the EMI
+  expect(res.payoffMonthsSwitched).toBe(res.payoffMonthsCurrent);
+
+  const saved = (n) => current.slice(24, 24 + n).reduce((s, r, i) => s + r.payment - switched[24 + i].payment, 0);
+  expect(saved(res.breakEvenMonth)).toBeGreaterThanOrEqual(res.switchingCost);
+  expect(saved(res.breakEvenMonth - 1)).toBeLessThan(res.switchingCost);
+  expect(res.breakEvenDate).toBe(current[24 + res.breakEvenMonth - 1].date);
+  expect(res.netSavings).toBeCloseTo(saved(216) - res.switchingCost, 4);
+  // the same principal is repaid either way, so what's saved is interest (give or take the paise rounded per row)
+  expect(res.interestSaved).toBeCloseTo(saved(216), 0);
+});
+
+test("keeping the EMI and shortening the tenure shows up as an earlier payoff", () => {
+  const res = analyzeRefinance({ current, switched: switchTo(7.5, 180), switchDate: SWITCH });
+  expect(res.payoffMonthsSwitched).toBe(24 + 180);
+  expect(res.emiAfter).toBeGreaterThan(res.emiBefore);
+  expect(res.interestSaved).toBeGreaterThan(0);
+});
+
+test("NPV discounts the monthly savings; with no discount rate it's the net savings", () => {
+  const switched = switchTo(7.5);
+  const costs = { legal: 50000 };
+  const flat = analyzeRefinance({ current, switched, switchDate: SWITCH, costs });
+  expect(flat.npv).toBeCloseTo(flat.netSavings, 4);
+  const discounted = analyzeRefinance({ current, switched, switchDate: SWITCH, costs, discountRate: 7 });
+  expect(discounted.npv).toBeLessThan(flat.npv);
+  expect(discounted.netSavings).toBe(flat.netSavings);
+});
+
+test("a switch to a higher rate never breaks even", () => {
+  const res = analyzeRefinance({ current, switched: switchTo(9.5), switchDate: SWITCH, costs: { other: 1 } });
+  expect(res.breakEvenMonth).toBeNull();
+  expect(res.breakEvenDate).toBeNull();
+  expect(res.netSavings).toBeLessThan(0);
+  expect(res.npv).toBeLessThan(0);
+});
+
+test("the switch is tested on the chosen plan, a user-defined scenario included", () => {
+  const inputs = normalizeInputs({
+    loanAmount: 5000000,
+    annualRate: 8.5,
+    tenureYears: 20,
+    tenureMonths: 0,
+    emiStartDate: "2025-01-05",
+    lumpSums: [],
+    recurringPrepayAmt: 0,
+    linkSavings: false,
+    customScenarios: [{ name: "Bank B", annualRate: 9, tenureYears: 15, tenureMonths: 0, recurringPrepayAmt: 0 }],
+    refiPlan: "custom1",
+    refiDate: SWITCH,
+    refiRate: 7.5,
+  });
+  const scenarios = buildScenarios(inputs);
+  const res = buildRefinance(inputs, scenarios);
+  expect(res.emiBefore).toBe(scenarios.custom1.schedule[24].payment);
+  expect(res.payoffMonthsCurrent).toBe(180);
+  expect(res.payoffMonthsSwitched).toBe(180);
+  expect(res.emiAfter).toBeLessThan(res.emiBefore);
+});
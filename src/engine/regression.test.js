@@ -0,0 +1,22 @@
+import { STATEMENTS } from "./__fixtures__/statements.js";
+import { parseCSV } from "./csv.js";
+import { analyzeLoan } from "./scenarios.js";
+import { guessStatementMapping, parseStatement, reconcileStatement } from "./statement.js";
+
+// Projected schedules against bank statements: every month matched, and the
+// EMI, interest and balance within what per-row rounding explains.
+test.each(STATEMENTS)("$name", ({ inputs, plan, csv }) => {
+  const rows = parseCSV(csv);
+  const { months, problems } = parseStatement(rows, guessStatementMapping(rows[0]));
+  expect(problems).toEqual([]);
+
+  const { schedule } = analyzeLoan(inputs).scenarios[plan];
+  const result = reconcileStatement(schedule, months);
+  expect(result.unmatched).toBe(0);
+  expect(result.matched).toBe(months.length);
+  for (const r of result.rows) {
+    expect(Math.abs(r.paymentDiff)).toBeLessThan(0.01);
+    expect(Math.abs(r.interestDiff)).toBeLessThan(0.02);
+    expect(Math.abs(r.balanceDiff)).toBeLessThan(0.1);
+  }
+});
@@ -0,0 +1,198 @@
+/** ---------- Report data ---------- **/
+
+import { scenarioInputs, scenarioList } from "./scenarios.js";
+import { effectiveRate } from "./charges.js";
+import { financialYearOf } from "./tax.js";
+import { moneyFormat } from "./utils.js";
+
+// label for every input, in the order the report lists them
+export const INPUT_LABELS = {
+  loanAmount: "Loan amount (₹)",
+  tenureYears: "Tenure (years)",
+  tenureMonths: "Tenure (extra months)",
+  annualRate: "Interest rate (% p.a.)",
+  emiStartDate: "EMI start date",
+  rateResets: "Rate resets",
+  underConstruction: "Under construction",
+  constructionMode: "Until possession",
+  possessionDate: "Possession date",
+  disbursements: "Disbursements",
+  lumpSums: "Lump-sum prepayments",
+  recurringPrepayAmt: "Recurring prepayment (₹)",
+  recurringPrepayFreq: "Recurring frequency",
+  recurringPrepayMode: "Recurring prepayment mode",
+  linkSavings: "Savings linked",
+  savingsBalance: "Savings balance (₹)",
+  savingsGrowthMonthly: "Savings growth per month (₹)",
+  offsetModel: "Offset model",
+  salaryCredit: "Salary credit (₹)",
+  salaryDay: "Salary day",
+  monthlySpend: "Monthly spend (₹)",
+  minBalance: "Minimum balance (₹)",
+  taxRegime: "Tax regime",
+  propertyType: "Property",
+  annualRent: "Annual rent (₹)",
+  slabRate: "Tax slab (%)",
+  other80C: "Other 80C investments (₹)",
+  eligible80EEA: "Eligible for 80EEA",
+  investInstrument: "Invest instead in",
+  investReturn: "Expected return (% p.a.)",
+  investVolatility: "Volatility (% p.a.)",
+  investTaxRule: "Investment tax rule",
+  refiPlan: "Balance transfer tested on",
+  refiDate: "Switch date",
+  refiRate: "New rate (% p.a.)",
+  refiMonths: "New tenure (months, 0 = remaining)",
+  refiFeePct: "Processing fee (%)",
+  refiForeclosurePct: "Foreclosure charge (%)",
+  refiLegal: "Legal / valuation (₹)",
+  refiOther: "Other switching costs (₹)",
+  refiDiscountRate: "NPV discount rate (%)",
+  netMonthlyIncome: "Net monthly income (₹)",
+  coApplicantIncome: "Co-applicant net monthly income (₹)",
+  existingEmis: "Existing EMIs per month (₹)",
+  foirPct: "Lender FOIR (%)",
+  propertyValue: "Property value (₹)",
+  ltvPct: "Lender LTV (%, 0 = RBI slabs)",
+  safeEmiPct: "Safe EMI share of income (%)",
+  emiStepMode: "Step EMI plan",
+  emiStepDirection: "Step direction",
+  emiStepValue: "Yearly step (% or ₹)",
+  emiStepTable: "Custom EMI table",
+  emiStepPlan: "Step plan applied to",
+  realValues: "Show today's money",
+  inflationRate: "Inflation / discount rate (%)",
+  currency: "Currency",
+  numberNotation: "Number grouping",
+  interestRest: "Interest rest",
+  processingFeePct: "Processing fee (%)",
+  upfrontCharges: "Legal, valuation & other upfront charges (₹)",
+  insurancePremium: "Loan protection insurance premium (₹)",
+  insuranceFinanced: "Insurance added to the loan",
+  prepaymentChargePct: "Prepayment / foreclosure charge (%)",
+  annualFee: "Annual maintenance fee (₹)",
+  coBorrowers: "Co-borrowers",
+  coBorrowerPlan: "Co-borrower split on",
+  mcPaths: "Simulated rate paths",
+  mcLongRunRate: "Long-run mean rate (% p.a.)",
+  mcVolatility: "Rate volatility (% points per year)",
+  mcReversion: "Mean reversion speed (per year)",
+  mcResetMonths: "Rate reset every (months)",
+  mcSeed: "Random seed",
+  mcTargetDate: "Target payoff date",
+  mcPlan: "Simulated plan",
+  sensTenureFrom: "Sensitivity tenure from (years)",
+  sensTenureTo: "Sensitivity tenure to (years)",
+  sensTenureStep: "Sensitivity tenure step (years)",
+  sensRateFrom: "Sensitivity rate from (% p.a.)",
+  sensRateTo: "Sensitivity rate to (% p.a.)",
+  sensRateStep: "Sensitivity rate step (%)",
+  sensScenario: "Sensitivity plan",
+  sensMetric: "Sensitivity metric",
+  customScenarios: "Custom scenarios",
+  showStandardScenarios: "Show standard plans",
+};
+
+// inputs whose value is an amount of money
+export const AMOUNT_INPUTS = Object.keys(INPUT_LABELS).filter((key) => INPUT_LABELS[key].includes("(₹)"));
+
+// one readable line per list item, e.g. "2026-03-15 ₹3,00,000 Bonus (reduceTenure)"
+function describeList(key, items, fmt) {
+  if (!items.length) return "None";
+  return items
+    .map((x) => {
+      if (key === "rateResets") return `${x.date} → ${x.rate}% (${x.mode})`;
+      if (key === "emiStepTable") return `Year ${x.year} on: ${fmt(x.emi)}`;
+      if (key === "customScenarios") {
+        const tenure = `${x.tenureYears}y${x.tenureMonths ? ` ${x.tenureMonths}m` : ""}`;
+        const prepay = x.recurringPrepayAmt > 0 ? `, prepay ${fmt(x.recurringPrepayAmt)} ${x.recurringPrepayFreq}` : "";
+        const extras = `${x.useLumpSums ? ", lump sums" : ""}${x.linkSavings ? ", savings linked" : ""}`;
+        return `${x.name}: ${x.annualRate}% for ${tenure}${prepay}${extras}`;
+      }
+      if (key === "coBorrowers") {
+        return `${x.name}: owns ${x.ownershipPct}%, EMI ${x.emiPct}%, prepay ${x.prepayPct}%, savings ${x.savingsPct}%, slab ${x.slabRate}%`;
+      }
+      const parts = [x.date, fmt(x.amount), x.label].filter(Boolean);
+      return x.mode ? `${parts.join(" ")} (${x.mode})` : parts.join(" ");
+    })
+    .join("\n");
+}
+
+/**
+ * [label, value] rows for every input, in INPUT_LABELS order. Amount fields stay
+ * numbers so a spreadsheet can format them; lists and flags become text. Labels
+ * carry the inputs' currency symbol.
+ */
+export function describeInputs(inputs, fmt = String) {
+  const { symbol } = moneyFormat(inputs.currency, inputs.numberNotation);
+  return Object.entries(INPUT_LABELS).map(([key, text]) => {
+    const label = text.replace("₹", symbol);
+    const value = inputs[key];
+    if (Array.isArray(value)) return [label, describeList(key, value, fmt)];
+    if (typeof value === "boolean") return [label, value ? "Yes" : "No"];
+    return [label, value];
+  });
+}
+
+// principal, interest and prepayments per financial year, with the closing balance
+export function yearlySummary(schedule) {
+  const years = [];
+  for (const r of schedule) {
+    const fy = financialYearOf(r.date);
+    let y = years[years.length - 1];
+    if (!y || y.year !== fy) {
+      y = { year: fy, payments: 0, principal: 0, interest: 0, prepayment: 0, disbursed: 0, closingBalance: 0 };
+      years.push(y);
+    }
+    y.payments += r.payment;
+    y.principal += r.principalPaid;
+    y.interest += r.interestPaid;
+    y.prepayment += r.prepayment;
+    y.disbursed += r.disbursed;
+    y.closingBalance = r.balance;
+  }
+  const round2 = (n) => Number(n.toFixed(2));
+  return years.map((y) => ({
+    ...y,
+    payments: round2(y.payments),
+    principal: round2(y.principal),
+    interest: round2(y.interest),
+    prepayment: round2(y.prepayment),
+    disbursed: round2(y.disbursed),
+  }));
+}
+
+/**
+ * Everything the XLSX / PDF report shows, from one analysis
+ * ({ inputs, scenarios, taxResults, recommendations }).
+ */
+export function buildReport({ inputs, scenarios, taxResults, recommendations }, generatedAt = new Date()) {
+  return {
+    title: "Home Loan Analysis",
+    generatedAt: generatedAt.toISOString().slice(0, 10),
+    inputs,
+    scenarios: scenarioList(inputs).map(({ key, name }) => {
+      const scen = scenarios[key];
+      const tax = taxResults[key][inputs.taxRegime];
+      const last = scen.schedule[scen.schedule.length - 1];
+      const eff = effectiveRate(scen.schedule, scenarioInputs(inputs, key));
+      return {
+        key,
+        name,
+        emi: scen.emi,
+        finalEmi: scen.finalEmi,
+        months: scen.schedule.length,
+        payoffDate: last ? last.date : "",
+        ...scen.totals,
+        postTaxInterest: tax.postTaxInterest,
+        effectivePostTaxRate: tax.effectiveRate,
+        fees: eff.fees.total,
+        apr: eff.apr,
+        xirr: eff.xirr,
+        schedule: scen.schedule,
+        yearly: yearlySummary(scen.schedule),
+      };
+    }),
+    recommendations,
+  };
+}
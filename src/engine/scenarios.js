@@ -0,0 +1,421 @@
+/** ---------- Scenarios ---------- **/
+
+import { MAX_TENURE_MONTHS, cachedSchedule } from "./schedule.js";
+import { computeTaxBenefit } from "./tax.js";
+import { analyzeRefinance } from "./refinance.js";
+import { comparePrepayVsInvest } from "./invest.js";
+import { presentValue } from "./presentValue.js";
+import { effectiveRate } from "./charges.js";
+import { normalizeInputs, totalMonths } from "./inputs.js";
+import { moneyFormat, toNum } from "./utils.js";
+
+// The four standard plans every analysis compares, in display order
+export const SCENARIOS = [
+  { key: "base", name: "Base", color: "#8884d8" },
+  { key: "prepay", name: "Prepay", color: "#82ca9d" },
+  { key: "savings", name: "Savings Linked", color: "#ff7300" },
+  { key: "prepaySavings", name: "Prepay + Savings", color: "#d62728" },
+];
+
+// colours offered to new user-defined scenarios, in turn
+export const CUSTOM_COLORS = ["#17becf", "#9467bd", "#bcbd22", "#e377c2", "#8c564b", "#7f7f7f", "#1f77b4", "#2ca02c"];
+
+const customKey = (i) => `custom${i + 1}`;
+
+// What a sensitivity grid cell can show
+export const SENSITIVITY_METRICS = [
+  { key: "totalInterest", name: "Total interest" },
+  { key: "emi", name: "EMI" },
+  { key: "payoffMonth", name: "Payoff month" },
+  { key: "effectiveRate", name: "Effective rate (APR)" },
+];
+
+// most values one sensitivity axis may hold
+export const SENSITIVITY_MAX_STEPS = 25;
+
+// buildSchedule arguments for one of the four scenarios
+export function scenarioArgs(inputs, key, months = totalMonths(inputs)) {
+  const withPrepay = key === "prepay" || key === "prepaySavings";
+  const withSavings = key === "savings" || key === "prepaySavings";
+  return {
+    principal: toNum(inputs.loanAmount) + (inputs.insuranceFinanced ? toNum(inputs.insurancePremium) : 0),
+    months,
+    annualRate: inputs.annualRate,
+    emiStartISO: inputs.emiStartDate,
+    rateResets: inputs.rateResets,
+    disbursements: inputs.underConstruction ? inputs.disbursements : [],
+    constructionMode: inputs.constructionMode,
+    possessionISO: inputs.possessionDate,
+    interestRest: inputs.interestRest,
+    ...(withPrepay && {
+      lumpSums: inputs.lumpSums,
+      recurringPrepay: toNum(inputs.recurringPrepayAmt),
+      recurringFreq: inputs.recurringPrepayFreq,
+      recurringPrepayMode: inputs.recurringPrepayMode,
+    }),
+    ...(withSavings && {
+      savingsLink: inputs.linkSavings,
+      savingsInit: toNum(inputs.savingsBalance),
+      savingsMonthlyDrift: toNum(inputs.savingsGrowthMonthly),
+      offsetModel: inputs.offsetModel,
+      salaryCredit: inputs.salaryCredit,
+      salaryDay: inputs.salaryDay,
+      monthlySpend: inputs.monthlySpend,
+      minBalance: inputs.minBalance,
+    }),
+  };
+}
+
+/**
+ * Inputs a user-defined scenario runs on: the main loan (amount, start date,
+ * construction, offset model, fees) with the scenario's own rate, tenure,
+ * prepayments and savings link. Rate resets aren't carried over, since they
+ * belong to the main loan's lender; lump sums are, when useLumpSums is set.
+ */
+export function customScenarioInputs(inputs, custom) {
+  return {
+    ...inputs,
+    annualRate: custom.annualRate,
+    tenureYears: custom.tenureYears,
+    tenureMonths: custom.tenureMonths,
+    rateResets: [],
+    lumpSums: custom.useLumpSums ? inputs.lumpSums : [],
+    recurringPrepayAmt: custom.recurringPrepayAmt,
+    recurringPrepayFreq: custom.recurringPrepayFreq,
+    linkSavings: custom.linkSavings,
+    savingsBalance: custom.savingsBalance,
+    savingsGrowthMonthly: custom.savingsGrowthMonthly,
+  };
+}
+
+/**
+ * Scenarios to show, in order: { key, name, color, custom }. Base always comes
+ * first (the others are measured against it), then the other standard plans
+ * unless showStandardScenarios is off, then inputs.customScenarios as custom1,
+ * custom2, …. `all` lists the standard plans regardless.
+ */
+export function scenarioList(inputs, { all = false } = {}) {
+  const standard = SCENARIOS.filter((s) => all || s.key === "base" || inputs.showStandardScenarios);
+  const custom = inputs.customScenarios.map((c, i) => ({
+    key: customKey(i),
+    name: c.name || `Scenario ${i + 1}`,
+    color: c.color || CUSTOM_COLORS[i % CUSTOM_COLORS.length],
+    custom: true,
+  }));
+  return [...standard.map((s) => ({ ...s, custom: false })), ...custom];
+}
+
+// inputs behind one scenario key (the main inputs for the standard plans)
+export function scenarioInputs(inputs, key) {
+  const i = inputs.customScenarios.findIndex((_, j) => customKey(j) === key);
+  return i >= 0 ? customScenarioInputs(inputs, inputs.customScenarios[i]) : inputs;
+}
+
+/**
+ * Any scenario key as { inputs, plan } for scenarioArgs: a user-defined
+ * scenario runs its own inputs on the Prepay + Savings plan.
+ */
+export function scenarioPlan(inputs, key) {
+  const own = scenarioInputs(inputs, key);
+  return own === inputs ? { inputs, plan: key } : { inputs: own, plan: "prepaySavings" };
+}
+
+/**
+ * Schedules keyed by scenario: the four standard plans at `months`, and every
+ * user-defined scenario at its own tenure.
+ */
+export function buildScenarios(inputs, months = totalMonths(inputs)) {
+  const out = {};
+  for (const { key } of SCENARIOS) out[key] = cachedSchedule(scenarioArgs(inputs, key, months));
+  inputs.customScenarios.forEach((c, i) => {
+    out[customKey(i)] = cachedSchedule(scenarioArgs(customScenarioInputs(inputs, c), "prepaySavings"));
+  });
+  return out;
+}
+
+/**
+ * Same prepayments applied both ways, regardless of the per-prepayment modes
+ * picked: every part-payment shortens the tenure vs. every part-payment
+ * lowers the EMI. Lets the comparison table weigh interest against cash-flow relief.
+ */
+export function buildPrepayModeComparison(inputs) {
+  const build = (mode) =>
+    cachedSchedule({
+      ...scenarioArgs(inputs, "prepay"),
+      lumpSums: inputs.lumpSums.map((l) => ({ ...l, mode })),
+      recurringPrepayMode: mode,
+    });
+  return { reduceTenure: build("reduceTenure"), reduceEmi: build("reduceEmi") };
+}
+
+export function buildPrepayVsInvest(inputs, scenarios) {
+  return comparePrepayVsInvest(scenarios.base.schedule, scenarios.prepay.schedule, {
+    expectedReturn: inputs.investReturn,
+    volatility: inputs.investVolatility,
+    taxRule: inputs.investTaxRule,
+    slabRate: inputs.slabRate,
+  });
+}
+
+// computeTaxBenefit options from the inputs
+export function taxOptions(inputs) {
+  return {
+    propertyType: inputs.propertyType,
+    annualRent: inputs.annualRent,
+    slabRate: inputs.slabRate,
+    other80C: inputs.other80C,
+    eligible80EEA: inputs.eligible80EEA,
+    annualRate: inputs.annualRate,
+    possessionDate: inputs.underConstruction ? inputs.possessionDate : null,
+  };
+}
+
+// old vs new regime benefit for every scenario
+export function buildTaxResults(inputs, scenarios) {
+  const out = {};
+  for (const key of Object.keys(scenarios)) {
+    out[key] = computeTaxBenefit(scenarios[key].schedule, taxOptions(scenarioInputs(inputs, key)));
+  }
+  return out;
+}
+
+// switch the chosen plan to the new lender and weigh costs against savings
+export function buildRefinance(inputs, scenarios) {
+  const { inputs: planInputs, plan } = scenarioPlan(inputs, inputs.refiPlan);
+  const switched = cachedSchedule({
+    ...scenarioArgs(planInputs, plan),
+    switchTo: { date: inputs.refiDate, rate: inputs.refiRate, months: inputs.refiMonths },
+  });
+  return analyzeRefinance({
+    current: scenarios[inputs.refiPlan].schedule,
+    switched: switched.schedule,
+    switchDate: inputs.refiDate,
+    costs: {
+      processingFeePct: inputs.refiFeePct,
+      foreclosurePct: inputs.refiForeclosurePct,
+      legal: inputs.refiLegal,
+      other: inputs.refiOther,
+    },
+    discountRate: inputs.refiDiscountRate,
+  });
+}
+
+// every scenario's cash flows in start-date money, at the inflation rate
+export function buildPresentValues(inputs, scenarios) {
+  const out = {};
+  for (const key of Object.keys(scenarios)) {
+    out[key] = presentValue(scenarios[key].schedule, inputs.inflationRate, inputs.loanAmount);
+  }
+  return out;
+}
+
+// effective rate and fees of every scenario
+export function buildEffectiveRates(inputs, scenarios) {
+  const out = {};
+  for (const key of Object.keys(scenarios)) {
+    out[key] = effectiveRate(scenarios[key].schedule, scenarioInputs(inputs, key));
+  }
+  return out;
+}
+
+// "Step-up EMI (Prepay)" etc.; null when no step plan is set
+export function stepPlanName(inputs) {
+  if (inputs.emiStepMode === "none") return null;
+  const kind = inputs.emiStepMode === "custom" ? "Custom EMI" : inputs.emiStepDirection === "down" ? "Step-down EMI" : "Step-up EMI";
+  const plan = SCENARIOS.find((s) => s.key === inputs.emiStepPlan);
+  return plan.key === "base" ? kind : `${kind} (${plan.name})`;
+}
+
+/**
+ * The chosen plan with a stepped EMI instead of a flat one, or null when
+ * emiStepMode is "none" (or "custom" with an empty table). A "down" direction
+ * turns the yearly step negative.
+ */
+export function buildStepPlan(inputs, months = totalMonths(inputs)) {
+  if (inputs.emiStepMode === "none" || (inputs.emiStepMode === "custom" && !inputs.emiStepTable.length)) return null;
+  const sign = inputs.emiStepDirection === "down" ? -1 : 1;
+  return cachedSchedule({
+    ...scenarioArgs(inputs, inputs.emiStepPlan, months),
+    emiStep: { mode: inputs.emiStepMode, value: sign * toNum(inputs.emiStepValue), table: inputs.emiStepTable },
+  });
+}
+
+/**
+ * Savings of each plan against Base (pre- and post-tax, and in start-date
+ * money) plus plain-language insights for the Auto Recommendations card. With
+ * realValues on, the best option is picked on present-value savings, so early
+ * prepayments count for more than late ones.
+ */
+export function buildRecommendations(inputs, { scenarios, taxResults, prepayVsInvest }) {
+  const { taxRegime, loanAmount, annualRate } = inputs;
+  const baseInterest = scenarios.base.totals.totalInterest;
+  const baseMonths = scenarios.base.schedule.length;
+  const basePostTax = taxResults.base[taxRegime].postTaxInterest;
+  const pv = buildPresentValues(inputs, scenarios);
+  const fmt = moneyFormat(inputs.currency, inputs.numberNotation);
+  const todays = fmt.currency === "INR" ? "today's rupees" : "today's money";
+
+  const tableData = scenarioList(inputs)
+    .filter((s) => s.key !== "base")
+    .map(({ key, name }) => {
+      const own = scenarioInputs(inputs, key);
+      const scen = scenarios[key];
+      const tax = taxResults[key][taxRegime];
+      const interestSaved = baseInterest - scen.totals.totalInterest;
+      const monthsSaved = baseMonths - scen.schedule.length;
+      const percentSaved = baseInterest > 0 ? ((interestSaved / baseInterest) * 100).toFixed(1) : "0.0";
+      const postTaxSaved = basePostTax - tax.postTaxInterest;
+      const postTaxRate = tax.effectiveRate;
+      const pvSaved = pv.base.cost - pv[key].cost;
+      const prepaid = scen.totals.totalPrepaid > 0;
+      const lumpSums = prepaid ? own.lumpSums.reduce((s, l) => s + Math.max(0, toNum(l.amount)), 0) : 0;
+      const recurring = prepaid ? toNum(own.recurringPrepayAmt) : 0;
+      const offset = scen.schedule.some((r) => r.savingsLinked > 0);
+      return {
+        key,
+        name,
+        interestSaved,
+        monthsSaved,
+        percentSaved,
+        postTaxSaved,
+        postTaxRate,
+        pvSaved,
+        lumpSums,
+        recurring,
+        recurringFreq: own.recurringPrepayFreq,
+        offset,
+      };
+    });
+
+  const insights = tableData
+    .map((r) => {
+      if (r.interestSaved <= 0) return null;
+      let text = `${r.name}: Save ${fmt.money(r.interestSaved)} (${r.percentSaved}% interest)`;
+      if (r.monthsSaved > 0) text += `, cut tenure by ${r.monthsSaved} month${r.monthsSaved > 1 ? "s" : ""}.`;
+      if (r.offset) {
+        const effReductionPct = ((r.interestSaved / Math.max(1, loanAmount)) * annualRate).toFixed(2);
+        text += ` Effective rate reduction ~ ${effReductionPct}%.`;
+      }
+      if (r.lumpSums > 0) {
+        text += ` Lump sums totalling ${fmt.money(r.lumpSums)} help early.`;
+      }
+      if (r.recurring > 0) {
+        text += ` Recurring prepay ${fmt.money(r.recurring)} ${r.recurringFreq} trims tenure.`;
+      }
+      text += ` After tax (${taxRegime} regime): save ${fmt.money(r.postTaxSaved)}, effective rate ${r.postTaxRate.toFixed(2)}%.`;
+      if (inputs.realValues) text += ` In ${todays} (${inputs.inflationRate}% inflation) that's ${fmt.money(r.pvSaved)}.`;
+      return text;
+    })
+    .filter(Boolean);
+
+  const saved = (r) => (inputs.realValues ? r.pvSaved : r.interestSaved);
+  const best = tableData.reduce((prev, curr) => (saved(curr) > (prev.name ? saved(prev) : 0) ? curr : prev), {});
+  if (best.name) insights.push(`🏆 Best option: ${best.name} for maximum savings${inputs.realValues ? ` in ${todays}` : ""}.`);
+
+  // Prepaying only "wins" if it beats what the same money would earn elsewhere
+  if (scenarios.prepay.totals.totalPrepaid > 0) {
+    const { final, afterTaxReturn } = prepayVsInvest;
+    const gap = final.investNetWorth - final.prepayNetWorth;
+    let text;
+    if (gap > 0 && final.investNetWorthP10 >= final.prepayNetWorth) {
+      text = `📈 Investing the prepayments instead leaves you ${fmt.money(gap)} richer at loan end, even in a poor market (P10).`;
+    } else if (gap > 0) {
+      text = `⚖️ Investing the prepayments instead leaves you ${fmt.money(gap)} richer on expected returns, but a poor market (P10) puts you ${fmt.money(
+        final.prepayNetWorth - final.investNetWorthP10
+      )} behind prepaying.`;
+    } else {
+      text = `🏠 Prepaying beats investing the same money by ${fmt.money(-gap)} at loan end.`;
+    }
+    text += ` Post-tax loan cost ${taxResults.base[taxRegime].effectiveRate.toFixed(2)}% vs ~${afterTaxReturn.toFixed(2)}% expected after-tax return.`;
+    insights.push(text);
+  }
+
+  const regimeGap = taxResults.base.old.totalTaxSaved - taxResults.base.new.totalTaxSaved;
+  if (Math.abs(regimeGap) >= 1) {
+    insights.push(
+      `🧾 On the Base loan the ${regimeGap > 0 ? "old" : "new"} regime gives ${fmt.money(Math.abs(regimeGap))} more home-loan tax benefit (other income and deductions not considered).`
+    );
+  }
+  return { tableData, insights };
+}
+
+// from, from + step, … up to `to`, at most SENSITIVITY_MAX_STEPS values
+export function sensitivityAxis(from, to, step, digits = 2) {
+  const lo = Math.min(toNum(from), toNum(to));
+  const hi = Math.max(toNum(from), toNum(to));
+  const by = toNum(step) > 0 ? toNum(step) : hi - lo || 1;
+  const values = [];
+  for (let i = 0; values.length < SENSITIVITY_MAX_STEPS; i++) {
+    const v = Number((lo + i * by).toFixed(digits));
+    if (v > hi + 1e-9) break;
+    values.push(v);
+  }
+  return values;
+}
+
+/**
+ * The sensScenario plan at every tenure (years, rows) × rate (% p.a., columns)
+ * of the sensitivity ranges. Each cell has the EMI, total interest, payoff
+ * month and effective rate, and `value` = the one named by sensMetric. Rate
+ * resets still apply from their dates; min / max span the values, for shading.
+ * Tenures outside 1 month – MAX_TENURE_MONTHS get no row; skippedTenures lists them.
+ */
+export function buildSensitivityGrid(inputs) {
+  const axis = sensitivityAxis(inputs.sensTenureFrom, inputs.sensTenureTo, inputs.sensTenureStep);
+  const tenures = axis.filter((y) => y * 12 >= 1 && y * 12 <= MAX_TENURE_MONTHS);
+  const rates = sensitivityAxis(inputs.sensRateFrom, inputs.sensRateTo, inputs.sensRateStep);
+  const metric = inputs.sensMetric;
+  const { inputs: planInputs, plan } = scenarioPlan(inputs, inputs.sensScenario);
+  const cells = tenures.map((years) =>
+    rates.map((rate) => {
+      const withRate = { ...planInputs, annualRate: rate };
+      const res = cachedSchedule(scenarioArgs(withRate, plan, Math.round(years * 12)));
+      const last = res.schedule[res.schedule.length - 1];
+      const cell = {
+        years,
+        rate,
+        emi: res.emi,
+        finalEmi: res.finalEmi,
+        totalInterest: res.totals.totalInterest,
+        months: res.schedule.length,
+        payoffDate: last ? last.date : null,
+        apr: effectiveRate(res.schedule, withRate).apr,
+      };
+      const value = { totalInterest: cell.totalInterest, emi: cell.emi, payoffMonth: cell.months, effectiveRate: cell.apr }[metric];
+      return { ...cell, value };
+    })
+  );
+  const values = cells.flat().map((c) => c.value).filter((v) => v !== null);
+  return {
+    scenario: inputs.sensScenario,
+    metric,
+    tenures,
+    skippedTenures: axis.filter((y) => !tenures.includes(y)),
+    rates,
+    cells,
+    min: values.length ? Math.min(...values) : 0,
+    max: values.length ? Math.max(...values) : 0,
+  };
+}
+
+/**
+ * Whole analysis for one set of inputs — what the UI shows, minus the charts.
+ * Raw inputs are normalized first, so partial objects (e.g. parsed from a file) are fine.
+ */
+export function analyzeLoan(raw) {
+  const inputs = normalizeInputs(raw);
+  const scenarios = buildScenarios(inputs);
+  const taxResults = buildTaxResults(inputs, scenarios);
+  const prepayVsInvest = buildPrepayVsInvest(inputs, scenarios);
+  return {
+    inputs,
+    scenarios,
+    prepayModeComparison: buildPrepayModeComparison(inputs),
+    taxResults,
+    prepayVsInvest,
+    refinance: buildRefinance(inputs, scenarios),
+    stepPlan: buildStepPlan(inputs),
+    recommendations: buildRecommendations(inputs, { scenarios, taxResults, prepayVsInvest }),
+    sensitivity: buildSensitivityGrid(inputs),
+  };
+}
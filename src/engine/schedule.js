@@ -0,0 +1,443 @@
+/** ---------- Amortization ---------- **/
+
+import { isValidDate, monthKey, toNum } from "./utils.js";
+
+// longest tenure a "keep EMI" rate reset may stretch the loan to
+export const MAX_TENURE_MONTHS = 30 * 12;
+
+// drop incomplete rate resets and order them by effective date
+function normalizeRateResets(resets) {
+  return (resets || [])
+    .filter((r) => r && isValidDate(r.date) && r.rate !== "")
+    .map((r) => ({ date: r.date, rate: Math.max(0, toNum(r.rate)), mode: r.mode === "keepTenure" ? "keepTenure" : "keepEmi" }))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+// drop empty lump sums and group the rest by the calendar month they fall in
+function groupLumpSums(lumpSums) {
+  const byMonth = new Map();
+  (lumpSums || []).forEach((l) => {
+    const amount = Math.max(0, toNum(l && l.amount));
+    if (amount <= 0 || !isValidDate(l.date)) return;
+    const key = monthKey(new Date(l.date));
+    if (!byMonth.has(key)) byMonth.set(key, []);
+    byMonth.get(key).push({ amount, label: (l.label || "").trim(), mode: l.mode === "reduceEmi" ? "reduceEmi" : "reduceTenure" });
+  });
+  return byMonth;
+}
+
+// construction-linked tranches by calendar month, capped at the sanctioned amount
+function groupDisbursements(disbursements, sanctioned) {
+  const valid = (disbursements || [])
+    .filter((d) => d && toNum(d.amount) > 0 && isValidDate(d.date))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  const byMonth = new Map();
+  let total = 0;
+  for (const d of valid) {
+    const amount = Math.min(toNum(d.amount), sanctioned - total);
+    if (amount <= 0) break;
+    total += amount;
+    const key = monthKey(new Date(d.date));
+    byMonth.set(key, (byMonth.get(key) || 0) + amount);
+  }
+  return { byMonth, total, first: valid.length ? valid[0].date : null };
+}
+
+// reducing-balance EMI for P over nMonths at rAnnual % p.a.
+export function monthlyEMI(P, rAnnual, nMonths) {
+  const principal = Math.max(0, toNum(P));
+  const n = Math.max(1, toNum(nMonths, 1));
+  const r = toNum(rAnnual) / 12 / 100;
+  if (r === 0) return principal / n;
+  const pow = Math.pow(1 + r, n);
+  return (principal * r * pow) / (pow - 1);
+}
+
+// EMI when interest is charged yearly on the balance at the start of the year (annual rest)
+export function annualRestEMI(P, rAnnual, nMonths) {
+  const principal = Math.max(0, toNum(P));
+  const years = Math.max(1, toNum(nMonths, 1)) / 12;
+  const R = toNum(rAnnual) / 100;
+  if (R === 0) return principal / (years * 12);
+  const pow = Math.pow(1 + R, years);
+  return (principal * R * pow) / (pow - 1) / 12;
+}
+
+// EMI for either interest convention
+export function loanEMI(P, rAnnual, nMonths, interestRest = "monthly") {
+  return interestRest === "annual" ? annualRestEMI(P, rAnnual, nMonths) : monthlyEMI(P, rAnnual, nMonths);
+}
+
+// months needed to clear P at a fixed EMI (Infinity if EMI doesn't cover interest)
+export function monthsToRepay(P, rAnnual, emi) {
+  const principal = Math.max(0, toNum(P));
+  const r = toNum(rAnnual) / 12 / 100;
+  if (principal === 0) return 0;
+  if (r === 0) return emi > 0 ? Math.ceil(principal / emi - 1e-9) : Infinity;
+  if (emi <= principal * r) return Infinity;
+  return Math.ceil(-Math.log(1 - (principal * r) / emi) / Math.log(1 + r) - 1e-9);
+}
+
+/**
+ * EMI in EMI-year `year` (0 = first twelve EMIs) of a step plan:
+ * - "percent": base × (1 + value/100)^year (negative value steps down)
+ * - "amount": base + value × year, never below zero
+ * - "custom": table [{ year, emi }] (year 1-based), each row holding until the
+ *   next one; years before the first row pay `base`
+ */
+export function steppedEmi(step, base, year) {
+  if (step.mode === "percent") return base * Math.pow(1 + step.value / 100, year);
+  if (step.mode === "amount") return Math.max(0, base + step.value * year);
+  let emi = base;
+  for (const row of step.table) if (row.year - 1 <= year) emi = row.emi;
+  return emi;
+}
+
+// balance left after `n` stepped EMIs from EMI-month `fromK` at a fixed rate
+function balanceAfterSteps(step, base, P, rAnnual, n, fromK) {
+  const r = toNum(rAnnual) / 12 / 100;
+  let balance = P;
+  for (let k = fromK; k < fromK + n; k++) balance = balance * (1 + r) - steppedEmi(step, base, Math.floor((k - 1) / 12));
+  return balance;
+}
+
+// base EMI of a "percent" / "amount" step plan that clears P in exactly n months
+function solveStepBase(step, P, rAnnual, n, fromK) {
+  let lo = 0;
+  let hi = P * (1 + toNum(rAnnual) / 12 / 100) + 1; // clears it with the first EMI
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (balanceAfterSteps(step, mid, P, rAnnual, n, fromK) > 0) lo = mid;
+    else hi = mid;
+  }
+  return hi;
+}
+
+// drop unusable step settings; "none" / missing → null (flat EMI)
+function normalizeEmiStep(step) {
+  if (!step || !["percent", "amount", "custom"].includes(step.mode)) return null;
+  const table = (step.table || [])
+    .map((row) => ({ year: Math.round(toNum(row && row.year)), emi: Math.max(0, toNum(row && row.emi)) }))
+    .filter((row) => row.year >= 1)
+    .sort((a, b) => a.year - b.year);
+  if (step.mode === "custom" && !table.length) return null;
+  return { mode: step.mode, value: toNum(step.value), table };
+}
+
+/**
+ * One month of a daily-balance offset account (MaxGain / SmartSaver style):
+ * - salary credited on `salaryDay`, spending drawn evenly across the month
+ * - only the balance above `minBalance` offsets the loan
+ * - interest = Σ daily (outstanding − offset) × rate / 365 (daily product)
+ * Works on the calendar month of `date`; returns the month's interest, the
+ * account balance carried into next month and the average offset used.
+ */
+export function dailyOffsetMonth({ outstanding, annualRate, date, openingBalance, salaryCredit, salaryDay, monthlySpend, minBalance }) {
+  const days = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  const dailyRate = toNum(annualRate) / 365 / 100;
+  const creditDay = Math.min(days, Math.max(1, Math.round(toNum(salaryDay, 1))));
+  const dailySpend = Math.max(0, toNum(monthlySpend)) / days;
+  const floor = Math.max(0, toNum(minBalance));
+  let balance = Math.max(0, toNum(openingBalance));
+  let interest = 0;
+  let offsetSum = 0;
+
+  for (let d = 1; d <= days; d++) {
+    if (d === creditDay) balance += Math.max(0, toNum(salaryCredit));
+    balance = Math.max(0, balance - dailySpend);
+    const offset = Math.min(outstanding, Math.max(0, balance - floor));
+    offsetSum += offset;
+    interest += (outstanding - offset) * dailyRate;
+  }
+
+  return { interest, closingBalance: balance, avgOffset: offsetSum / days };
+}
+
+/**
+ * Build amortization schedule with:
+ * - lump-sum prepays (any number, each applied in its year-month)
+ * - recurring prepay (monthly/quarterly/yearly)
+ * - per-prepayment mode: keep EMI & shorten tenure, or keep tenure & lower EMI
+ * - savings “offset” (reduce interest-bearing principal by savings), either on the
+ *   month-end balance or on daily balances (see dailyOffsetMonth)
+ * - floating-rate resets (new rate from the reset's month; keep EMI or keep tenure)
+ * - balance transfer (new lender's rate/tenure from the switch month; old resets stop)
+ * - under-construction tranches: schedule starts at the first disbursement; with
+ *   "preEmi" only interest is paid until possession, then the full EMI runs for
+ *   `months`; with "fullEmi" the EMI starts at once and is recalculated on each
+ *   tranche. Whatever isn't in a tranche is released at possession.
+ * - step-up / step-down EMIs (see steppedEmi): "percent" and "amount" plans are
+ *   sized to close in `months` and re-sized whenever a flat EMI would be
+ *   recalculated; a "custom" table is paid as entered, so its tenure floats
+ *   (up to the cap) and anything left then is reported as totals.unpaidBalance
+ * - an EMI below the month's interest adds the shortfall to the balance
+ *   (negative principal, row flagged negativeAmortization)
+ * - "annual" interest rest: from the first EMI, interest is charged on the
+ *   balance at the start of each loan year (new tranches count at once, principal
+ *   repaid only from the next year); the daily offset model always runs daily
+ * - the last EMI clears whatever rounding or a convention mismatch left
+ * Notes:
+ * - Savings change is applied at end of month for next month’s interest calc
+ * - Resets are applied after that month's prepayments, so a recalculated EMI
+ *   is based on the balance actually left
+ */
+export function buildSchedule({
+  principal,
+  months,
+  annualRate,
+  emiStartISO,
+  lumpSums = [], // [{ amount, date, label, mode: reduceTenure|reduceEmi }]
+  recurringPrepay = 0,
+  recurringFreq = "yearly",
+  recurringPrepayMode = "reduceTenure", // reduceTenure|reduceEmi
+  recurringStart = 2, // start after month 1 by default
+  savingsLink = false,
+  savingsInit = 0,
+  savingsMonthlyDrift = 0,
+  offsetModel = "monthEnd", // monthEnd|daily
+  salaryCredit = 0, // daily model only: monthly inflow, spending and min balance
+  salaryDay = 1,
+  monthlySpend = 0,
+  minBalance = 0,
+  rateResets = [],
+  switchTo = null, // { date, rate, months } — months 0/blank keeps the remaining tenure
+  disbursements = [], // [{ date, amount, label }] — empty: full principal on day one
+  constructionMode = "preEmi", // preEmi|fullEmi
+  possessionISO = null,
+  emiStep = null, // { mode: percent|amount|custom, value, table: [{ year, emi }] } — null: flat EMI
+  interestRest = "monthly", // monthly|annual
+}) {
+  const emiFor = (P, rate, n) => loanEMI(P, rate, n, interestRest);
+  const schedule = [];
+  const sanctioned = Math.max(0, toNum(principal));
+  const tranches = groupDisbursements(disbursements, sanctioned);
+  const construction = tranches.first !== null;
+  let undisbursed = construction ? sanctioned : 0;
+  let outstanding = sanctioned - undisbursed;
+  let currentRate = toNum(annualRate);
+  let monthlyRate = currentRate / 12 / 100;
+  const step = normalizeEmiStep(emiStep);
+  let stepBase = emiFor(sanctioned, annualRate, months); // custom tables fall back to the flat EMI
+  if (step && step.mode !== "custom") stepBase = solveStepBase(step, sanctioned, annualRate, months, 1);
+  const initialEmi = step ? steppedEmi(step, stepBase, 0) : stepBase;
+  let emi = construction ? 0 : initialEmi;
+  const startDate = new Date(construction ? tranches.first : emiStartISO);
+  const possessionKey = construction
+    ? Math.max(
+        monthKey(startDate),
+        isValidDate(possessionISO) ? monthKey(new Date(possessionISO)) : 0
+      )
+    : null;
+  const preMonths = construction && constructionMode === "preEmi" ? possessionKey - monthKey(startDate) : 0;
+  const interval = recurringFreq === "monthly" ? 1 : recurringFreq === "quarterly" ? 3 : 12;
+  let currSavings = Math.max(0, toNum(savingsInit));
+  const lumpsByMonth = groupLumpSums(lumpSums);
+  const resets = normalizeRateResets(rateResets);
+  let nextReset = 0;
+  let lastMonth = months + preMonths; // moves when a reset keeps the EMI and changes the tenure
+  const tenureCap = Math.max(months, MAX_TENURE_MONTHS) + preMonths;
+  if (step && step.mode === "custom") lastMonth = tenureCap; // runs until the table clears the loan
+  const switchKey = switchTo && switchTo.date ? monthKey(new Date(switchTo.date)) : null;
+  let switched = false;
+  let restBalance = 0; // annual rest: balance interest is charged on this loan year
+
+  for (let m = 1; m <= lastMonth && (outstanding > 0.0001 || undisbursed > 0.0001); m++) {
+    const date = new Date(startDate);
+    date.setMonth(startDate.getMonth() + (m - 1));
+    const inPreEmi = m <= preMonths;
+    let resizeSteps = false; // step plan: re-size the remaining steps this month
+
+    // Tranche disbursements; anything not released by possession is released then
+    let disbursed = 0;
+    if (construction) {
+      const key = monthKey(date);
+      disbursed = key >= possessionKey ? undisbursed : Math.min(undisbursed, tranches.byMonth.get(key) || 0);
+      undisbursed -= disbursed;
+      outstanding += disbursed;
+      if (!inPreEmi && (disbursed > 0 || m === preMonths + 1)) {
+        emi = emiFor(outstanding, currentRate, Math.max(1, lastMonth - m + 1));
+        resizeSteps = true;
+      }
+    }
+
+    let reduceEmi = false;
+    const beforePrepay = outstanding;
+
+    // Lump-sum prepayments dated in this month
+    const lumps = lumpsByMonth.get(monthKey(date)) || [];
+    for (const l of lumps) {
+      outstanding = Math.max(0, outstanding - l.amount);
+      if (l.mode === "reduceEmi") reduceEmi = true;
+    }
+    const lumpSumPaid = beforePrepay - outstanding;
+
+    // Recurring prepayment (counted from the first full EMI)
+    const k = m - preMonths;
+    if (toNum(recurringPrepay) > 0 && k >= recurringStart && (k - recurringStart) % interval === 0) {
+      outstanding = Math.max(0, outstanding - Math.max(0, toNum(recurringPrepay)));
+      if (recurringPrepayMode === "reduceEmi") reduceEmi = true;
+    }
+    const prepaid = beforePrepay - outstanding;
+
+    // "Reduce EMI" part-payments re-amortize the balance over the months left
+    if (reduceEmi) {
+      emi = emiFor(outstanding, currentRate, Math.max(1, lastMonth - m + 1));
+      resizeSteps = true;
+    }
+
+    // Rate resets effective this month (or earlier, if dated before the EMI start)
+    while (nextReset < resets.length && monthKey(new Date(resets[nextReset].date)) <= monthKey(date)) {
+      const reset = resets[nextReset++];
+      currentRate = reset.rate;
+      monthlyRate = currentRate / 12 / 100;
+      const keptTenure = Math.max(1, lastMonth - m + 1);
+      const stretched = monthsToRepay(outstanding, currentRate, emi);
+      if (inPreEmi) {
+        // interest-only phase: just the new rate, the EMI is fixed at possession
+      } else if (reset.mode === "keepTenure") {
+        emi = emiFor(outstanding, currentRate, keptTenure);
+        resizeSteps = true;
+      } else if (step) {
+        // step plan keeps its EMIs and runs longer, re-sized only if the cap would be hit
+        const k = m - preMonths;
+        const left = balanceAfterSteps(step, stepBase, outstanding, currentRate, tenureCap - m + 1, k);
+        lastMonth = tenureCap;
+        if (left > 0.01 && step.mode !== "custom") resizeSteps = true;
+      } else if (m - 1 + stretched > tenureCap) {
+        // EMI no longer clears the loan within the cap: bank raises EMI instead
+        lastMonth = Math.max(m, tenureCap);
+        emi = emiFor(outstanding, currentRate, lastMonth - m + 1);
+      } else {
+        lastMonth = m - 1 + stretched;
+      }
+    }
+
+    // Balance transfer: the new lender re-amortizes whatever is left
+    if (switchKey !== null && !switched && monthKey(date) >= switchKey) {
+      switched = true;
+      nextReset = resets.length; // old lender's later resets no longer apply
+      currentRate = Math.max(0, toNum(switchTo.rate));
+      monthlyRate = currentRate / 12 / 100;
+      const newMonths = toNum(switchTo.months) > 0 ? Math.round(toNum(switchTo.months)) : Math.max(1, lastMonth - m + 1);
+      emi = emiFor(outstanding, currentRate, newMonths);
+      lastMonth = m - 1 + newMonths;
+      resizeSteps = true;
+    }
+
+    // Step plan: this EMI-year's EMI (re-sized so the rest still closes on time)
+    if (step && !inPreEmi) {
+      const k = m - preMonths;
+      if (resizeSteps && step.mode !== "custom") {
+        stepBase = solveStepBase(step, outstanding, currentRate, Math.max(1, lastMonth - m + 1), k);
+      }
+      emi = steppedEmi(step, stepBase, Math.floor((k - 1) / 12));
+    }
+
+    let interestPayment;
+    let savingsShown = currSavings;
+    let nextSavings = Math.max(0, currSavings + Math.max(-1e12, toNum(savingsMonthlyDrift))); // guard huge negatives
+
+    if (savingsLink && offsetModel === "daily") {
+      const month = dailyOffsetMonth({
+        outstanding,
+        annualRate: currentRate,
+        date,
+        openingBalance: currSavings,
+        salaryCredit,
+        salaryDay,
+        monthlySpend,
+        minBalance,
+      });
+      interestPayment = month.interest;
+      savingsShown = month.avgOffset;
+      nextSavings = month.closingBalance;
+    } else {
+      // Annual rest: the balance is fixed at the start of each loan year
+      let interestBase = outstanding;
+      if (interestRest === "annual" && !inPreEmi) {
+        if ((m - preMonths - 1) % 12 === 0) restBalance = outstanding;
+        else restBalance += disbursed;
+        interestBase = restBalance;
+      }
+
+      // Effective principal for interest calculation (offset)
+      const effectivePrincipal = savingsLink ? Math.max(0, interestBase - currSavings) : interestBase;
+
+      // Interest for this month
+      interestPayment = effectivePrincipal * monthlyRate;
+    }
+
+    // Principal portion of EMI (none while paying pre-EMI interest)
+    let principalPayment = inPreEmi ? 0 : emi - interestPayment;
+    if (principalPayment > outstanding) principalPayment = outstanding;
+    // the last EMI clears what's left (a custom step table may genuinely fall short)
+    if (m === lastMonth && !inPreEmi && !(step && step.mode === "custom")) principalPayment = outstanding;
+    // EMI below the interest: the shortfall is added to the balance
+    const negativeAmortization = principalPayment < -0.005;
+    if (principalPayment < 0 && !negativeAmortization) principalPayment = 0;
+
+    const payment = principalPayment + interestPayment;
+    outstanding = Math.max(0, outstanding - principalPayment);
+
+    schedule.push({
+      month: m,
+      date: date.toISOString().slice(0, 10),
+      payment: Number(payment.toFixed(2)),
+      principalPaid: Number(principalPayment.toFixed(2)),
+      interestPaid: Number(interestPayment.toFixed(2)),
+      balance: Number(outstanding.toFixed(2)),
+      savingsLinked: Number(savingsShown.toFixed(2)),
+      rate: currentRate,
+      prepayment: Number(prepaid.toFixed(2)),
+      lumpSum: Number(lumpSumPaid.toFixed(2)),
+      lumpSumLabel: lumps.map((l) => l.label || "Lump sum").join(", "),
+      phase: inPreEmi ? "preEmi" : "emi",
+      disbursed: Number(disbursed.toFixed(2)),
+      negativeAmortization,
+    });
+
+    // Savings carried into next month
+    currSavings = nextSavings;
+  }
+
+  const totals = schedule.reduce(
+    (acc, s) => {
+      acc.totalInterest += s.interestPaid;
+      acc.totalPaid += s.payment;
+      acc.totalPrepaid += s.prepayment;
+      if (s.phase === "preEmi") acc.preEmiInterest += s.interestPaid;
+      if (s.negativeAmortization) acc.negativeAmortizationMonths += 1;
+      return acc;
+    },
+    { totalInterest: 0, totalPaid: 0, totalPrepaid: 0, preEmiInterest: 0, negativeAmortizationMonths: 0 }
+  );
+  // only a custom step table can stop at the tenure cap with a balance left
+  const last = schedule[schedule.length - 1];
+  totals.unpaidBalance = last && last.balance > 0.01 ? last.balance : 0;
+
+  return { schedule, totals, emi: Number(initialEmi.toFixed(2)), finalEmi: Number(emi.toFixed(2)) };
+}
+
+/** ---------- Schedule cache ---------- **/
+
+// schedules kept: room for a full sensitivity grid next to the scenarios
+const SCHEDULE_CACHE_SIZE = 700;
+const scheduleCache = new Map();
+
+/**
+ * buildSchedule remembered by its arguments: the same args give back the same
+ * result object, so callers must treat it as read-only. The least recently
+ * used schedule is dropped once SCHEDULE_CACHE_SIZE are kept.
+ */
+export function cachedSchedule(args) {
+  const key = JSON.stringify(args);
+  let res = scheduleCache.get(key);
+  if (res) {
+    scheduleCache.delete(key); // re-insert as most recently used
+  } else {
+    res = buildSchedule(args);
+    if (scheduleCache.size >= SCHEDULE_CACHE_SIZE) scheduleCache.delete(scheduleCache.keys().next().value);
+  }
+  scheduleCache.set(key, res);
+  return res;
+}
@@ -0,0 +1,116 @@
+import { buildSchedule, loanEMI } from "./schedule.js";
+
+// Golden schedules. The flat and annual-rest EMIs and totals match the figures
+// lenders publish (₹10L at 10% over 10 years: EMI ₹13,215.07, interest
+// ₹5,85,808.80; ₹50L at 8.5% over 20 years: EMI ₹43,391.16, interest
+// ₹54,13,878.90); the rows pin the rest so a change in any convention shows up.
+
+const LOAN_50L = { principal: 5000000, months: 240, annualRate: 8.5, emiStartISO: "2025-01-05" };
+
+// [month, date, payment, principal, interest, prepayment, balance, rate]
+const row = (schedule, month) => {
+  const r = schedule[month - 1];
+  return [r.month, r.date, r.payment, r.principalPaid, r.interestPaid, r.prepayment, r.balance, r.rate];
+};
+
+test("flat EMI matches the published ₹10L / 10% / 10-year schedule", () => {
+  const args = { principal: 1000000, months: 120, annualRate: 10, emiStartISO: "2025-01-05" };
+  const { schedule, totals, emi } = buildSchedule(args);
+  expect(emi).toBe(13215.07);
+  expect(schedule).toHaveLength(120);
+  expect(totals.totalInterest).toBeCloseTo(585808.8, 2);
+  expect(row(schedule, 1)).toEqual([1, "2025-01-05", 13215.07, 4881.74, 8333.33, 0, 995118.26, 10]);
+  expect(row(schedule, 12)).toEqual([12, "2025-12-05", 13215.07, 5348.35, 7866.72, 0, 938658.16, 10]);
+  expect(row(schedule, 120)).toEqual([120, "2034-12-05", 13215.07, 13105.86, 109.22, 0, 0, 10]);
+});
+
+test("flat EMI matches the published ₹50L / 8.5% / 20-year schedule", () => {
+  const { schedule, totals, emi } = buildSchedule(LOAN_50L);
+  expect(emi).toBe(43391.16);
+  expect(totals.totalInterest).toBeCloseTo(5413878.9, 2);
+  expect(row(schedule, 1)).toEqual([1, "2025-01-05", 43391.16, 7974.5, 35416.67, 0, 4992025.5, 8.5]);
+  expect(row(schedule, 37)).toEqual([37, "2028-01-05", 43391.16, 10281.53, 33109.63, 0, 4664018.89, 8.5]);
+  expect(row(schedule, 240)).toEqual([240, "2044-12-05", 43391.16, 43085.97, 305.19, 0, 0, 8.5]);
+});
+
+test("rate resets: keep EMI stretches the tenure, keep tenure re-sizes the EMI", () => {
+  const { schedule, totals, emi, finalEmi } = buildSchedule({
+    ...LOAN_50L,
+    rateResets: [
+      { date: "2026-01-01", rate: 9.25, mode: "keepEmi" },
+      { date: "2028-01-01", rate: 8, mode: "keepTenure" },
+    ],
+  });
+  expect([emi, finalEmi, schedule.length]).toEqual([43391.16, 39557.5, 279]);
+  expect(totals.totalInterest).toBeCloseTo(6174553.82, 2);
+  expect(row(schedule, 12)).toEqual([12, "2025-12-05", 43391.16, 8618.32, 34772.84, 0, 4900488.54, 8.5]);
+  expect(row(schedule, 13)).toEqual([13, "2026-01-05", 43391.16, 5616.56, 37774.6, 0, 4894871.98, 9.25]);
+  expect(row(schedule, 37)).toEqual([37, "2028-01-05", 39557.5, 7870.58, 31686.92, 0, 4745167.56, 8]);
+  expect(row(schedule, 279)).toEqual([279, "2048-03-05", 39557.5, 39295.53, 261.97, 0, 0, 8]);
+});
+
+test("lump sums and a recurring prepayment, reduce-tenure and reduce-EMI", () => {
+  const { schedule, totals, finalEmi } = buildSchedule({
+    ...LOAN_50L,
+    lumpSums: [
+      { amount: 300000, date: "2026-03-15", label: "Bonus", mode: "reduceTenure" },
+      { amount: 200000, date: "2027-03-15", label: "Bonus", mode: "reduceEmi" },
+    ],
+    recurringPrepay: 100000,
+    recurringFreq: "yearly",
+  });
+  expect([finalEmi, schedule.length]).toEqual([35608.44, 170]);
+  expect(totals.totalInterest).toBeCloseTo(3206839.67, 2);
+  expect(row(schedule, 2)).toEqual([2, "2025-02-05", 43391.16, 8739.31, 34651.85, 100000, 4883286.19, 8.5]);
+  expect(row(schedule, 15)).toEqual([15, "2026-03-05", 43391.16, 12417.52, 30973.65, 300000, 4360332.44, 8.5]);
+  expect(row(schedule, 27)).toEqual([27, "2027-03-05", 35608.44, 7862.41, 27746.03, 200000, 3909224.56, 8.5]);
+  expect(schedule[14].lumpSumLabel).toBe("Bonus");
+});
+
+test("5% yearly step-up: low first EMIs amortize negatively, the loan still closes on time", () => {
+  const { schedule, totals, emi, finalEmi } = buildSchedule({ ...LOAN_50L, emiStep: { mode: "percent", value: 5 } });
+  expect([emi, finalEmi, schedule.length]).toEqual([30022.19, 75864.58, 240]);
+  expect(totals.totalInterest).toBeCloseTo(6912548.17, 2);
+  expect(totals.negativeAmortizationMonths).toBeGreaterThan(0);
+  expect(row(schedule, 1)).toEqual([1, "2025-01-05", 30022.19, -5394.48, 35416.67, 0, 5005394.48, 8.5]);
+  expect(schedule[0].negativeAmortization).toBe(true);
+  expect(row(schedule, 13)).toEqual([13, "2026-01-05", 31523.3, -4370.19, 35893.49, 0, 5071686.34, 8.5]);
+  expect(row(schedule, 240)).toEqual([240, "2044-12-05", 75864.58, 75330.98, 533.59, 0, 0, 8.5]);
+});
+
+test("annual rest charges a year's interest on the opening balance", () => {
+  const args = { principal: 1000000, months: 120, annualRate: 10, emiStartISO: "2025-01-05", interestRest: "annual" };
+  const { schedule, totals, emi } = buildSchedule(args);
+  // P·R(1+R)^n / ((1+R)^n − 1) / 12 with yearly R and n
+  expect(emi).toBe(13562.12);
+  expect(loanEMI(1000000, 10, 120, "annual")).toBeCloseTo(13562.12, 2);
+  expect(totals.totalInterest).toBeCloseTo(627454.2, 2);
+  expect(row(schedule, 12)).toEqual([12, "2025-12-05", 13562.12, 5228.78, 8333.33, 0, 937254.61, 10]);
+  expect(row(schedule, 13)).toEqual([13, "2026-01-05", 13562.12, 5751.66, 7810.46, 0, 931502.94, 10]);
+  expect(row(schedule, 120)).toEqual([120, "2034-12-05", 13562.12, 12329.2, 1232.92, 0, 0, 10]);
+});
+
+test("construction loan: pre-EMI interest on the tranches until possession, then the full EMI", () => {
+  const { schedule, totals, emi } = buildSchedule({
+    principal: 6000000,
+    months: 240,
+    annualRate: 8.5,
+    emiStartISO: "2026-06-05",
+    disbursements: [
+      { date: "2025-01-10", amount: 2000000 },
+      { date: "2025-07-10", amount: 2000000 },
+    ],
+    constructionMode: "preEmi",
+    possessionISO: "2026-01-15",
+  });
+  expect([emi, schedule.length]).toEqual([52069.39, 252]);
+  expect(totals.preEmiInterest).toBeCloseTo(255000, 2);
+  expect(totals.totalInterest).toBeCloseTo(6751654.46, 2);
+  expect(row(schedule, 1)).toEqual([1, "2025-01-10", 14166.67, 0, 14166.67, 0, 2000000, 8.5]);
+  expect(row(schedule, 12)).toEqual([12, "2025-12-10", 28333.33, 0, 28333.33, 0, 4000000, 8.5]);
+  expect(schedule.slice(0, 12).every((r) => r.phase === "preEmi")).toBe(true);
+  // the rest of the sanction is released at possession and the EMI starts
+  expect(schedule[12].disbursed).toBe(2000000);
+  expect(row(schedule, 13)).toEqual([13, "2026-01-10", 52069.39, 9569.39, 42500, 0, 5990430.61, 8.5]);
+  expect(row(schedule, 252)).toEqual([252, "2045-12-10", 52069.39, 51703.16, 366.23, 0, 0, 8.5]);
+});
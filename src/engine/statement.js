@@ -0,0 +1,191 @@
+/** ---------- Bank statement reconciliation ---------- **/
+
+import { monthKey, toNum } from "./utils.js";
+import { totalMonths } from "./inputs.js";
+
+// header words naming the outstanding balance
+const BALANCE_HINTS = ["balance", "outstanding", "closing", "o/s"];
+
+// statement fields, the header words that usually name them and (`not`) words that rule a header out
+export const STATEMENT_FIELDS = [
+  { key: "date", label: "Date", hints: ["date", "txn date", "value date", "posting date"], required: true },
+  { key: "debit", label: "Debit / EMI paid", hints: ["debit", "emi", "amount paid", "payment", "withdrawal"] },
+  { key: "principal", label: "Principal", hints: ["principal"], not: BALANCE_HINTS },
+  { key: "interest", label: "Interest", hints: ["interest"], not: BALANCE_HINTS },
+  { key: "balance", label: "Outstanding balance", hints: BALANCE_HINTS, required: true },
+];
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+/**
+ * Column index per field, guessed from the header row (-1 when not found).
+ * Earlier fields win, so "Principal" and "Interest" aren't taken for the
+ * balance; "Principal Outstanding" is the balance, though.
+ */
+export function guessStatementMapping(header) {
+  const names = header.map((h) => String(h).trim().toLowerCase());
+  const used = new Set();
+  const mapping = {};
+  for (const field of STATEMENT_FIELDS) {
+    let index = -1;
+    for (const hint of field.hints) {
+      index = names.findIndex(
+        (n, i) =>
+          !used.has(i) &&
+          !(field.not || []).some((w) => n.includes(w)) &&
+          (n === hint || n.split(/[^a-z/]+/).includes(hint) || n.includes(hint))
+      );
+      if (index >= 0) break;
+    }
+    if (index >= 0) used.add(index);
+    mapping[field.key] = index;
+  }
+  return mapping;
+}
+
+/**
+ * Statement date → ISO. Accepts 2025-04-05, 05/04/2025, 05-04-25, 05-Apr-2025
+ * and "5 Apr 2025" (day before month, as Indian banks print them).
+ */
+export function parseStatementDate(text) {
+  const s = String(text || "").trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  let y, mo, d;
+  if (m) [, y, mo, d] = m.map(Number);
+  else if ((m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/))) [, d, mo, y] = m.map(Number);
+  else if ((m = s.match(/^(\d{1,2})[\s/-]([A-Za-z]{3})[a-z]*[\s/,-]*(\d{2,4})$/))) {
+    d = Number(m[1]);
+    mo = MONTHS.indexOf(m[2].toLowerCase()) + 1;
+    y = Number(m[3]);
+  } else return null;
+  if (y < 100) y += 2000;
+  const date = new Date(Date.UTC(y, mo - 1, d));
+  if (!mo || date.getUTCMonth() !== mo - 1 || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// "₹1,23,456.00 Dr", "$1,234.50", "AED 56,403", "(1,234.50)" → number; blank → 0
+export function parseStatementAmount(text) {
+  const s = String(text || "").trim();
+  if (!s) return 0;
+  const n = Number(s.replace(/[₹$£,\s]|Rs\.?|INR|USD|AED|GBP|Dr|Cr/gi, "").replace(/^\((.*)\)$/, "$1"));
+  return Number.isFinite(n) ? Math.abs(n) : NaN;
+}
+
+/**
+ * Statement rows → one entry per calendar month, in date order: amounts summed,
+ * balance taken from the month's last row. Rows that can't be read are reported
+ * in `problems` (1-based line numbers, header = line 1) and skipped.
+ */
+export function parseStatement(rows, mapping) {
+  const problems = [];
+  if (mapping.date < 0 || mapping.balance < 0) {
+    return { months: [], problems: ["Map at least the Date and Outstanding balance columns."] };
+  }
+  const entries = [];
+  rows.slice(1).forEach((row, i) => {
+    const line = i + 2;
+    const date = parseStatementDate(row[mapping.date]);
+    if (!date) {
+      problems.push(`line ${line}: can't read date "${row[mapping.date] ?? ""}"`);
+      return;
+    }
+    const entry = { date, line };
+    for (const { key } of STATEMENT_FIELDS) {
+      if (key === "date") continue;
+      const value = mapping[key] >= 0 ? parseStatementAmount(row[mapping[key]]) : 0;
+      if (Number.isNaN(value)) {
+        problems.push(`line ${line}: can't read ${key} "${row[mapping[key]]}"`);
+        return;
+      }
+      entry[key] = value;
+    }
+    entries.push(entry);
+  });
+
+  entries.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.line - b.line));
+  const byMonth = new Map();
+  for (const e of entries) {
+    const key = monthKey(new Date(e.date));
+    const m = byMonth.get(key) || { key, date: e.date, debit: 0, principal: 0, interest: 0, balance: 0, rows: 0 };
+    m.date = e.date;
+    m.debit += e.debit;
+    m.principal += e.principal;
+    m.interest += e.interest;
+    m.balance = e.balance;
+    m.rows += 1;
+    byMonth.set(key, m);
+  }
+  return { months: [...byMonth.values()], problems };
+}
+
+/**
+ * Match statement months to schedule rows by calendar month. Differences are
+ * actual − projected (positive balance diff = you owe more than projected).
+ */
+export function reconcileStatement(schedule, statementMonths, { hasInterest = true } = {}) {
+  const projectedByMonth = new Map(schedule.map((r) => [monthKey(new Date(r.date)), r]));
+  const rows = statementMonths.map((a) => {
+    const p = projectedByMonth.get(a.key);
+    return {
+      date: a.date,
+      month: p ? p.month : null,
+      actual: a,
+      projected: p || null,
+      balanceDiff: p ? a.balance - p.balance : null,
+      interestDiff: p && hasInterest ? a.interest - p.interestPaid : null,
+      paymentDiff: p ? a.debit - (p.payment + p.prepayment) : null,
+    };
+  });
+  const matched = rows.filter((r) => r.projected);
+  const last = statementMonths[statementMonths.length - 1] || null;
+  const lastMatched = matched[matched.length - 1] || null;
+  return {
+    rows,
+    matched: matched.length,
+    unmatched: rows.length - matched.length,
+    lastActual: last ? { date: last.date, balance: last.balance } : null,
+    balanceDiff: lastMatched ? lastMatched.balanceDiff : 0,
+    interestDiff: matched.reduce((s, r) => s + (r.interestDiff || 0), 0),
+  };
+}
+
+// ISO date `n` months after `iso` on day `day` (clamped to the month's length)
+function addMonthsISO(iso, n, day) {
+  const d = new Date(iso);
+  const y = d.getFullYear();
+  const m = d.getMonth() + n;
+  const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+/**
+ * Inputs for a projection that starts after the last statement month from the
+ * actual outstanding balance, keeping the original end date. Rate resets and
+ * lump sums already in the past are dropped; the rate is the one in force then.
+ */
+export function restartFromActual(inputs, lastActual) {
+  const start = new Date(inputs.emiStartDate);
+  // next EMI after the statement, on the original EMI day
+  const restartISO = addMonthsISO(lastActual.date, 1, start.getDate());
+  const restartKey = monthKey(new Date(restartISO));
+  const elapsed = Math.max(0, restartKey - monthKey(start));
+  const remaining = Math.max(1, totalMonths(inputs) - elapsed);
+  const isPast = (x) => monthKey(new Date(x.date)) < restartKey;
+
+  const pastResets = inputs.rateResets.filter(isPast).sort((a, b) => (a.date < b.date ? -1 : 1));
+  const rate = pastResets.length ? pastResets[pastResets.length - 1].rate : inputs.annualRate;
+
+  return {
+    ...inputs,
+    loanAmount: Math.max(0, toNum(lastActual.balance)),
+    tenureYears: Math.floor(remaining / 12),
+    tenureMonths: remaining % 12,
+    annualRate: rate,
+    emiStartDate: restartISO,
+    rateResets: inputs.rateResets.filter((r) => !isPast(r)),
+    lumpSums: inputs.lumpSums.filter((l) => !isPast(l)),
+    underConstruction: false,
+    disbursements: [],
+  };
+}
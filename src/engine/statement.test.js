@@ -0,0 +1,148 @@
+import { normalizeInputs } from "./inputs.js";
+import { buildSchedule } from "./schedule.js";
+import { scenarioArgs } from "./scenarios.js";
+import {
+  guessStatementMapping,
+  parseStatement,
+  parseStatementAmount,
+  parseStatementDate,
+  reconcileStatement,
+  restartFromActual,
+} from "./statement.js";
+
+test.each([
+  ["2025-04-05", "2025-04-05"],
+  ["2025-4-5", "2025-04-05"],
+  ["05/04/2025", "2025-04-05"],
+  ["5.4.2025", "2025-04-05"],
+  ["05-04-25", "2025-04-05"],
+  ["05-Apr-2025", "2025-04-05"],
+  ["5 Apr 2025", "2025-04-05"],
+  ["5 April, 2025", "2025-04-05"],
+  ["29/02/2024", "2024-02-29"],
+  [" 31/12/99 ", "2099-12-31"],
+  ["29/02/2025", null],
+  ["31/04/2025", null],
+  ["04/31/2025", null],
+  ["5 Foo 2025", null],
+  ["", null],
+  [undefined, null],
+])("date %p → %p", (text, iso) => {
+  expect(parseStatementDate(text)).toBe(iso);
+});
+
+test.each([
+  ["45,231.00", 45231],
+  ["₹1,23,456.00 Dr", 123456],
+  ["Rs. 5,000 Cr", 5000],
+  ["INR 12,500.50", 12500.5],
+  ["$1,234.50", 1234.5],
+  ["£99", 99],
+  ["AED 56,403", 56403],
+  ["(1,234.50)", 1234.5],
+  ["-700", 700],
+  ["", 0],
+  [null, 0],
+  ["n/a", NaN],
+])("amount %p → %p", (text, value) => {
+  expect(parseStatementAmount(text)).toBe(value);
+});
+
+test.each([
+  [
+    ["Txn Date", "Description", "EMI Amount", "Principal Component", "Interest Component", "Closing Balance"],
+    { date: 0, debit: 2, principal: 3, interest: 4, balance: 5 },
+  ],
+  [
+    ["Value Date", "Withdrawal", "O/S"],
+    { date: 0, debit: 1, principal: -1, interest: -1, balance: 2 },
+  ],
+  [
+    ["Date", "Principal Outstanding", "Interest", "Payment"],
+    { date: 0, debit: 3, principal: -1, interest: 2, balance: 1 },
+  ],
+  [["Narration", "Amount"], { date: -1, debit: -1, principal: -1, interest: -1, balance: -1 }],
+])("header %p maps to %p", (header, mapping) => {
+  expect(guessStatementMapping(header)).toEqual(mapping);
+});
+
+describe("parseStatement", () => {
+  const header = ["Date", "EMI", "Principal", "Interest", "Balance"];
+  const mapping = guessStatementMapping(header);
+
+  test("rows grouped by month in date order, bad rows reported by line", () => {
+    const { months, problems } = parseStatement(
+      [
+        header,
+        ["05/05/2025", "43,391", "7,000", "36,391", "49,86,000"],
+        ["05/04/2025", "43,391", "7,000", "36,391", "49,93,000"],
+        ["20/04/2025", "1,00,000", "1,00,000", "", "48,93,000"],
+        ["someday", "1", "1", "1", "1"],
+        ["05/06/2025", "lots", "", "", ""],
+      ],
+      mapping
+    );
+    expect(months.map((m) => [m.date, m.debit, m.balance, m.rows])).toEqual([
+      ["2025-04-20", 143391, 4893000, 2],
+      ["2025-05-05", 43391, 4986000, 1],
+    ]);
+    expect(problems).toEqual(['line 5: can\'t read date "someday"', 'line 6: can\'t read debit "lots"']);
+  });
+
+  test("needs the date and balance columns", () => {
+    expect(parseStatement([header], { ...mapping, balance: -1 }).problems).toHaveLength(1);
+  });
+});
+
+describe("reconcileStatement", () => {
+  const inputs = normalizeInputs({
+    loanAmount: 1000000,
+    annualRate: 12,
+    tenureYears: 10,
+    tenureMonths: 0,
+    emiStartDate: "2025-01-05",
+    lumpSums: [],
+    recurringPrepayAmt: 0,
+    rateResets: [],
+    linkSavings: false,
+  });
+  const { schedule } = buildSchedule(scenarioArgs(inputs, "base"));
+  const [jan, feb] = schedule;
+  const month = (r, over = {}) => ({
+    key: 2025 * 12 + new Date(r.date).getMonth(),
+    date: r.date,
+    debit: r.payment,
+    principal: r.principalPaid,
+    interest: r.interestPaid,
+    balance: r.balance,
+    ...over,
+  });
+
+  test("differences are actual − projected; months outside the schedule are unmatched", () => {
+    const res = reconcileStatement(schedule, [
+      month(jan),
+      month(feb, { balance: feb.balance + 500, interest: feb.interestPaid + 20 }),
+      { key: 2024 * 12 + 11, date: "2024-12-05", debit: 0, principal: 0, interest: 0, balance: 1000000 },
+    ]);
+    expect(res.matched).toBe(2);
+    expect(res.unmatched).toBe(1);
+    expect(res.rows[0]).toMatchObject({ month: 1, balanceDiff: 0, interestDiff: 0, paymentDiff: 0 });
+    expect(res.rows[1].balanceDiff).toBeCloseTo(500, 6);
+    expect(res.balanceDiff).toBeCloseTo(500, 6);
+    expect(res.interestDiff).toBeCloseTo(20, 6);
+    expect(res.lastActual).toEqual({ date: "2024-12-05", balance: 1000000 });
+  });
+
+  test("without an interest column interest isn't compared", () => {
+    const res = reconcileStatement(schedule, [month(jan, { interest: 0 })], { hasInterest: false });
+    expect(res.rows[0].interestDiff).toBeNull();
+    expect(res.interestDiff).toBe(0);
+  });
+
+  test("restart from the actual balance keeps the end date and the rate in force", () => {
+    const withReset = { ...inputs, rateResets: [{ date: "2025-02-01", rate: 11, mode: "keepEmi" }] };
+    const next = restartFromActual(withReset, { date: "2025-03-05", balance: 980000 });
+    expect(next).toMatchObject({ loanAmount: 980000, emiStartDate: "2025-04-05", annualRate: 11, rateResets: [] });
+    expect(next.tenureYears * 12 + next.tenureMonths).toBe(120 - 3);
+  });
+});
@@ -0,0 +1,149 @@
+/** ---------- Indian income-tax benefits on a home loan ---------- **/
+
+import { toNum } from "./utils.js";
+
+/**
+ * Reads the yearly principal / interest out of a schedule built by buildSchedule
+ * and applies, per financial year (April–March):
+ * - Sec 24(b): interest deduction, ₹2L cap for self-occupied; for let-out the
+ *   interest is set against rent (after the 30% standard deduction) and the
+ *   remaining loss offsets other income up to ₹2L
+ * - Sec 80EEA: extra ₹1.5L of interest for eligible first-time buyers
+ * - Sec 80C: principal repaid (incl. prepayments) up to what's left of ₹1.5L
+ * - Under construction (opts.possessionDate): interest paid in the FYs before
+ *   the possession FY is claimed in 5 equal parts from the possession FY (within
+ *   the same caps), also in years after the loan has closed; principal repaid
+ *   before possession gets no 80C
+ * Old regime allows all of the above; the new regime (115BAC) allows only
+ * let-out interest against that property's rent, with no loss set-off.
+ * Tax saved = deduction × marginal slab × (1 + cess). Loss carry-forward is not modelled.
+ */
+
+export const TAX_LIMITS = {
+  sec24bSelfOccupied: 200000,
+  houseLossSetOff: 200000,
+  sec80C: 150000,
+  sec80EEA: 150000,
+  rentStandardDeduction: 0.3,
+  cess: 0.04,
+};
+
+// calendar year in which the financial year of `iso` starts (April)
+function fyStartYear(iso) {
+  const d = new Date(iso);
+  return d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+}
+
+// "FY 2025-26" for the financial year starting in April of `start`
+const fyLabel = (start) => `FY ${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+
+// "FY 2025-26" for any date from 1 Apr 2025 to 31 Mar 2026
+export function financialYearOf(iso) {
+  return fyLabel(fyStartYear(iso));
+}
+
+/**
+ * Principal (incl. prepayments) and interest paid in each financial year, in order.
+ * With a possession date, principal80C only counts repayments from possession on.
+ */
+export function yearlyTotalsByFY(schedule, possessionDate = null) {
+  const years = [];
+  const byFY = new Map();
+  const possession = possessionDate ? new Date(possessionDate) : null;
+  (schedule || []).forEach((r) => {
+    const fy = financialYearOf(r.date);
+    if (!byFY.has(fy)) {
+      const row = { fy, startYear: fyStartYear(r.date), principal: 0, principal80C: 0, interest: 0 };
+      byFY.set(fy, row);
+      years.push(row);
+    }
+    const row = byFY.get(fy);
+    const repaid = toNum(r.principalPaid) + toNum(r.prepayment);
+    row.principal += repaid;
+    if (!possession || new Date(r.date) >= possession) row.principal80C += repaid;
+    row.interest += toNum(r.interestPaid);
+  });
+  return years;
+}
+
+// deductions for one financial year under one regime
+function deductionsForYear(year, regime, opts) {
+  const interest = year.deductibleInterest;
+  const principal = year.principal80C;
+  const rentAfterStdDeduction = Math.max(0, toNum(opts.annualRent)) * (1 - TAX_LIMITS.rentStandardDeduction);
+  const letOut = opts.propertyType === "letOut";
+
+  if (regime === "new") {
+    const sec24b = letOut ? Math.min(interest, rentAfterStdDeduction) : 0;
+    return { sec24b, sec80EEA: 0, sec80C: 0 };
+  }
+
+  const sec24b = letOut
+    ? Math.min(interest, rentAfterStdDeduction + TAX_LIMITS.houseLossSetOff)
+    : Math.min(interest, TAX_LIMITS.sec24bSelfOccupied);
+  const sec80EEA = opts.eligible80EEA ? Math.min(TAX_LIMITS.sec80EEA, interest - sec24b) : 0;
+  const sec80C = Math.min(principal, Math.max(0, TAX_LIMITS.sec80C - Math.max(0, toNum(opts.other80C))));
+  return { sec24b, sec80EEA, sec80C };
+}
+
+/**
+ * Tax benefit of one schedule under both regimes.
+ * opts: { propertyType: "selfOccupied" | "letOut", annualRent, slabRate (%), other80C, eligible80EEA,
+ *         annualRate (%), possessionDate (under construction only) }
+ * Returns { years, old, new, better } where old/new hold the totals plus
+ * post-tax interest and the effective post-tax rate (annualRate scaled by post-tax / pre-tax interest).
+ */
+export function computeTaxBenefit(schedule, opts = {}) {
+  const taxRate = (Math.max(0, toNum(opts.slabRate)) / 100) * (1 + TAX_LIMITS.cess);
+  const totals = yearlyTotalsByFY(schedule, opts.possessionDate);
+
+  // pre-construction interest: nothing while building, then 1/5 a year for 5 years
+  const possessionFY = opts.possessionDate ? fyStartYear(opts.possessionDate) : null;
+  const preConstruction =
+    possessionFY === null ? 0 : totals.filter((y) => y.startYear < possessionFY).reduce((s, y) => s + y.interest, 0);
+  // parts still due once the loan has closed (or before it's even possessed) get a year of their own
+  if (preConstruction > 0) {
+    for (let start = possessionFY; start < possessionFY + 5; start++) {
+      if (!totals.some((y) => y.startYear === start)) {
+        totals.push({ fy: fyLabel(start), startYear: start, principal: 0, principal80C: 0, interest: 0 });
+      }
+    }
+    totals.sort((a, b) => a.startYear - b.startYear);
+  }
+
+  const years = totals.map((y) => {
+    let deductibleInterest = y.interest;
+    if (possessionFY !== null) {
+      if (y.startYear < possessionFY) deductibleInterest = 0;
+      else if (y.startYear < possessionFY + 5) deductibleInterest += preConstruction / 5;
+    }
+    const row = { ...y, deductibleInterest };
+    ["old", "new"].forEach((regime) => {
+      const d = deductionsForYear(row, regime, opts);
+      row[regime] = {
+        ...d,
+        interestTaxSaved: (d.sec24b + d.sec80EEA) * taxRate,
+        principalTaxSaved: d.sec80C * taxRate,
+      };
+    });
+    return row;
+  });
+
+  const totalInterest = years.reduce((s, y) => s + y.interest, 0);
+  const summarize = (regime) => {
+    const interestTaxSaved = years.reduce((s, y) => s + y[regime].interestTaxSaved, 0);
+    const principalTaxSaved = years.reduce((s, y) => s + y[regime].principalTaxSaved, 0);
+    const postTaxInterest = totalInterest - interestTaxSaved;
+    return {
+      interestTaxSaved,
+      principalTaxSaved,
+      totalTaxSaved: interestTaxSaved + principalTaxSaved,
+      postTaxInterest,
+      effectiveRate: totalInterest > 0 ? (toNum(opts.annualRate) * postTaxInterest) / totalInterest : 0,
+    };
+  };
+
+  const old = summarize("old");
+  const neu = summarize("new");
+  return { years, old, new: neu, better: old.totalTaxSaved >= neu.totalTaxSaved ? "old" : "new" };
+}
@@ -0,0 +1,117 @@
+import { computeTaxBenefit, financialYearOf, yearlyTotalsByFY } from "./tax.js";
+
+// one schedule row: what buildSchedule gives the tax module
+const row = (date, interestPaid, principalPaid = 0, prepayment = 0) => ({ date, interestPaid, principalPaid, prepayment });
+
+// 30% slab plus 4% cess
+const TAX_RATE = 0.3 * 1.04;
+
+const opts = (over = {}) => ({ propertyType: "selfOccupied", slabRate: 30, other80C: 0, eligible80EEA: false, annualRate: 9, ...over });
+
+test.each([
+  ["2025-03-31", "FY 2024-25"],
+  ["2025-04-01", "FY 2025-26"],
+  ["2026-03-05", "FY 2025-26"],
+  ["2099-12-05", "FY 2099-00"],
+])("financial year of %s is %s", (date, fy) => {
+  expect(financialYearOf(date)).toBe(fy);
+});
+
+test("totals are bucketed April to March, prepayments counted as principal", () => {
+  const years = yearlyTotalsByFY([row("2025-02-05", 100, 50), row("2025-03-05", 100, 50, 1000), row("2025-04-05", 90, 60)]);
+  expect(years.map((y) => [y.fy, y.interest, y.principal])).toEqual([
+    ["FY 2024-25", 200, 1100],
+    ["FY 2025-26", 90, 60],
+  ]);
+});
+
+test("24(b) self-occupied: interest capped at ₹2L a year, nothing under the new regime", () => {
+  const res = computeTaxBenefit([row("2025-06-05", 300000)], opts());
+  expect(res.years[0].old.sec24b).toBe(200000);
+  expect(res.old.interestTaxSaved).toBeCloseTo(200000 * TAX_RATE, 6);
+  expect(res.years[0].new).toMatchObject({ sec24b: 0, sec80EEA: 0, sec80C: 0 });
+  expect(res.new.totalTaxSaved).toBe(0);
+  expect(res.better).toBe("old");
+});
+
+test("let-out: interest against rent after the 30% deduction, loss set off up to ₹2L (old regime only)", () => {
+  const res = computeTaxBenefit([row("2025-06-05", 500000)], opts({ propertyType: "letOut", annualRent: 240000 }));
+  // rent 2,40,000 − 30% = 1,68,000
+  expect(res.years[0].old.sec24b).toBe(168000 + 200000);
+  expect(res.years[0].new.sec24b).toBe(168000);
+  // with less interest than rent the whole interest counts
+  const small = computeTaxBenefit([row("2025-06-05", 100000)], opts({ propertyType: "letOut", annualRent: 240000 }));
+  expect(small.years[0].old.sec24b).toBe(100000);
+  expect(small.years[0].new.sec24b).toBe(100000);
+});
+
+test("80EEA: interest above the 24(b) cap, up to ₹1.5L, for eligible buyers", () => {
+  const over = computeTaxBenefit([row("2025-06-05", 300000)], opts({ eligible80EEA: true }));
+  expect(over.years[0].old.sec80EEA).toBe(100000);
+  const far = computeTaxBenefit([row("2025-06-05", 500000)], opts({ eligible80EEA: true }));
+  expect(far.years[0].old.sec80EEA).toBe(150000);
+  const under = computeTaxBenefit([row("2025-06-05", 150000)], opts({ eligible80EEA: true }));
+  expect(under.years[0].old.sec80EEA).toBe(0);
+  expect(far.years[0].new.sec80EEA).toBe(0);
+});
+
+test.each([
+  [120000, 0, 120000],
+  [200000, 0, 150000],
+  [120000, 100000, 50000],
+  [120000, 200000, 0],
+])("80C: principal %s with other 80C %s gives %s", (principal, other80C, sec80C) => {
+  const res = computeTaxBenefit([row("2025-06-05", 0, principal)], opts({ other80C }));
+  expect(res.years[0].old.sec80C).toBe(sec80C);
+  expect(res.old.principalTaxSaved).toBeCloseTo(sec80C * TAX_RATE, 6);
+  expect(res.years[0].new.sec80C).toBe(0);
+});
+
+test("post-tax interest and effective rate", () => {
+  const res = computeTaxBenefit([row("2025-06-05", 300000), row("2026-06-05", 100000)], opts());
+  const saved = (200000 + 100000) * TAX_RATE;
+  expect(res.old.postTaxInterest).toBeCloseTo(400000 - saved, 6);
+  expect(res.old.effectiveRate).toBeCloseTo((9 * (400000 - saved)) / 400000, 6);
+  expect(res.new.effectiveRate).toBe(9);
+});
+
+describe("under construction", () => {
+  // ₹1L and ₹1.5L of interest before the possession FY (FY 2025-26)
+  const building = [row("2024-01-05", 100000, 10000), row("2024-06-05", 150000, 10000)];
+  const possessionDate = "2025-06-01";
+
+  test("pre-construction interest is claimed in five parts from the possession year; earlier principal gets no 80C", () => {
+    const schedule = [...building, ...[2025, 2026, 2027, 2028, 2029, 2030].map((y) => row(`${y}-06-05`, 120000, 30000))];
+    const res = computeTaxBenefit(schedule, opts({ possessionDate }));
+    const deductible = Object.fromEntries(res.years.map((y) => [y.fy, y.deductibleInterest]));
+    expect(deductible).toEqual({
+      "FY 2023-24": 0,
+      "FY 2024-25": 0,
+      "FY 2025-26": 170000,
+      "FY 2026-27": 170000,
+      "FY 2027-28": 170000,
+      "FY 2028-29": 170000,
+      "FY 2029-30": 170000,
+      "FY 2030-31": 120000,
+    });
+    expect(res.years[0].old.sec80C).toBe(0);
+    expect(res.years[2].old.sec80C).toBe(30000);
+  });
+
+  test("a loan closed before all five parts are claimed still claims the rest, in years of their own", () => {
+    const schedule = [...building, row("2025-06-05", 120000, 3000000)];
+    const res = computeTaxBenefit(schedule, opts({ possessionDate }));
+    expect(res.years.map((y) => y.fy)).toEqual([
+      "FY 2023-24",
+      "FY 2024-25",
+      "FY 2025-26",
+      "FY 2026-27",
+      "FY 2027-28",
+      "FY 2028-29",
+      "FY 2029-30",
+    ]);
+    const claimed = res.years.reduce((s, y) => s + y.old.sec24b, 0);
+    expect(claimed).toBe(250000 + 120000);
+    expect(res.years[6]).toMatchObject({ interest: 0, principal: 0, deductibleInterest: 50000 });
+  });
+});
@@ -0,0 +1,77 @@
+/** ---------- Utilities ---------- **/
+
+// currencies the analyzer can show, each with its usual locale and digit grouping
+export const CURRENCIES = {
+  INR: { symbol: "₹", locale: "en-IN", notation: "lakh" },
+  USD: { symbol: "$", locale: "en-US", notation: "million" },
+  AED: { symbol: "AED", locale: "en-AE", notation: "million" },
+  GBP: { symbol: "£", locale: "en-GB", notation: "million" },
+};
+
+// compact units, largest first: 1.2Cr / 75L / 50K or 1.2B / 7.5M / 50K
+const COMPACT_UNITS = {
+  lakh: [
+    [1e7, "Cr"],
+    [1e5, "L"],
+    [1e3, "K"],
+  ],
+  million: [
+    [1e9, "B"],
+    [1e6, "M"],
+    [1e3, "K"],
+  ],
+};
+
+/**
+ * Number formatting for a currency. `notation` is "lakh" (12,34,567.00),
+ * "million" (1,234,567.00) or "auto" (the currency's usual grouping).
+ * - number(n): grouped, two decimals, no symbol
+ * - money(n): with the currency symbol ("-₹1,000.00" when negative)
+ * - compact(n): short axis label, e.g. 75L or 7.5M (no symbol)
+ */
+export function moneyFormat(currency = "INR", notation = "auto") {
+  const c = CURRENCIES[currency] || CURRENCIES.INR;
+  const grouping = notation === "lakh" || notation === "million" ? notation : c.notation;
+  // the currency's own locale unless the grouping asks for the other style
+  const locale = grouping === "lakh" ? "en-IN" : c.notation === "lakh" ? "en-US" : c.locale;
+  const gap = /[A-Z]$/.test(c.symbol) ? " " : ""; // "AED 1,000.00" but "$1,000.00"
+  const number = (num) => {
+    const n = Number.isFinite(num) ? num : 0;
+    return n.toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  };
+  const money = (num) => (num < 0 ? `-${c.symbol}${gap}${number(-num)}` : `${c.symbol}${gap}${number(num)}`);
+  const compact = (num) => {
+    const n = Number.isFinite(num) ? num : 0;
+    const unit = COMPACT_UNITS[grouping].find(([size]) => Math.abs(n) >= size);
+    if (!unit) return String(Math.round(n));
+    return `${Number((n / unit[0]).toFixed(Math.abs(n) >= unit[0] * 100 ? 0 : 1))}${unit[1]}`;
+  };
+  return { currency: CURRENCIES[currency] ? currency : "INR", symbol: c.symbol, notation: grouping, number, money, compact };
+}
+
+// safe number parser
+export function toNum(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// year-month key so dates can be matched/compared by calendar month
+export function monthKey(d) {
+  return d.getFullYear() * 12 + d.getMonth();
+}
+
+// true for anything `new Date()` understands
+export function isValidDate(v) {
+  return Boolean(v) && !Number.isNaN(new Date(v).getTime());
+}
+
+// running total of `field` over rows: out[i] = rows[0][field] + … + rows[i][field]
+export function cumulativeSum(rows, field) {
+  const out = new Array(rows.length);
+  let sum = 0;
+  for (let i = 0; i < rows.length; i++) {
+    sum += rows[i][field];
+    out[i] = sum;
+  }
+  return out;
+}
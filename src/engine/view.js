@@ -0,0 +1,112 @@
+/** ---------- Analyzer view ---------- **/
+
+import {
+  scenarioList,
+  buildScenarios,
+  buildPrepayModeComparison,
+  buildPrepayVsInvest,
+  taxOptions,
+  buildTaxResults,
+  buildRefinance,
+  buildPresentValues,
+  buildEffectiveRates,
+  buildStepPlan,
+  buildRecommendations,
+  buildSensitivityGrid,
+} from "./scenarios.js";
+import { computeTaxBenefit } from "./tax.js";
+import { presentValue, realPayments } from "./presentValue.js";
+import { effectiveRate } from "./charges.js";
+import { buildCoBorrowerSplit } from "./coBorrowers.js";
+import { cumulativeSum } from "./utils.js";
+
+/**
+ * One row per month for the scenario charts: each shown scenario's balance
+ * (`${key}Balance`), cumulative interest (`${key}InterestCumu`, from prefix
+ * sums) and EMI in start-date money (`${key}RealEmi`), plus the prepay-vs-invest
+ * net worth lines. Scenarios that close early read 0 balance from then on.
+ */
+export function buildChartSeries(inputs, { scenarioItems, scenarios, prepayVsInvest }) {
+  const plans = scenarioItems.map(({ key }) => {
+    const { schedule } = scenarios[key];
+    return {
+      key,
+      schedule,
+      interest: cumulativeSum(schedule, "interestPaid"),
+      real: realPayments(schedule, inputs.inflationRate),
+    };
+  });
+  const maxLen = Math.max(...plans.map((p) => p.schedule.length));
+  const rows = [];
+  for (let i = 0; i < maxLen; i++) {
+    const row = {
+      month: i + 1,
+      prepayNetWorth: prepayVsInvest.series[i]?.prepayNetWorth,
+      investNetWorth: prepayVsInvest.series[i]?.investNetWorth,
+      investNetWorthP10: prepayVsInvest.series[i]?.investNetWorthP10,
+    };
+    for (const { key, schedule, interest, real } of plans) {
+      row[`${key}Balance`] = schedule[i]?.balance ?? 0;
+      row[`${key}InterestCumu`] = interest[Math.min(i, interest.length - 1)] ?? 0;
+      row[`${key}RealEmi`] = real[i];
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Everything the analyzer screen derives from (normalized) inputs, one stage at
+ * a time: the generator yields between stages so a background job can stop
+ * once newer inputs have made it stale (see worker.js). Returns the view.
+ */
+export function* viewSteps(inputs) {
+  const scenarios = buildScenarios(inputs);
+  const scenarioItems = scenarioList(inputs);
+  const prepayModeComparison = buildPrepayModeComparison(inputs);
+  yield;
+  const stepPlan = buildStepPlan(inputs);
+  const stepTax = stepPlan && computeTaxBenefit(stepPlan.schedule, taxOptions(inputs));
+  const prepayVsInvest = buildPrepayVsInvest(inputs, scenarios);
+  yield;
+  const chartData = buildChartSeries(inputs, { scenarioItems, scenarios, prepayVsInvest });
+  const presentValues = buildPresentValues(inputs, scenarios);
+  const stepPresentValue = stepPlan && presentValue(stepPlan.schedule, inputs.inflationRate, inputs.loanAmount);
+  yield;
+  const effectiveRates = buildEffectiveRates(inputs, scenarios);
+  const stepEffectiveRate = stepPlan && effectiveRate(stepPlan.schedule, inputs);
+  const coBorrowerSplit = buildCoBorrowerSplit(inputs, scenarios[inputs.coBorrowerPlan].schedule);
+  yield;
+  const taxResults = buildTaxResults(inputs, scenarios);
+  const refinance = buildRefinance(inputs, scenarios);
+  const recommendations = buildRecommendations(inputs, { scenarios, taxResults, prepayVsInvest });
+  yield;
+  const sensitivity = buildSensitivityGrid(inputs);
+  return {
+    inputs,
+    scenarios,
+    scenarioItems,
+    prepayModeComparison,
+    stepPlan,
+    stepTax,
+    prepayVsInvest,
+    chartData,
+    presentValues,
+    stepPresentValue,
+    effectiveRates,
+    stepEffectiveRate,
+    coBorrowerSplit,
+    taxResults,
+    refinance,
+    recommendations,
+    sensitivity,
+  };
+}
+
+// the whole view in one go (first render, or where no worker is available)
+export function buildView(inputs) {
+  const steps = viewSteps(inputs);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+}
@@ -0,0 +1,49 @@
+/**
+ * Web Worker running the analyzer's heavy work off the main thread. Post
+ * { id, kind, inputs } (normalized) where kind is "view", "goal" (with the
+ * Goal Seek question as `goal`, see solveGoal) or "simulate" (Monte Carlo); the
+ * reply is { id, kind, result } or { id, kind, error }. A job still running
+ * when a newer one of its kind arrives, or { id, kind, cancel: true }, is
+ * dropped at its next stage and never replies. Jobs of different kinds take
+ * turns stage by stage. Schedules stay cached here between jobs.
+ */
+
+/* eslint-env worker */
+
+import { viewSteps } from "./view.js";
+import { simulationSteps } from "./monteCarlo.js";
+import { solveGoal } from "./goalSeek.js";
+
+// id of the newest job of each kind
+const latest = { view: 0, goal: 0, simulate: 0 };
+
+// each kind as stages: a generator returning the result
+const JOBS = {
+  view: ({ inputs }) => viewSteps(inputs),
+  simulate: ({ inputs }) => simulationSteps(inputs),
+  *goal({ inputs, goal }) {
+    yield; // one stage: a solver is quick next to the view
+    return solveGoal(inputs, goal);
+  },
+};
+
+// a macrotask, so any newer job's message is received before the next stage
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+onmessage = async (e) => {
+  const { id, kind, cancel } = e.data;
+  latest[kind] = id;
+  if (cancel) return;
+  try {
+    const steps = JOBS[kind](e.data);
+    let step;
+    do {
+      await nextTask();
+      if (latest[kind] !== id) return; // superseded
+      step = steps.next();
+    } while (!step.done);
+    postMessage({ id, kind, result: step.value });
+  } catch (err) {
+    postMessage({ id, kind, error: err.message });
+  }
+};
@@ -0,0 +1,206 @@
+/** ---------- PDF report ---------- **/
+
+import { jsPDF } from "jspdf";
+import { autoTable } from "jspdf-autotable";
+import { AMOUNT_INPUTS, INPUT_LABELS, describeInputs, moneyFormat } from "../engine/index.js";
+
+const MARGIN = 40;
+const HEAD_STYLE = { fillColor: [14, 165, 233], textColor: 255, fontStyle: "bold" };
+
+// The built-in PDF fonts have no ₹, £, arrows or emoji: spell them out or drop them
+function pdfText(s) {
+  return String(s ?? "")
+    .replace(/\(₹\)/g, "(Rs.)")
+    .replace(/₹/g, "Rs. ")
+    .replace(/\(£\)/g, "(GBP)")
+    .replace(/£/g, "GBP ")
+    .replace(/→/g, "->")
+    .replace(/[—–]/g, "-")
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'")
+    .replace(/…/g, "...")
+    .replace(/[^\x20-\x7E\n]/gu, "")
+    .trim();
+}
+
+const pct = (n) => `${n.toFixed(2)}%`;
+
+/**
+ * Charts on the page marked with data-report-chart="Title", as PNG images
+ * plus their legend entries (recharts draws legends outside the SVG).
+ */
+async function captureCharts(root) {
+  const charts = [];
+  for (const el of root.querySelectorAll("[data-report-chart]")) {
+    // the chart itself, not the little legend icons (also recharts-surface)
+    const svg = el.querySelector(".recharts-wrapper > svg.recharts-surface");
+    if (!svg) continue;
+    const { width, height } = svg.getBoundingClientRect();
+    if (!width || !height) continue;
+
+    const clone = svg.cloneNode(true);
+    clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+    clone.setAttribute("width", width);
+    clone.setAttribute("height", height);
+    const img = new Image();
+    img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(new XMLSerializer().serializeToString(clone))}`;
+    await img.decode();
+
+    const scale = 2; // sharper when printed
+    const canvas = document.createElement("canvas");
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    const legend = [...el.querySelectorAll(".recharts-legend-item")].map((item) => {
+      const icon = item.querySelector("path, line, rect");
+      const fill = icon && icon.getAttribute("fill");
+      const color = (fill && fill !== "none" ? fill : icon && icon.getAttribute("stroke")) || "#000";
+      return { text: item.textContent, color };
+    });
+    charts.push({ title: el.getAttribute("data-report-chart"), png: canvas.toDataURL("image/png"), width, height, legend });
+  }
+  return charts;
+}
+
+/**
+ * A4 report: summary, charts, recommendations, inputs and a yearly summary per
+ * scenario. The month-by-month schedules are in the XLSX report.
+ */
+export async function downloadPdf(report, { root = document, filename = "home-loan-report.pdf" } = {}) {
+  const doc = new jsPDF({ unit: "pt", format: "a4" });
+  const pageW = doc.internal.pageSize.getWidth();
+  const pageH = doc.internal.pageSize.getHeight();
+  const contentW = pageW - MARGIN * 2;
+  let y = MARGIN;
+
+  const ensureSpace = (h) => {
+    if (y + h > pageH - MARGIN) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+  const heading = (text) => {
+    ensureSpace(40);
+    doc.setFont("helvetica", "bold").setFontSize(13).setTextColor(20);
+    doc.text(pdfText(text), MARGIN, y + 12);
+    y += 22;
+  };
+  const tableAt = (opts) => {
+    autoTable(doc, {
+      startY: y,
+      margin: { left: MARGIN, right: MARGIN },
+      styles: { fontSize: 8, cellPadding: 3 },
+      headStyles: HEAD_STYLE,
+      ...opts,
+    });
+    y = doc.lastAutoTable.finalY + 18;
+  };
+
+  const { inputs } = report;
+  const { money } = moneyFormat(inputs.currency, inputs.numberNotation);
+  const rs = (n) => pdfText(money(n));
+  doc.setFont("helvetica", "bold").setFontSize(18).text(report.title, MARGIN, y + 14);
+  y += 26;
+  doc.setFont("helvetica", "normal").setFontSize(10).setTextColor(100);
+  doc.text(
+    pdfText(
+      `${rs(inputs.loanAmount)} at ${inputs.annualRate}% for ${inputs.tenureYears}y ${inputs.tenureMonths}m, EMIs from ${inputs.emiStartDate}. Generated ${report.generatedAt}.`
+    ),
+    MARGIN,
+    y + 8
+  );
+  y += 26;
+
+  heading("Scenario summary");
+  tableAt({
+    head: [["Scenario", "EMI", "Months", "Payoff", "Total interest", "Total paid", "Prepaid", `Post-tax interest (${inputs.taxRegime})`, "Eff. rate", "APR"]],
+    body: report.scenarios.map((s) => [
+      s.name,
+      pdfText(Math.abs(s.finalEmi - s.emi) < 0.01 ? rs(s.emi) : `${rs(s.emi)} -> ${rs(s.finalEmi)}`),
+      s.months,
+      s.payoffDate,
+      rs(s.totalInterest),
+      rs(s.totalPaid),
+      rs(s.totalPrepaid),
+      rs(s.postTaxInterest),
+      pct(s.effectivePostTaxRate),
+      s.apr === null ? "-" : pct(s.apr),
+    ]),
+  });
+
+  for (const chart of await captureCharts(root)) {
+    const h = (contentW * chart.height) / chart.width;
+    ensureSpace(h + 50);
+    doc.setFont("helvetica", "bold").setFontSize(10).setTextColor(20);
+    doc.text(pdfText(chart.title), MARGIN, y + 10);
+    y += 16;
+    doc.addImage(chart.png, "PNG", MARGIN, y, contentW, h);
+    y += h + 6;
+    let x = MARGIN;
+    doc.setFont("helvetica", "normal").setFontSize(8);
+    for (const item of chart.legend) {
+      const label = pdfText(item.text);
+      const w = doc.getTextWidth(label) + 22;
+      if (x + w > pageW - MARGIN) {
+        x = MARGIN;
+        y += 12;
+      }
+      doc.setFillColor(item.color);
+      doc.rect(x, y + 2, 8, 8, "F");
+      doc.setTextColor(60).text(label, x + 11, y + 9);
+      x += w;
+    }
+    y += 24;
+  }
+
+  heading("Recommendations (vs Base)");
+  tableAt({
+    head: [["Plan", "Interest saved", "% saved", "Months saved", "Post-tax interest saved", "Eff. post-tax rate"]],
+    body: report.recommendations.tableData.map((r) => [
+      r.name,
+      rs(r.interestSaved),
+      `${r.percentSaved}%`,
+      r.monthsSaved,
+      rs(r.postTaxSaved),
+      pct(r.postTaxRate),
+    ]),
+  });
+  doc.setFont("helvetica", "normal").setFontSize(9).setTextColor(40);
+  for (const insight of report.recommendations.insights) {
+    const lines = doc.splitTextToSize(`- ${pdfText(insight)}`, contentW);
+    ensureSpace(lines.length * 12 + 4);
+    doc.text(lines, MARGIN, y + 9);
+    y += lines.length * 12 + 4;
+  }
+  y += 10;
+
+  heading("Inputs");
+  tableAt({
+    head: [["Input", "Value"]],
+    body: describeInputs(inputs, rs).map(([label, value], i) => [
+      pdfText(label),
+      pdfText(AMOUNT_INPUTS.includes(Object.keys(INPUT_LABELS)[i]) && typeof value === "number" ? rs(value) : value),
+    ]),
+    columnStyles: { 0: { cellWidth: 200 } },
+  });
+
+  for (const s of report.scenarios) {
+    heading(`Yearly summary - ${s.name}`);
+    tableAt({
+      head: [["Financial year", "Payments", "Principal", "Interest", "Prepayment", "Closing balance"]],
+      body: s.yearly.map((yr) => [yr.year, rs(yr.payments), rs(yr.principal), rs(yr.interest), rs(yr.prepayment), rs(yr.closingBalance)]),
+    });
+  }
+
+  const pages = doc.getNumberOfPages();
+  for (let p = 1; p <= pages; p++) {
+    doc.setPage(p);
+    doc.setFont("helvetica", "normal").setFontSize(8).setTextColor(130);
+    doc.text(`${report.title} - page ${p} of ${pages}`, pageW - MARGIN, pageH - 20, { align: "right" });
+  }
+  doc.save(filename);
+}
@@ -0,0 +1,168 @@
+/** ---------- XLSX report ---------- **/
+
+import ExcelJS from "exceljs";
+import { AMOUNT_INPUTS, INPUT_LABELS, describeInputs, moneyFormat } from "../engine/index.js";
+
+const PCT = '0.00"%"';
+
+// number format for the report's currency: lakh grouping (12,34,56,789.00) or 1,234,567.00
+function moneyZ(report) {
+  const fmt = moneyFormat(report.inputs.currency, report.inputs.numberNotation);
+  const sym = `"${fmt.symbol}${/[A-Z]$/.test(fmt.symbol) ? " " : ""}"`;
+  if (fmt.notation === "million") return `${sym}#,##0.00`;
+  return `[>=10000000]${sym}##\\,##\\,##\\,##0.00;[>=100000]${sym}##\\,##\\,##0.00;${sym}##,##0.00`;
+}
+
+// the workbook's own sheets, which a scenario sheet must not take
+const FIXED_SHEETS = ["Inputs", "Summary", "Yearly", "Recommendations"];
+
+/**
+ * Excel caps sheet names at 31 chars, forbids a few characters and compares
+ * names case-insensitively: a name already in `taken` (lower case) gets
+ * " (2)", " (3)", … within the 31 chars. The name used is added to `taken`.
+ */
+function sheetName(name, taken) {
+  const base = String(name).replace(/[\\/?*[\]:]/g, "-").trim() || "Scenario";
+  let out = base.slice(0, 31);
+  for (let n = 2; taken.has(out.toLowerCase()); n++) out = `${base.slice(0, 31 - ` (${n})`.length)} (${n})`;
+  taken.add(out.toLowerCase());
+  return out;
+}
+
+/**
+ * Sheet `name` in `wb` from a header row + data rows. `formats` maps column
+ * index → number format for the data rows; `widths` are column widths in
+ * characters.
+ */
+function table(wb, name, header, rows, { formats = {}, widths = [] } = {}) {
+  const ws = wb.addWorksheet(name);
+  ws.columns = header.map((h, i) => ({ width: widths[i] || Math.max(10, String(h).length + 2) }));
+  ws.addRow(header);
+  for (const row of rows) {
+    const added = ws.addRow(row);
+    for (const [c, z] of Object.entries(formats)) {
+      const cell = added.getCell(Number(c) + 1);
+      if (typeof cell.value === "number") cell.numFmt = z;
+    }
+  }
+  return ws;
+}
+
+function inputsSheet(wb, report) {
+  const MONEY = moneyZ(report);
+  const keys = Object.keys(INPUT_LABELS);
+  const { money } = moneyFormat(report.inputs.currency, report.inputs.numberNotation);
+  const rows = describeInputs(report.inputs, money);
+  const ws = table(wb, "Inputs", ["Input", "Value"], rows, { widths: [38, 48] });
+  rows.forEach(([, value], r) => {
+    if (AMOUNT_INPUTS.includes(keys[r]) && typeof value === "number") ws.getCell(r + 2, 2).numFmt = MONEY;
+  });
+}
+
+function summarySheet(wb, report) {
+  const MONEY = moneyZ(report);
+  const header = [
+    "Scenario",
+    "EMI",
+    "EMI after resets",
+    "Months",
+    "Payoff",
+    "Total interest",
+    "Total paid",
+    "Prepaid",
+    "Pre-EMI interest",
+    `Post-tax interest (${report.inputs.taxRegime} regime)`,
+    "Eff. post-tax rate",
+    "Fees & charges",
+    "Effective rate (APR)",
+  ];
+  const rows = report.scenarios.map((s) => [
+    s.name,
+    s.emi,
+    s.finalEmi,
+    s.months,
+    s.payoffDate,
+    s.totalInterest,
+    s.totalPaid,
+    s.totalPrepaid,
+    s.preEmiInterest,
+    s.postTaxInterest,
+    s.effectivePostTaxRate,
+    s.fees,
+    s.apr,
+  ]);
+  table(wb, "Summary", header, rows, {
+    formats: { 1: MONEY, 2: MONEY, 5: MONEY, 6: MONEY, 7: MONEY, 8: MONEY, 9: MONEY, 10: PCT, 11: MONEY, 12: PCT },
+    widths: [18, 14, 16, 8, 12, 18, 18, 16, 16, 26, 16, 16, 20],
+  });
+}
+
+function scheduleSheet(wb, name, schedule, MONEY) {
+  const header = ["Month", "Date", "Payment", "Principal", "Interest", "Prepayment", "Note", "Disbursed", "Balance", "Rate %", "Phase", "Savings linked"];
+  const rows = schedule.map((r) => [
+    r.month,
+    r.date,
+    r.payment,
+    r.principalPaid,
+    r.interestPaid,
+    r.prepayment,
+    r.lumpSumLabel,
+    r.disbursed,
+    r.balance,
+    r.rate,
+    r.phase === "preEmi" ? "Pre-EMI" : "EMI",
+    r.savingsLinked,
+  ]);
+  table(wb, name, header, rows, {
+    formats: { 2: MONEY, 3: MONEY, 4: MONEY, 5: MONEY, 7: MONEY, 8: MONEY, 9: PCT, 11: MONEY },
+    widths: [7, 12, 14, 14, 14, 14, 20, 14, 16, 8, 8, 14],
+  });
+}
+
+function yearlySheet(wb, report) {
+  const MONEY = moneyZ(report);
+  const header = ["Scenario", "Financial year", "Payments", "Principal", "Interest", "Prepayment", "Disbursed", "Closing balance"];
+  const rows = report.scenarios.flatMap((s) =>
+    s.yearly.map((y) => [s.name, y.year, y.payments, y.principal, y.interest, y.prepayment, y.disbursed, y.closingBalance])
+  );
+  table(wb, "Yearly", header, rows, {
+    formats: { 2: MONEY, 3: MONEY, 4: MONEY, 5: MONEY, 6: MONEY, 7: MONEY },
+    widths: [18, 14, 16, 16, 16, 16, 16, 18],
+  });
+}
+
+function recommendationsSheet(wb, report) {
+  const MONEY = moneyZ(report);
+  const { tableData, insights } = report.recommendations;
+  const ws = table(
+    wb,
+    "Recommendations",
+    ["Plan vs Base", "Interest saved", "% saved", "Months saved", "Post-tax interest saved", "Eff. post-tax rate"],
+    tableData.map((r) => [r.name, r.interestSaved, Number(r.percentSaved), r.monthsSaved, r.postTaxSaved, r.postTaxRate]),
+    { formats: { 1: MONEY, 2: PCT, 4: MONEY, 5: PCT }, widths: [18, 18, 10, 14, 22, 18] }
+  );
+  ws.addRows([[], ["Insights"], ...insights.map((text) => [text])]);
+}
+
+// Workbook: Inputs, Summary, one sheet per scenario, Yearly, Recommendations
+export function buildWorkbook(report) {
+  const wb = new ExcelJS.Workbook();
+  inputsSheet(wb, report);
+  summarySheet(wb, report);
+  const taken = new Set(FIXED_SHEETS.map((n) => n.toLowerCase()));
+  for (const s of report.scenarios) scheduleSheet(wb, sheetName(s.name, taken), s.schedule, moneyZ(report));
+  yearlySheet(wb, report);
+  recommendationsSheet(wb, report);
+  return wb;
+}
+
+export async function downloadWorkbook(report, filename = "home-loan-report.xlsx") {
+  const buffer = await buildWorkbook(report).xlsx.writeBuffer();
+  const blob = new Blob([buffer], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}